@@ -11,6 +11,40 @@ const FRIEND_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 const FRIEND_CODE_PREFIX = 'HS';
 const FRIEND_CODE_LEN = 6;
 const DEFAULT_OTP_LEN = 6;
+const MATCH_HISTORY_MAX_PAGE = 50;
+const RATING_DEFAULT = 1500;
+const RATING_FLOOR = 100;
+const RATING_K = 32;
+const RATING_K_PROVISIONAL = 64;
+const RATING_PROVISIONAL_MATCHES = 10;
+const RATING_LOOKUP_MAX = 100;
+const PROGRESSION_MAX_LEVEL = 50;
+const LEVEL_XP_BASE = 100; // XP from level 1 to 2
+const LEVEL_XP_STEP = 50; // each later level asks this much more than the one before
+const LEVEL_UNLOCKS = [
+    { level: 3, id: 'badge_recruit', type: 'badge' },
+    { level: 5, id: 'trail_ember', type: 'trail' },
+    { level: 8, id: 'title_marksman', type: 'title' },
+    { level: 12, id: 'skin_crimson', type: 'skin' },
+    { level: 16, id: 'trail_frost', type: 'trail' },
+    { level: 20, id: 'badge_veteran', type: 'badge' },
+    { level: 30, id: 'title_deadeye', type: 'title' },
+    { level: 40, id: 'skin_obsidian', type: 'skin' },
+    { level: 50, id: 'skin_gold', type: 'skin' }
+];
+const XP_BREAKDOWN_KEYS = ['kills', 'headshots', 'placement', 'completion'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEADERBOARD_METRICS = ['kills', 'headshots', 'kd', 'wins'];
+const LEADERBOARD_WINDOWS = { all: 0, week: 7 * DAY_MS, season: 90 * DAY_MS }; // window -> rolling span (0 = all time)
+const LEADERBOARD_MAX_PAGE = 50;
+const LEADERBOARD_KD_MIN_MATCHES = 5;
+const LEADERBOARD_VALUE_SQL = {
+    kills: 't.kills',
+    headshots: 't.headshots',
+    wins: 't.wins',
+    kd: 'CASE WHEN t.deaths > 0 THEN ROUND(t.kills::numeric / t.deaths, 2) ELSE t.kills END'
+};
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 function randomUuid() {
     if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
@@ -94,6 +128,278 @@ function toMs(v) {
     return Date.parse(v);
 }
 
+function toCount(v) {
+    const n = Number(v);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function normalizeMatchParticipants(list) {
+    if (!Array.isArray(list)) return [];
+    return list.filter((p) => p && typeof p === 'object').map((p) => {
+        const profileId = String(p.profileId || '').trim();
+        return {
+            profileId: profileId && UUID_RE.test(profileId) ? profileId : null,
+            name: sanitizeNickname(p.name),
+            isBot: !!p.isBot,
+            kills: toCount(p.kills),
+            deaths: toCount(p.deaths),
+            headshots: toCount(p.headshots),
+            botKills: toCount(p.botKills),
+            botHeadshots: toCount(p.botHeadshots),
+            bestKillstreak: toCount(p.bestKillstreak),
+            placement: toCount(p.placement) || null
+        };
+    });
+}
+
+function normalizeMatchRecord(params) {
+    const matchId = String(params && params.matchId ? params.matchId : '').trim();
+    if (!matchId || !UUID_RE.test(matchId)) throw storeError('INVALID_MATCH', 'invalid match id');
+    const endedAt = toCount(params.endedAt) || Date.now();
+    const startedAt = toCount(params.startedAt) || endedAt;
+    const participants = normalizeMatchParticipants(params.participants);
+    return {
+        id: matchId,
+        roomCode: String(params.roomCode || '').trim().slice(0, 16) || null,
+        mapKey: String(params.mapKey || '').trim().slice(0, 32) || 'unknown',
+        startedAt,
+        endedAt,
+        durationMs: toCount(params.durationMs) || Math.max(0, endedAt - startedAt),
+        rated: !!params.rated,
+        ranked: !!params.ranked,
+        playerCount: participants.filter((p) => !p.isBot).length,
+        botCount: participants.filter((p) => p.isBot).length,
+        participants
+    };
+}
+
+function parseHistoryCursor(raw) {
+    const str = String(raw || '').trim();
+    if (!str) return null;
+    const idx = str.indexOf(':');
+    if (idx <= 0) return null;
+    const endedAt = Number(str.slice(0, idx));
+    const matchId = str.slice(idx + 1);
+    if (!Number.isFinite(endedAt) || !UUID_RE.test(matchId)) return null;
+    return { endedAt, matchId };
+}
+
+function makeHistoryCursor(entry) {
+    return entry ? `${entry.endedAt}:${entry.matchId}` : null;
+}
+
+function toMatchHistoryEntry(match, profileId) {
+    const participants = Array.isArray(match.participants) ? match.participants : [];
+    return {
+        matchId: match.id,
+        roomCode: match.roomCode || null,
+        mapKey: match.mapKey,
+        startedAt: toMs(match.startedAt),
+        endedAt: toMs(match.endedAt),
+        durationMs: Number(match.durationMs) || 0,
+        playerCount: Number(match.playerCount) || 0,
+        botCount: Number(match.botCount) || 0,
+        self: participants.find((p) => p && p.profileId === profileId) || null,
+        participants
+    };
+}
+
+function toCareerStats(profileId, row) {
+    const r = row || {};
+    const kills = Number(r.kills) || 0;
+    const deaths = Number(r.deaths) || 0;
+    return {
+        profileId,
+        matchesPlayed: Number(r.matchesPlayed) || 0,
+        wins: Number(r.wins) || 0,
+        kills,
+        deaths,
+        headshots: Number(r.headshots) || 0,
+        bestKillstreak: Number(r.bestKillstreak) || 0,
+        totalPlayMs: Number(r.totalPlayMs) || 0,
+        lastMatchAt: r.lastMatchAt ? toMs(r.lastMatchAt) : null,
+        kd: deaths > 0 ? Number((kills / deaths).toFixed(2)) : kills
+    };
+}
+
+function toProfileRating(row) {
+    const r = row || {};
+    const matches = Number(r.matches) || 0;
+    const rating = r.rating === null || r.rating === undefined ? NaN : Number(r.rating);
+    return {
+        rating: Number.isFinite(rating) ? rating : RATING_DEFAULT,
+        matches,
+        provisional: matches < RATING_PROVISIONAL_MATCHES
+    };
+}
+
+// Human participants of a rated match who have a profile, one entry per profile.
+function ratedMatchEntries(match, isKnown) {
+    if (!match.rated) return [];
+    const seen = new Set();
+    return match.participants.filter((p) => {
+        if (!p.profileId || p.isBot || seen.has(p.profileId) || !isKnown(p.profileId)) return false;
+        seen.add(p.profileId);
+        return true;
+    });
+}
+
+// Pairwise Elo over the human field: every opponent is a head-to-head decided by placement.
+// Provisional players move with a larger K so their first matches settle them quickly.
+function computeRatingChanges(entries) {
+    const out = {};
+    if (entries.length < 2) return out;
+    const opponents = entries.length - 1;
+    const rank = (e) => e.placement || Number.MAX_SAFE_INTEGER;
+    entries.forEach((a) => {
+        let score = 0;
+        let expected = 0;
+        entries.forEach((b) => {
+            if (a === b) return;
+            score += rank(a) < rank(b) ? 1 : (rank(a) === rank(b) ? 0.5 : 0);
+            expected += 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+        });
+        const k = a.matches < RATING_PROVISIONAL_MATCHES ? RATING_K_PROVISIONAL : RATING_K;
+        const after = Math.max(RATING_FLOOR, Math.round(a.rating + (k * (score - expected)) / opponents));
+        out[a.profileId] = {
+            before: a.rating,
+            after,
+            delta: after - a.rating,
+            matches: a.matches + 1,
+            provisional: a.matches + 1 < RATING_PROVISIONAL_MATCHES
+        };
+    });
+    return out;
+}
+
+function normalizeRatingLookup(params) {
+    const ids = Array.isArray(params && params.profileIds) ? params.profileIds : [];
+    return Array.from(new Set(ids.map((id) => String(id || '').trim()).filter((id) => UUID_RE.test(id))))
+        .slice(0, RATING_LOOKUP_MAX);
+}
+
+// Total XP needed to reach a level; level 1 starts at 0.
+function xpForLevel(level) {
+    const n = Math.max(0, level - 1);
+    return (n * LEVEL_XP_BASE) + ((LEVEL_XP_STEP * n * (n - 1)) / 2);
+}
+
+function toProgression(row) {
+    const xp = toCount(row && row.xp);
+    let level = 1;
+    while (level < PROGRESSION_MAX_LEVEL && xp >= xpForLevel(level + 1)) level += 1;
+    return {
+        xp,
+        level,
+        levelXp: xpForLevel(level),
+        nextLevelXp: level < PROGRESSION_MAX_LEVEL ? xpForLevel(level + 1) : null,
+        unlocks: LEVEL_UNLOCKS.filter((u) => u.level <= level).map((u) => u.id)
+    };
+}
+
+function toProgressionChange(grant, xpAfter) {
+    const before = toProgression({ xp: Math.max(0, xpAfter - grant.xp) });
+    const after = toProgression({ xp: xpAfter });
+    return {
+        xpGained: grant.xp,
+        breakdown: grant.breakdown,
+        xp: after.xp,
+        levelBefore: before.level,
+        level: after.level,
+        levelXp: after.levelXp,
+        nextLevelXp: after.nextLevelXp,
+        newUnlocks: LEVEL_UNLOCKS.filter((u) => u.level > before.level && u.level <= after.level).map((u) => ({ ...u }))
+    };
+}
+
+function normalizeXpGrants(params) {
+    const matchId = String(params && params.matchId ? params.matchId : '').trim();
+    if (!matchId || !UUID_RE.test(matchId)) throw storeError('INVALID_MATCH', 'invalid match id');
+    const seen = new Set();
+    const grants = (Array.isArray(params.grants) ? params.grants : []).filter((g) => {
+        const profileId = g && typeof g === 'object' ? String(g.profileId || '').trim() : '';
+        if (!UUID_RE.test(profileId) || seen.has(profileId)) return false;
+        seen.add(profileId);
+        return true;
+    }).map((g) => {
+        const raw = g.breakdown && typeof g.breakdown === 'object' ? g.breakdown : {};
+        const breakdown = {};
+        XP_BREAKDOWN_KEYS.forEach((key) => { breakdown[key] = toCount(raw[key]); });
+        return {
+            profileId: String(g.profileId).trim(),
+            xp: XP_BREAKDOWN_KEYS.reduce((sum, key) => sum + breakdown[key], 0),
+            breakdown
+        };
+    }).filter((g) => g.xp > 0);
+    return { matchId, grants };
+}
+
+function normalizeLeaderboardQuery(params, now = Date.now()) {
+    const metric = String(params && params.metric ? params.metric : 'kills').trim().toLowerCase();
+    const window = String(params && params.window ? params.window : 'all').trim().toLowerCase();
+    if (!LEADERBOARD_METRICS.includes(metric)) throw storeError('INVALID_LEADERBOARD', 'unknown leaderboard metric');
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, window)) {
+        throw storeError('INVALID_LEADERBOARD', 'unknown leaderboard window');
+    }
+    const viewerProfileId = String(params && params.viewerProfileId ? params.viewerProfileId : '').trim();
+    const friendsOnly = !!(params && params.friendsOnly);
+    if (friendsOnly && !UUID_RE.test(viewerProfileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+    const span = LEADERBOARD_WINDOWS[window];
+    return {
+        metric,
+        window,
+        since: span ? now - span : null,
+        limit: Math.max(1, Math.min(LEADERBOARD_MAX_PAGE, Number(params && params.limit) || 20)),
+        offset: Math.max(0, Math.floor(Number(params && params.offset) || 0)),
+        minMatches: metric === 'kd' ? LEADERBOARD_KD_MIN_MATCHES : 1,
+        includeGuests: !!(params && params.includeGuests),
+        friendsOnly,
+        viewerProfileId: UUID_RE.test(viewerProfileId) ? viewerProfileId : null
+    };
+}
+
+function leaderboardValue(metric, row) {
+    if (metric !== 'kd') return Number(row[metric]) || 0;
+    const kills = Number(row.kills) || 0;
+    const deaths = Number(row.deaths) || 0;
+    return deaths > 0 ? Number((kills / deaths).toFixed(2)) : kills;
+}
+
+function toLeaderboardEntry(row) {
+    const kills = Number(row.kills) || 0;
+    const deaths = Number(row.deaths) || 0;
+    return {
+        rank: Number(row.rank) || 0,
+        profileId: row.profileId,
+        nickname: row.nickname,
+        friendCode: row.friendCode,
+        username: row.isGuest ? null : row.username || null,
+        isGuest: !!row.isGuest,
+        value: Number(row.value) || 0,
+        matchesPlayed: Number(row.matchesPlayed) || 0,
+        wins: Number(row.wins) || 0,
+        kills,
+        deaths,
+        headshots: Number(row.headshots) || 0,
+        kd: deaths > 0 ? Number((kills / deaths).toFixed(2)) : kills
+    };
+}
+
+function toLeaderboardPage(query, total, entries, me) {
+    return {
+        metric: query.metric,
+        window: query.window,
+        since: query.since,
+        friendsOnly: query.friendsOnly,
+        total,
+        offset: query.offset,
+        limit: query.limit,
+        nextOffset: query.offset + query.limit < total ? query.offset + query.limit : null,
+        entries,
+        me
+    };
+}
+
 function storeError(code, message, extra = {}) {
     const err = new Error(message || code);
     err.code = code;
@@ -122,6 +428,7 @@ class MemoryIdentityStore {
         this.mode = 'memory';
         this.deviceActiveProfile = new Map(); // persistentId -> profileId
         this.deviceProfiles = new Map(); // persistentId -> Set(profileId)
+        this.deviceCredentials = new Map(); // persistentId -> { secretHash, createdAt }
         this.profilesById = new Map(); // profileId -> { id, nickname, friendCode, createdAt, updatedAt }
         this.friendCodeToId = new Map();
         this.accountsById = new Map(); // accountId -> account row
@@ -130,11 +437,22 @@ class MemoryIdentityStore {
         this.accountLinkByProfile = new Map(); // profileId -> accountId
         this.accountLinkByAccount = new Map(); // accountId -> profileId
         this.emailChallengesByAccount = new Map(); // accountId -> challenge
+        this.accountChallengesByKey = new Map(); // `${purpose}:${accountId}` -> password reset / email change challenge
+        this.sessionsById = new Map(); // sessionId -> refresh session row
+        this.sessionIdsByProfile = new Map(); // profileId -> Set(sessionId)
         this.friendRequestsById = new Map(); // requestId -> row
         this.friendRequestsByToProfile = new Map(); // toProfileId -> Set(requestId)
         this.friendRequestsByFromProfile = new Map(); // fromProfileId -> Set(requestId)
         this.friendshipsByPair = new Map(); // pairKey -> row
         this.friendsByProfile = new Map(); // profileId -> Set(profileId)
+        this.blocksByProfile = new Map(); // blockerProfileId -> Map(blockedProfileId -> createdAt)
+        this.mutesByProfile = new Map(); // muterProfileId -> Map(mutedProfileId -> createdAt)
+        this.matchesById = new Map(); // matchId -> match row
+        this.matchIdsByProfile = new Map(); // profileId -> [matchId]
+        this.careerStatsByProfile = new Map(); // profileId -> lifetime aggregates
+        this.ratingsByProfile = new Map(); // profileId -> { rating, matches, updatedAt }
+        this.progressionByProfile = new Map(); // profileId -> { xp, updatedAt }
+        this.xpGrantKeys = new Set(); // `${matchId}:${profileId}` already granted
     }
 
     async init() {
@@ -198,6 +516,25 @@ class MemoryIdentityStore {
         return this.friendshipsByPair.has(pair);
     }
 
+    deleteFriendship(profileA, profileB) {
+        const pair = friendPairKey(profileA, profileB);
+        if (!pair || !this.friendshipsByPair.has(pair)) return false;
+        this.friendshipsByPair.delete(pair);
+        this.ensureFriendsSet(profileA).delete(profileB);
+        this.ensureFriendsSet(profileB).delete(profileA);
+        return true;
+    }
+
+    hasBlocked(blockerProfileId, blockedProfileId) {
+        const blocked = this.blocksByProfile.get(blockerProfileId);
+        return !!(blocked && blocked.has(blockedProfileId));
+    }
+
+    hasMuted(muterProfileId, mutedProfileId) {
+        const muted = this.mutesByProfile.get(muterProfileId);
+        return !!(muted && muted.has(mutedProfileId));
+    }
+
     getProfilePublic(profileId) {
         const profile = this.profilesById.get(profileId);
         if (!profile) return null;
@@ -248,7 +585,9 @@ class MemoryIdentityStore {
             friendCode: profile.friendCode,
             isGuest,
             username: !isGuest && account ? account.username : null,
-            accountStatus
+            accountStatus,
+            rating: toProfileRating(this.ratingsByProfile.get(profileId)),
+            progression: toProgression(this.progressionByProfile.get(profileId))
         };
     }
 
@@ -312,6 +651,32 @@ class MemoryIdentityStore {
         return this.buildProfileSnapshot(profileId);
     }
 
+    async getDeviceCredential(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        const row = this.deviceCredentials.get(persistentId);
+        return row ? { secretHash: row.secretHash, createdAt: row.createdAt } : null;
+    }
+
+    // A device with profiles but no credential was registered before credentials existed.
+    async hasDeviceProfiles(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        const profiles = this.deviceProfiles.get(persistentId);
+        return !!(profiles && profiles.size);
+    }
+
+    async bindDeviceCredential(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        const secretHash = String(params && params.secretHash ? params.secretHash : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        if (!secretHash) throw storeError('INVALID_DEVICE_CREDENTIAL', 'missing secret hash');
+        // First binding wins; a device credential is never silently replaced.
+        if (this.deviceCredentials.has(persistentId)) return { bound: false };
+        this.deviceCredentials.set(persistentId, { secretHash, createdAt: Date.now() });
+        return { bound: true };
+    }
+
     async createPendingLinkedAccount(params) {
         const profileId = String(params && params.profileId ? params.profileId : '').trim();
         const email = String(params && params.email ? params.email : '').trim();
@@ -482,6 +847,322 @@ class MemoryIdentityStore {
         };
     }
 
+    issueAccountChallenge(accountId, purpose, params, now, extra = {}) {
+        const codeTtlMs = Number(params && params.codeTtlMs) || (10 * 60 * 1000);
+        const resendCooldownMs = Number(params && params.resendCooldownMs) || (60 * 1000);
+        const maxSendsPerHour = Number(params && params.maxSendsPerHour) || 5;
+        const key = `${purpose}:${accountId}`;
+        let challenge = this.accountChallengesByKey.get(key);
+        if (!challenge) {
+            challenge = {
+                id: randomUuid(),
+                accountId,
+                purpose,
+                targetEmail: null,
+                targetEmailNorm: null,
+                codeHash: '',
+                expiresAt: now,
+                usedAt: null,
+                attemptCount: 0,
+                lastSentAt: 0,
+                sendCount: 0,
+                sendWindowStart: now,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.accountChallengesByKey.set(key, challenge);
+        }
+
+        if (now - challenge.lastSentAt < resendCooldownMs) {
+            throw storeError('VERIFICATION_RATE_LIMITED', 'verification resend cooldown', {
+                retryAfterMs: resendCooldownMs - (now - challenge.lastSentAt)
+            });
+        }
+        if (now - challenge.sendWindowStart >= (60 * 60 * 1000)) {
+            challenge.sendWindowStart = now;
+            challenge.sendCount = 0;
+        }
+        if (challenge.sendCount >= maxSendsPerHour) {
+            throw storeError('VERIFICATION_RATE_LIMITED', 'verification resend rate limited');
+        }
+
+        const code = makeOtpCode();
+        challenge.targetEmail = extra.targetEmail || null;
+        challenge.targetEmailNorm = extra.targetEmailNorm || null;
+        challenge.codeHash = hashOtp(code);
+        challenge.expiresAt = now + codeTtlMs;
+        challenge.usedAt = null;
+        challenge.attemptCount = 0;
+        challenge.lastSentAt = now;
+        challenge.sendCount += 1;
+        challenge.updatedAt = now;
+        return { code, expiresAt: challenge.expiresAt };
+    }
+
+    checkAccountChallenge(accountId, purpose, otp, maxVerifyAttempts, now) {
+        const challenge = this.accountChallengesByKey.get(`${purpose}:${accountId}`);
+        if (!challenge) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge not found');
+        if (challenge.usedAt) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge already used');
+        if (now > challenge.expiresAt) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge expired');
+        if (challenge.attemptCount >= maxVerifyAttempts) {
+            throw storeError('VERIFICATION_RATE_LIMITED', 'verification attempts exceeded');
+        }
+        if (!timingSafeHexEqual(challenge.codeHash, hashOtp(otp))) {
+            challenge.attemptCount += 1;
+            challenge.updatedAt = now;
+            throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+        }
+        return challenge;
+    }
+
+    async requestPasswordReset(params) {
+        const emailNorm = normalizeEmail(params && params.email);
+        const now = Date.now();
+        if (!emailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+
+        const accountId = this.accountByEmailNorm.get(emailNorm);
+        const account = accountId ? this.accountsById.get(accountId) : null;
+        if (!account) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (account.status === 'pending_verification') throw storeError('EMAIL_NOT_VERIFIED', 'account not verified');
+        if (account.status !== 'active') throw storeError('ACCOUNT_SUSPENDED', 'account suspended');
+
+        const issued = this.issueAccountChallenge(account.id, 'password_reset', params, now);
+        return {
+            accountId: account.id,
+            email: account.email,
+            username: account.username,
+            verificationCode: issued.code,
+            expiresAt: issued.expiresAt
+        };
+    }
+
+    async resetPasswordWithCode(params) {
+        const emailNorm = normalizeEmail(params && params.email);
+        const otp = String(params && params.otp ? params.otp : '').trim();
+        const passwordHash = String(params && params.passwordHash ? params.passwordHash : '').trim();
+        const maxVerifyAttempts = Number(params && params.maxVerifyAttempts) || 8;
+        const now = Date.now();
+        if (!emailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+        if (!otp) throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+        if (!passwordHash) throw storeError('INVALID_PASSWORD_HASH', 'invalid password hash');
+
+        const accountId = this.accountByEmailNorm.get(emailNorm);
+        const account = accountId ? this.accountsById.get(accountId) : null;
+        if (!account) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (account.status !== 'active') throw storeError('VERIFICATION_CODE_EXPIRED', 'password reset not available');
+
+        const challenge = this.checkAccountChallenge(account.id, 'password_reset', otp, maxVerifyAttempts, now);
+        challenge.usedAt = now;
+        challenge.updatedAt = now;
+        account.passwordHash = passwordHash;
+        account.updatedAt = now;
+
+        return {
+            accountId: account.id,
+            email: account.email,
+            username: account.username,
+            profileId: this.accountLinkByAccount.get(account.id) || null
+        };
+    }
+
+    async requestEmailChange(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const newEmail = String(params && params.newEmail ? params.newEmail : '').trim();
+        const newEmailNorm = normalizeEmail(newEmail);
+        const now = Date.now();
+        if (!newEmailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+
+        const accountId = this.accountLinkByProfile.get(profileId);
+        const account = accountId ? this.accountsById.get(accountId) : null;
+        if (!account) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (account.status !== 'active') throw storeError('EMAIL_NOT_VERIFIED', 'account not verified');
+        if (account.emailNorm === newEmailNorm) throw storeError('EMAIL_UNCHANGED', 'email unchanged');
+        if (this.accountByEmailNorm.has(newEmailNorm)) throw storeError('EMAIL_ALREADY_USED', 'email already used');
+
+        const issued = this.issueAccountChallenge(account.id, 'email_change', params, now, {
+            targetEmail: newEmail,
+            targetEmailNorm: newEmailNorm
+        });
+        return {
+            accountId: account.id,
+            email: newEmail,
+            username: account.username,
+            verificationCode: issued.code,
+            expiresAt: issued.expiresAt
+        };
+    }
+
+    async confirmEmailChange(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const otp = String(params && params.otp ? params.otp : '').trim();
+        const maxVerifyAttempts = Number(params && params.maxVerifyAttempts) || 8;
+        const now = Date.now();
+        if (!otp) throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+
+        const accountId = this.accountLinkByProfile.get(profileId);
+        const account = accountId ? this.accountsById.get(accountId) : null;
+        if (!account) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (account.status !== 'active') throw storeError('EMAIL_NOT_VERIFIED', 'account not verified');
+
+        const challenge = this.checkAccountChallenge(account.id, 'email_change', otp, maxVerifyAttempts, now);
+        const newEmailNorm = challenge.targetEmailNorm;
+        if (!newEmailNorm) throw storeError('VERIFICATION_CODE_EXPIRED', 'email change target missing');
+        const ownerId = this.accountByEmailNorm.get(newEmailNorm);
+        if (ownerId && ownerId !== account.id) throw storeError('EMAIL_ALREADY_USED', 'email already used');
+
+        const previousEmail = account.email;
+        this.accountByEmailNorm.delete(account.emailNorm);
+        this.accountByEmailNorm.set(newEmailNorm, account.id);
+        account.email = challenge.targetEmail;
+        account.emailNorm = newEmailNorm;
+        account.emailVerifiedAt = now;
+        account.updatedAt = now;
+        challenge.usedAt = now;
+        challenge.updatedAt = now;
+
+        return {
+            accountId: account.id,
+            email: account.email,
+            previousEmail,
+            username: account.username,
+            profileId
+        };
+    }
+
+    async createSession(params) {
+        const sessionId = String(params && params.sessionId ? params.sessionId : '').trim() || randomUuid();
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        const refreshTokenHash = String(params && params.refreshTokenHash ? params.refreshTokenHash : '').trim();
+        const ttlMs = Number(params && params.ttlMs) || (14 * 24 * 60 * 60 * 1000);
+        const now = Date.now();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        if (!refreshTokenHash) throw storeError('SESSION_INVALID', 'missing refresh token hash');
+        if (!UUID_RE.test(sessionId) || this.sessionsById.has(sessionId)) throw storeError('SESSION_INVALID', 'invalid session id');
+
+        // One live session per profile per device: signing in again replaces the old one.
+        const ids = this.sessionIdsByProfile.get(profileId) || new Set();
+        const replacedSessionIds = [];
+        ids.forEach((id) => {
+            const row = this.sessionsById.get(id);
+            if (!row) return;
+            if (row.expiresAt <= now || row.revokedAt) {
+                this.sessionsById.delete(id);
+                ids.delete(id);
+                return;
+            }
+            if (row.persistentId !== persistentId) return;
+            row.revokedAt = now;
+            row.revokeReason = 'replaced';
+            replacedSessionIds.push(id);
+        });
+
+        const session = {
+            id: sessionId,
+            profileId,
+            persistentId,
+            refreshTokenHash,
+            previousRefreshTokenHash: null,
+            userAgent: String(params && params.userAgent ? params.userAgent : '').slice(0, 256) || null,
+            ip: String(params && params.ip ? params.ip : '').slice(0, 64) || null,
+            createdAt: now,
+            lastUsedAt: now,
+            expiresAt: now + ttlMs,
+            revokedAt: null,
+            revokeReason: null
+        };
+        this.sessionsById.set(session.id, session);
+        ids.add(session.id);
+        this.sessionIdsByProfile.set(profileId, ids);
+        return { id: session.id, expiresAt: session.expiresAt, replacedSessionIds };
+    }
+
+    async rotateSession(params) {
+        const sessionId = String(params && params.sessionId ? params.sessionId : '').trim();
+        const refreshTokenHash = String(params && params.refreshTokenHash ? params.refreshTokenHash : '').trim();
+        const nextRefreshTokenHash = String(params && params.nextRefreshTokenHash ? params.nextRefreshTokenHash : '').trim();
+        const ttlMs = Number(params && params.ttlMs) || (14 * 24 * 60 * 60 * 1000);
+        const now = Date.now();
+        if (!refreshTokenHash || !nextRefreshTokenHash) throw storeError('SESSION_INVALID', 'missing refresh token hash');
+
+        const session = this.sessionsById.get(sessionId);
+        if (!session || session.revokedAt || session.expiresAt <= now) {
+            throw storeError('SESSION_INVALID', 'session not active');
+        }
+        if (!timingSafeHexEqual(session.refreshTokenHash, refreshTokenHash)) {
+            if (session.previousRefreshTokenHash && timingSafeHexEqual(session.previousRefreshTokenHash, refreshTokenHash)) {
+                session.revokedAt = now;
+                session.revokeReason = 'refresh_reused';
+                throw storeError('SESSION_REUSED', 'refresh token reused', {
+                    sessionId: session.id,
+                    profileId: session.profileId,
+                    persistentId: session.persistentId
+                });
+            }
+            throw storeError('SESSION_INVALID', 'refresh token mismatch');
+        }
+
+        session.previousRefreshTokenHash = session.refreshTokenHash;
+        session.refreshTokenHash = nextRefreshTokenHash;
+        session.lastUsedAt = now;
+        session.expiresAt = now + ttlMs;
+        return {
+            id: session.id,
+            profileId: session.profileId,
+            persistentId: session.persistentId,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    async listActiveSessions(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const now = Date.now();
+        const ids = this.sessionIdsByProfile.get(profileId);
+        if (!ids) return [];
+        return Array.from(ids)
+            .map((id) => this.sessionsById.get(id))
+            .filter((row) => row && !row.revokedAt && row.expiresAt > now)
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+            .map((row) => ({
+                id: row.id,
+                persistentId: row.persistentId,
+                userAgent: row.userAgent,
+                ip: row.ip,
+                createdAt: row.createdAt,
+                lastUsedAt: row.lastUsedAt,
+                expiresAt: row.expiresAt
+            }));
+    }
+
+    async revokeSessions(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const onlyIds = Array.isArray(params && params.sessionIds) ? new Set(params.sessionIds.map(String)) : null;
+        const reason = String(params && params.reason ? params.reason : 'revoked').slice(0, 32);
+        const now = Date.now();
+        const ids = this.sessionIdsByProfile.get(profileId);
+        if (!ids) return [];
+        const revoked = [];
+        ids.forEach((id) => {
+            if (onlyIds && !onlyIds.has(id)) return;
+            const row = this.sessionsById.get(id);
+            if (!row || row.revokedAt || row.expiresAt <= now) return;
+            row.revokedAt = now;
+            row.revokeReason = reason;
+            revoked.push({ id: row.id, persistentId: row.persistentId });
+        });
+        return revoked;
+    }
+
+    async listRevokedSessions(params) {
+        const sinceMs = Number(params && params.sinceMs) || 0;
+        const out = [];
+        this.sessionsById.forEach((row) => {
+            if (row && row.revokedAt && row.revokedAt >= sinceMs) out.push({ id: row.id, revokedAt: row.revokedAt });
+        });
+        return out;
+    }
+
     async findAccountByLogin(params) {
         const login = String(params && params.login ? params.login : '').trim();
         if (!login) return null;
@@ -582,12 +1263,44 @@ class MemoryIdentityStore {
             })
             .filter(Boolean);
 
-        return {
-            profileId: me.profileId,
-            friends,
-            incoming,
+        const blocked = Array.from(this.blocksByProfile.get(profileId) || new Map())
+            .map(([id, createdAt]) => {
+                const p = this.getProfilePublic(id);
+                if (!p) return null;
+                return {
+                    profileId: p.profileId,
+                    nickname: p.nickname,
+                    username: p.username,
+                    friendCode: p.friendCode,
+                    blockedAt: createdAt
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => Number(b.blockedAt || 0) - Number(a.blockedAt || 0));
+
+        const muted = Array.from(this.mutesByProfile.get(profileId) || new Map())
+            .map(([id, createdAt]) => {
+                const p = this.getProfilePublic(id);
+                if (!p) return null;
+                return {
+                    profileId: p.profileId,
+                    nickname: p.nickname,
+                    username: p.username,
+                    friendCode: p.friendCode,
+                    mutedAt: createdAt
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => Number(b.mutedAt || 0) - Number(a.mutedAt || 0));
+
+        return {
+            profileId: me.profileId,
+            friends,
+            incoming,
             outgoing,
-            incomingCount: incoming.length
+            incomingCount: incoming.length,
+            blocked,
+            muted
         };
     }
 
@@ -597,6 +1310,12 @@ class MemoryIdentityStore {
         return this.buildFriendsState(profileId);
     }
 
+    // Ids only, for presence fan-out; getFriendsState builds the whole panel.
+    async listFriendIds(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        return Array.from(this.friendsByProfile.get(profileId) || []);
+    }
+
     async searchFriendProfiles(params) {
         const profileId = String(params && params.profileId ? params.profileId : '').trim();
         const query = String(params && params.query ? params.query : '').trim();
@@ -626,7 +1345,9 @@ class MemoryIdentityStore {
         const results = dedup.slice(0, limit).map((candidateId) => {
             const pub = this.getProfilePublic(candidateId);
             if (!pub) return null;
+            if (this.hasBlocked(candidateId, profileId)) return null;
             const self = candidateId === profileId;
+            const blocked = !self && this.hasBlocked(profileId, candidateId);
             const alreadyFriends = !self && this.areFriends(profileId, candidateId);
             const pending = !self ? this.findPendingRequestBetween(profileId, candidateId) : null;
             const pendingOutgoing = !!(pending && pending.fromProfileId === profileId && pending.toProfileId === candidateId);
@@ -642,7 +1363,8 @@ class MemoryIdentityStore {
                     alreadyFriends,
                     pendingOutgoing,
                     pendingIncoming,
-                    canRequest: !(self || alreadyFriends || pendingOutgoing || pendingIncoming)
+                    blocked,
+                    canRequest: !(self || blocked || alreadyFriends || pendingOutgoing || pendingIncoming)
                 }
             };
         }).filter(Boolean);
@@ -660,6 +1382,9 @@ class MemoryIdentityStore {
         if (fromProfileId === toProfileId) {
             throw storeError('FRIEND_REQUEST_NOT_ALLOWED', 'cannot request self');
         }
+        if (this.hasBlocked(fromProfileId, toProfileId) || this.hasBlocked(toProfileId, fromProfileId)) {
+            throw storeError('FRIEND_REQUEST_NOT_ALLOWED', 'friend request not allowed');
+        }
         if (this.areFriends(fromProfileId, toProfileId)) {
             throw storeError('ALREADY_FRIENDS', 'already friends');
         }
@@ -713,6 +1438,226 @@ class MemoryIdentityStore {
         };
     }
 
+    async removeFriend(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const friendProfileId = String(params && params.friendProfileId ? params.friendProfileId : '').trim();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!this.deleteFriendship(profileId, friendProfileId)) throw storeError('NOT_FRIENDS', 'not friends');
+        return { profileId, friendProfileId, removed: true };
+    }
+
+    async blockProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !targetProfileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!this.profilesById.has(profileId) || !this.profilesById.has(targetProfileId)) {
+            throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        }
+        if (profileId === targetProfileId) throw storeError('BLOCK_NOT_ALLOWED', 'cannot block self');
+
+        const now = Date.now();
+        const removedFriendship = this.deleteFriendship(profileId, targetProfileId);
+        const cancelledRequestIds = [];
+        let pending = this.findPendingRequestBetween(profileId, targetProfileId);
+        while (pending) {
+            pending.status = 'cancelled';
+            pending.respondedAt = now;
+            cancelledRequestIds.push(pending.id);
+            pending = this.findPendingRequestBetween(profileId, targetProfileId);
+        }
+        if (!this.blocksByProfile.has(profileId)) this.blocksByProfile.set(profileId, new Map());
+        const blocked = this.blocksByProfile.get(profileId);
+        const alreadyBlocked = blocked.has(targetProfileId);
+        if (!alreadyBlocked) blocked.set(targetProfileId, now);
+        return { profileId, targetProfileId, blocked: true, alreadyBlocked, removedFriendship, cancelledRequestIds };
+    }
+
+    async unblockProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const blocked = this.blocksByProfile.get(profileId);
+        if (!blocked || !blocked.delete(targetProfileId)) throw storeError('NOT_BLOCKED', 'profile not blocked');
+        return { profileId, targetProfileId, blocked: false };
+    }
+
+    async getBlockRelations(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const others = Array.isArray(params && params.otherProfileIds) ? params.otherProfileIds.map(String) : [];
+        return {
+            blockedByMe: others.filter((id) => this.hasBlocked(profileId, id)),
+            blockedMe: others.filter((id) => this.hasBlocked(id, profileId))
+        };
+    }
+
+    async muteProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !targetProfileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!this.profilesById.has(profileId) || !this.profilesById.has(targetProfileId)) {
+            throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        }
+        if (profileId === targetProfileId) throw storeError('MUTE_NOT_ALLOWED', 'cannot mute self');
+
+        if (!this.mutesByProfile.has(profileId)) this.mutesByProfile.set(profileId, new Map());
+        const muted = this.mutesByProfile.get(profileId);
+        const alreadyMuted = muted.has(targetProfileId);
+        if (!alreadyMuted) muted.set(targetProfileId, Date.now());
+        return { profileId, targetProfileId, muted: true, alreadyMuted };
+    }
+
+    async unmuteProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const muted = this.mutesByProfile.get(profileId);
+        if (!muted || !muted.delete(targetProfileId)) throw storeError('NOT_MUTED', 'profile not muted');
+        return { profileId, targetProfileId, muted: false };
+    }
+
+    async isProfileMuted(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        return this.hasMuted(profileId, targetProfileId);
+    }
+
+    async recordMatchResult(params) {
+        const match = normalizeMatchRecord(params);
+        if (this.matchesById.has(match.id)) return { matchId: match.id, recorded: false };
+        this.matchesById.set(match.id, match);
+
+        match.participants.forEach((p) => {
+            if (!p.profileId || p.isBot || !this.profilesById.has(p.profileId)) return;
+            if (!this.matchIdsByProfile.has(p.profileId)) this.matchIdsByProfile.set(p.profileId, []);
+            this.matchIdsByProfile.get(p.profileId).push(match.id);
+
+            const stats = this.careerStatsByProfile.get(p.profileId) || {
+                matchesPlayed: 0, wins: 0, kills: 0, deaths: 0, headshots: 0, bestKillstreak: 0, totalPlayMs: 0, lastMatchAt: 0
+            };
+            stats.matchesPlayed += 1;
+            stats.wins += p.placement === 1 ? 1 : 0;
+            stats.kills += p.kills;
+            stats.deaths += p.deaths;
+            stats.headshots += p.headshots;
+            stats.bestKillstreak = Math.max(stats.bestKillstreak, p.bestKillstreak);
+            stats.totalPlayMs += match.durationMs;
+            stats.lastMatchAt = Math.max(stats.lastMatchAt, match.endedAt);
+            this.careerStatsByProfile.set(p.profileId, stats);
+        });
+
+        const entries = ratedMatchEntries(match, (id) => this.profilesById.has(id)).map((p) => {
+            const current = toProfileRating(this.ratingsByProfile.get(p.profileId));
+            return { profileId: p.profileId, placement: p.placement, rating: current.rating, matches: current.matches };
+        });
+        const ratingChanges = computeRatingChanges(entries);
+        Object.entries(ratingChanges).forEach(([profileId, change]) => {
+            this.ratingsByProfile.set(profileId, { rating: change.after, matches: change.matches, updatedAt: match.endedAt });
+        });
+        return { matchId: match.id, recorded: true, ratingChanges };
+    }
+
+    async getMatchHistory(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const limit = Math.max(1, Math.min(MATCH_HISTORY_MAX_PAGE, Number(params && params.limit) || 20));
+        const cursor = parseHistoryCursor(params && params.cursor);
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+
+        const entries = (this.matchIdsByProfile.get(profileId) || [])
+            .map((id) => this.matchesById.get(id))
+            .filter(Boolean)
+            .map((match) => toMatchHistoryEntry(match, profileId))
+            .sort((a, b) => (b.endedAt - a.endedAt) || (a.matchId < b.matchId ? 1 : -1))
+            .filter((e) => !cursor || e.endedAt < cursor.endedAt || (e.endedAt === cursor.endedAt && e.matchId < cursor.matchId));
+        const matches = entries.slice(0, limit);
+        return {
+            matches,
+            nextCursor: entries.length > limit ? makeHistoryCursor(matches[matches.length - 1]) : null
+        };
+    }
+
+    async getCareerStats(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        return toCareerStats(profileId, this.careerStatsByProfile.get(profileId));
+    }
+
+    // Grants are keyed by match and profile, so re-delivered results never add XP twice.
+    async grantMatchXp(params) {
+        const { matchId, grants } = normalizeXpGrants(params);
+        const progression = {};
+        grants.forEach((grant) => {
+            const key = `${matchId}:${grant.profileId}`;
+            if (this.xpGrantKeys.has(key) || !this.profilesById.has(grant.profileId)) return;
+            this.xpGrantKeys.add(key);
+            const row = this.progressionByProfile.get(grant.profileId) || { xp: 0, updatedAt: 0 };
+            row.xp += grant.xp;
+            row.updatedAt = Date.now();
+            this.progressionByProfile.set(grant.profileId, row);
+            progression[grant.profileId] = toProgressionChange(grant, row.xp);
+        });
+        return { matchId, progression };
+    }
+
+    async getProgression(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId || !this.profilesById.has(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        return toProgression(this.progressionByProfile.get(profileId));
+    }
+
+    // Same rule as XP: only ranked matches count, bot kills are left out,
+    // and a win needs at least one other human in the match.
+    async getLeaderboard(params) {
+        const query = normalizeLeaderboardQuery(params);
+        const friends = query.friendsOnly ? this.friendsByProfile.get(query.viewerProfileId) || new Set() : null;
+        const totals = new Map(); // profileId -> window aggregates
+        this.matchesById.forEach((match) => {
+            if (!match.ranked) return;
+            if (query.since !== null && match.endedAt < query.since) return;
+            const seen = new Set();
+            match.participants.forEach((p) => {
+                if (!p.profileId || p.isBot || seen.has(p.profileId) || !this.profilesById.has(p.profileId)) return;
+                seen.add(p.profileId);
+                const row = totals.get(p.profileId) || { matchesPlayed: 0, wins: 0, kills: 0, deaths: 0, headshots: 0 };
+                row.matchesPlayed += 1;
+                row.wins += p.placement === 1 && match.playerCount >= 2 ? 1 : 0;
+                row.kills += Math.max(0, p.kills - p.botKills);
+                row.deaths += p.deaths;
+                row.headshots += Math.max(0, p.headshots - p.botHeadshots);
+                totals.set(p.profileId, row);
+            });
+        });
+
+        const ranked = [];
+        totals.forEach((row, profileId) => {
+            if (row.matchesPlayed < query.minMatches) return;
+            if (friends && profileId !== query.viewerProfileId && !friends.has(profileId)) return;
+            const publicProfile = toPublicProfile(this.profilesById.get(profileId), this.resolveAccountForProfile(profileId));
+            if (publicProfile.isGuest && !query.includeGuests) return;
+            ranked.push({ ...row, ...publicProfile, value: leaderboardValue(query.metric, row) });
+        });
+        ranked.sort((a, b) => (b.value - a.value)
+            || (a.matchesPlayed - b.matchesPlayed)
+            || (a.profileId < b.profileId ? -1 : 1));
+        ranked.forEach((row, idx) => { row.rank = idx + 1; });
+
+        const mine = query.viewerProfileId ? ranked.find((row) => row.profileId === query.viewerProfileId) : null;
+        return toLeaderboardPage(
+            query,
+            ranked.length,
+            ranked.slice(query.offset, query.offset + query.limit).map(toLeaderboardEntry),
+            mine ? toLeaderboardEntry(mine) : null
+        );
+    }
+
+    async getRatings(params) {
+        const out = {};
+        normalizeRatingLookup(params).forEach((profileId) => {
+            if (!this.profilesById.has(profileId)) return;
+            out[profileId] = toProfileRating(this.ratingsByProfile.get(profileId));
+        });
+        return out;
+    }
+
     async close() {
         return true;
     }
@@ -744,6 +1689,13 @@ class PostgresIdentityStore {
                 last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
             );
         `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS device_credentials (
+                persistent_id VARCHAR(128) PRIMARY KEY REFERENCES devices(persistent_id) ON DELETE CASCADE,
+                secret_hash CHAR(64) NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
         await this.pool.query(`
             CREATE TABLE IF NOT EXISTS device_profiles (
                 device_persistent_id VARCHAR(128) NOT NULL REFERENCES devices(persistent_id) ON DELETE CASCADE,
@@ -801,6 +1753,47 @@ class PostgresIdentityStore {
                 updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
             );
         `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS account_challenges (
+                id UUID PRIMARY KEY,
+                account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+                purpose VARCHAR(16) NOT NULL,
+                target_email VARCHAR(320) NULL,
+                target_email_norm VARCHAR(320) NULL,
+                code_hash TEXT NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL,
+                used_at TIMESTAMPTZ NULL,
+                attempt_count INT NOT NULL DEFAULT 0,
+                last_sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                send_count INT NOT NULL DEFAULT 1,
+                send_window_start TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                UNIQUE (account_id, purpose),
+                CHECK (purpose IN ('password_reset', 'email_change'))
+            );
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id UUID PRIMARY KEY,
+                profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                device_persistent_id VARCHAR(128) NOT NULL REFERENCES devices(persistent_id) ON DELETE CASCADE,
+                refresh_token_hash TEXT NOT NULL,
+                previous_refresh_token_hash TEXT NULL,
+                user_agent VARCHAR(256) NULL,
+                ip VARCHAR(64) NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ NOT NULL,
+                revoked_at TIMESTAMPTZ NULL,
+                revoke_reason VARCHAR(32) NULL
+            );
+        `);
+        await this.pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_sessions_profile_active
+            ON sessions (profile_id)
+            WHERE revoked_at IS NULL;
+        `);
         await this.pool.query(`
             CREATE TABLE IF NOT EXISTS friend_requests (
                 id UUID PRIMARY KEY,
@@ -836,11 +1829,110 @@ class PostgresIdentityStore {
             CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair_unique
             ON friendships (LEAST(profile_a, profile_b), GREATEST(profile_a, profile_b));
         `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS friend_blocks (
+                blocker_profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                blocked_profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (blocker_profile_id, blocked_profile_id),
+                CHECK (blocker_profile_id <> blocked_profile_id)
+            );
+        `);
+        await this.pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_friend_blocks_blocked
+            ON friend_blocks (blocked_profile_id);
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS friend_mutes (
+                muter_profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                muted_profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (muter_profile_id, muted_profile_id),
+                CHECK (muter_profile_id <> muted_profile_id)
+            );
+        `);
         await this.pool.query(`
             CREATE UNIQUE INDEX IF NOT EXISTS idx_friend_requests_pending_pair_unique
             ON friend_requests (LEAST(from_profile_id, to_profile_id), GREATEST(from_profile_id, to_profile_id))
             WHERE status = 'pending';
         `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS match_history (
+                id UUID PRIMARY KEY,
+                room_code VARCHAR(16) NULL,
+                map_key VARCHAR(32) NOT NULL,
+                started_at TIMESTAMPTZ NOT NULL,
+                ended_at TIMESTAMPTZ NOT NULL,
+                duration_ms INT NOT NULL,
+                player_count INT NOT NULL DEFAULT 0,
+                bot_count INT NOT NULL DEFAULT 0,
+                ranked BOOLEAN NOT NULL DEFAULT FALSE,
+                participants JSONB NOT NULL DEFAULT '[]'::jsonb,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS match_participants (
+                match_id UUID NOT NULL REFERENCES match_history(id) ON DELETE CASCADE,
+                profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                kills INT NOT NULL DEFAULT 0,
+                deaths INT NOT NULL DEFAULT 0,
+                headshots INT NOT NULL DEFAULT 0,
+                bot_kills INT NOT NULL DEFAULT 0,
+                bot_headshots INT NOT NULL DEFAULT 0,
+                best_killstreak INT NOT NULL DEFAULT 0,
+                placement INT NULL,
+                ended_at TIMESTAMPTZ NOT NULL,
+                PRIMARY KEY (match_id, profile_id)
+            );
+        `);
+        await this.pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_match_participants_profile_ended
+            ON match_participants (profile_id, ended_at DESC, match_id DESC);
+        `);
+        await this.pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_match_participants_ended
+            ON match_participants (ended_at);
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS profile_career_stats (
+                profile_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+                matches_played INT NOT NULL DEFAULT 0,
+                wins INT NOT NULL DEFAULT 0,
+                kills INT NOT NULL DEFAULT 0,
+                deaths INT NOT NULL DEFAULT 0,
+                headshots INT NOT NULL DEFAULT 0,
+                best_killstreak INT NOT NULL DEFAULT 0,
+                total_play_ms BIGINT NOT NULL DEFAULT 0,
+                last_match_at TIMESTAMPTZ NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS profile_ratings (
+                profile_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+                rating INT NOT NULL DEFAULT ${RATING_DEFAULT},
+                matches_rated INT NOT NULL DEFAULT 0,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS profile_progression (
+                profile_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+                xp BIGINT NOT NULL DEFAULT 0,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS profile_xp_grants (
+                match_id UUID NOT NULL,
+                profile_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+                xp INT NOT NULL,
+                breakdown JSONB NOT NULL DEFAULT '{}'::jsonb,
+                granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (match_id, profile_id)
+            );
+        `);
         return true;
     }
 
@@ -856,10 +1948,15 @@ class PostgresIdentityStore {
                 up.nickname,
                 up.friend_code,
                 a.username,
-                a.status AS account_status
+                a.status AS account_status,
+                pr.rating,
+                pr.matches_rated,
+                pp.xp
              FROM user_profiles up
              LEFT JOIN account_profile_links apl ON apl.profile_id = up.id
              LEFT JOIN accounts a ON a.id = apl.account_id
+             LEFT JOIN profile_ratings pr ON pr.profile_id = up.id
+             LEFT JOIN profile_progression pp ON pp.profile_id = up.id
              WHERE up.id = $1
              LIMIT 1`,
             [profileId]
@@ -874,7 +1971,9 @@ class PostgresIdentityStore {
             friendCode: row.friend_code,
             isGuest,
             username: !isGuest ? row.username : null,
-            accountStatus
+            accountStatus,
+            rating: toProfileRating({ rating: row.rating, matches: row.matches_rated }),
+            progression: toProgression({ xp: row.xp })
         };
     }
 
@@ -1266,87 +2365,608 @@ class PostgresIdentityStore {
         }
     }
 
-    async createProfileForDevice(client, persistentId, nickname) {
-        for (let attempt = 0; attempt < 20; attempt++) {
-            const profileId = randomUuid();
-            const friendCode = makeFriendCode();
-            try {
-                await client.query(
-                    `INSERT INTO user_profiles (id, nickname, friend_code) VALUES ($1, $2, $3)`,
-                    [profileId, nickname, friendCode]
-                );
-                await this.setActiveProfileForDeviceTx(client, persistentId, profileId);
-                return {
-                    id: profileId,
-                    nickname,
-                    friendCode
-                };
-            } catch (err) {
-                if (err && err.code === '23505') continue;
-                throw err;
+    async issueAccountChallengeTx(client, accountId, purpose, params, extra = {}) {
+        const codeTtlMs = Math.max(1000, Math.floor(Number(params && params.codeTtlMs) || (10 * 60 * 1000)));
+        const resendCooldownMs = Number(params && params.resendCooldownMs) || (60 * 1000);
+        const maxSendsPerHour = Number(params && params.maxSendsPerHour) || 5;
+        const challengeRs = await client.query(
+            `SELECT id, last_sent_at, send_count, send_window_start
+             FROM account_challenges
+             WHERE account_id = $1 AND purpose = $2
+             LIMIT 1
+             FOR UPDATE`,
+            [accountId, purpose]
+        );
+        const now = Date.now();
+        let sendCount = 0;
+        let sendWindowStart = now;
+        if (challengeRs.rowCount) {
+            const row = challengeRs.rows[0];
+            const lastSentAtMs = toMs(row.last_sent_at);
+            if (now - lastSentAtMs < resendCooldownMs) {
+                throw storeError('VERIFICATION_RATE_LIMITED', 'verification resend cooldown', {
+                    retryAfterMs: resendCooldownMs - (now - lastSentAtMs)
+                });
+            }
+            sendWindowStart = toMs(row.send_window_start);
+            sendCount = Number(row.send_count || 0);
+            if (now - sendWindowStart >= (60 * 60 * 1000)) {
+                sendWindowStart = now;
+                sendCount = 0;
+            }
+            if (sendCount >= maxSendsPerHour) {
+                throw storeError('VERIFICATION_RATE_LIMITED', 'verification resend rate limited');
             }
         }
-        throw storeError('FRIEND_CODE_GENERATION_FAILED', 'unable to generate unique friend code');
-    }
 
-    async ensureGuestProfile(params) {
-        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
-        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
-        const nickname = sanitizeNickname(params && params.nickname);
-        const client = await this.pool.connect();
-        try {
-            await client.query('BEGIN');
+        const code = makeOtpCode();
+        const targetEmail = extra.targetEmail || null;
+        const targetEmailNorm = extra.targetEmailNorm || null;
+        if (!challengeRs.rowCount) {
             await client.query(
-                `INSERT INTO devices (persistent_id, last_seen_at)
-                 VALUES ($1, NOW())
-                 ON CONFLICT (persistent_id)
-                 DO UPDATE SET last_seen_at = NOW()`,
-                [persistentId]
+                `INSERT INTO account_challenges
+                    (id, account_id, purpose, target_email, target_email_norm, code_hash, expires_at, used_at, attempt_count, last_sent_at, send_count, send_window_start, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7::TEXT || ' milliseconds')::INTERVAL, NULL, 0, NOW(), 1, NOW(), NOW(), NOW())`,
+                [randomUuid(), accountId, purpose, targetEmail, targetEmailNorm, hashOtp(code), codeTtlMs]
             );
-
-            const existing = await client.query(
-                `SELECT profile_id
-                 FROM device_profiles
-                 WHERE device_persistent_id = $1 AND is_active = TRUE
-                 ORDER BY updated_at DESC
-                 LIMIT 1`,
-                [persistentId]
+        } else {
+            await client.query(
+                `UPDATE account_challenges
+                 SET target_email = $3,
+                     target_email_norm = $4,
+                     code_hash = $5,
+                     expires_at = NOW() + ($6::TEXT || ' milliseconds')::INTERVAL,
+                     used_at = NULL,
+                     attempt_count = 0,
+                     last_sent_at = NOW(),
+                     send_count = $7,
+                     send_window_start = TO_TIMESTAMP($8 / 1000.0),
+                     updated_at = NOW()
+                 WHERE account_id = $1 AND purpose = $2`,
+                [accountId, purpose, targetEmail, targetEmailNorm, hashOtp(code), codeTtlMs, sendCount + 1, sendWindowStart]
             );
+        }
+        return { code, expiresAt: now + codeTtlMs };
+    }
 
-            let profileId = null;
-            if (!existing.rowCount) {
-                const created = await this.createProfileForDevice(client, persistentId, nickname);
-                profileId = created.id;
-            } else {
-                profileId = existing.rows[0].profile_id;
-                await client.query(
-                    `UPDATE device_profiles
-                     SET updated_at = NOW()
-                     WHERE device_persistent_id = $1 AND profile_id = $2`,
-                    [persistentId, profileId]
-                );
-                await client.query(
-                    `UPDATE user_profiles
-                     SET nickname = $2, updated_at = NOW()
-                     WHERE id = $1`,
-                    [profileId, nickname]
-                );
-            }
-
-            const snapshot = await this.getProfileSnapshotById(profileId, client);
-            await client.query('COMMIT');
-            return snapshot;
-        } catch (err) {
-            try { await client.query('ROLLBACK'); } catch (_) {}
-            throw err;
-        } finally {
-            client.release();
+    // Returns null after recording a failed attempt; the caller commits that before throwing.
+    async checkAccountChallengeTx(client, accountId, purpose, otp, maxVerifyAttempts) {
+        const challengeRs = await client.query(
+            `SELECT code_hash, expires_at, used_at, attempt_count, target_email, target_email_norm
+             FROM account_challenges
+             WHERE account_id = $1 AND purpose = $2
+             LIMIT 1
+             FOR UPDATE`,
+            [accountId, purpose]
+        );
+        if (!challengeRs.rowCount) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge not found');
+        const challenge = challengeRs.rows[0];
+        if (challenge.used_at) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge already used');
+        if (toMs(challenge.expires_at) < Date.now()) throw storeError('VERIFICATION_CODE_EXPIRED', 'verification challenge expired');
+        if (Number(challenge.attempt_count || 0) >= maxVerifyAttempts) {
+            throw storeError('VERIFICATION_RATE_LIMITED', 'verification attempts exceeded');
         }
+        if (!timingSafeHexEqual(challenge.code_hash, hashOtp(otp))) {
+            await client.query(
+                `UPDATE account_challenges
+                 SET attempt_count = attempt_count + 1, updated_at = NOW()
+                 WHERE account_id = $1 AND purpose = $2`,
+                [accountId, purpose]
+            );
+            return null;
+        }
+        return {
+            targetEmail: challenge.target_email,
+            targetEmailNorm: challenge.target_email_norm
+        };
     }
 
-    async getFriendsState(params) {
-        const profileId = String(params && params.profileId ? params.profileId : '').trim();
-        if (!profileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+    async markAccountChallengeUsedTx(client, accountId, purpose) {
+        await client.query(
+            `UPDATE account_challenges
+             SET used_at = NOW(), updated_at = NOW()
+             WHERE account_id = $1 AND purpose = $2`,
+            [accountId, purpose]
+        );
+    }
+
+    async requestPasswordReset(params) {
+        const emailNorm = normalizeEmail(params && params.email);
+        if (!emailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const accountRs = await client.query(
+                `SELECT id, email, username, status
+                 FROM accounts
+                 WHERE email_norm = $1
+                 LIMIT 1
+                 FOR UPDATE`,
+                [emailNorm]
+            );
+            if (!accountRs.rowCount) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+            const account = accountRs.rows[0];
+            if (account.status === 'pending_verification') throw storeError('EMAIL_NOT_VERIFIED', 'account not verified');
+            if (account.status !== 'active') throw storeError('ACCOUNT_SUSPENDED', 'account suspended');
+
+            const issued = await this.issueAccountChallengeTx(client, account.id, 'password_reset', params);
+            await client.query('COMMIT');
+            return {
+                accountId: account.id,
+                email: account.email,
+                username: account.username,
+                verificationCode: issued.code,
+                expiresAt: issued.expiresAt
+            };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async resetPasswordWithCode(params) {
+        const emailNorm = normalizeEmail(params && params.email);
+        const otp = String(params && params.otp ? params.otp : '').trim();
+        const passwordHash = String(params && params.passwordHash ? params.passwordHash : '').trim();
+        const maxVerifyAttempts = Number(params && params.maxVerifyAttempts) || 8;
+        if (!emailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+        if (!otp) throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+        if (!passwordHash) throw storeError('INVALID_PASSWORD_HASH', 'invalid password hash');
+
+        const client = await this.pool.connect();
+        let finalized = false;
+        try {
+            await client.query('BEGIN');
+            const accountRs = await client.query(
+                `SELECT id, email, username, status
+                 FROM accounts
+                 WHERE email_norm = $1
+                 LIMIT 1
+                 FOR UPDATE`,
+                [emailNorm]
+            );
+            if (!accountRs.rowCount) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+            const account = accountRs.rows[0];
+            if (account.status !== 'active') throw storeError('VERIFICATION_CODE_EXPIRED', 'password reset not available');
+
+            const challenge = await this.checkAccountChallengeTx(client, account.id, 'password_reset', otp, maxVerifyAttempts);
+            if (!challenge) {
+                await client.query('COMMIT');
+                finalized = true;
+                throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+            }
+
+            await client.query(
+                `UPDATE accounts SET password_hash = $2, updated_at = NOW() WHERE id = $1`,
+                [account.id, passwordHash]
+            );
+            await this.markAccountChallengeUsedTx(client, account.id, 'password_reset');
+            const profileRs = await client.query(
+                `SELECT profile_id FROM account_profile_links WHERE account_id = $1 LIMIT 1`,
+                [account.id]
+            );
+            await client.query('COMMIT');
+            finalized = true;
+            return {
+                accountId: account.id,
+                email: account.email,
+                username: account.username,
+                profileId: profileRs.rowCount ? profileRs.rows[0].profile_id : null
+            };
+        } catch (err) {
+            if (!finalized) {
+                try { await client.query('ROLLBACK'); } catch (_) {}
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async lockAccountForProfileTx(client, profileId) {
+        const accountRs = await client.query(
+            `SELECT a.id, a.email, a.email_norm, a.username, a.status
+             FROM account_profile_links apl
+             JOIN accounts a ON a.id = apl.account_id
+             WHERE apl.profile_id = $1
+             LIMIT 1
+             FOR UPDATE OF a`,
+            [profileId]
+        );
+        if (!accountRs.rowCount) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        const account = accountRs.rows[0];
+        if (account.status !== 'active') throw storeError('EMAIL_NOT_VERIFIED', 'account not verified');
+        return account;
+    }
+
+    async requestEmailChange(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const newEmail = String(params && params.newEmail ? params.newEmail : '').trim();
+        const newEmailNorm = normalizeEmail(newEmail);
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (!newEmailNorm) throw storeError('INVALID_EMAIL', 'invalid email');
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const account = await this.lockAccountForProfileTx(client, profileId);
+            if (account.email_norm === newEmailNorm) throw storeError('EMAIL_UNCHANGED', 'email unchanged');
+            const emailExists = await client.query(`SELECT id FROM accounts WHERE email_norm = $1 LIMIT 1`, [newEmailNorm]);
+            if (emailExists.rowCount) throw storeError('EMAIL_ALREADY_USED', 'email already used');
+
+            const issued = await this.issueAccountChallengeTx(client, account.id, 'email_change', params, {
+                targetEmail: newEmail,
+                targetEmailNorm: newEmailNorm
+            });
+            await client.query('COMMIT');
+            return {
+                accountId: account.id,
+                email: newEmail,
+                username: account.username,
+                verificationCode: issued.code,
+                expiresAt: issued.expiresAt
+            };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async confirmEmailChange(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const otp = String(params && params.otp ? params.otp : '').trim();
+        const maxVerifyAttempts = Number(params && params.maxVerifyAttempts) || 8;
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('ACCOUNT_NOT_FOUND', 'account not found');
+        if (!otp) throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+
+        const client = await this.pool.connect();
+        let finalized = false;
+        try {
+            await client.query('BEGIN');
+            const account = await this.lockAccountForProfileTx(client, profileId);
+            const challenge = await this.checkAccountChallengeTx(client, account.id, 'email_change', otp, maxVerifyAttempts);
+            if (!challenge) {
+                await client.query('COMMIT');
+                finalized = true;
+                throw storeError('INVALID_VERIFICATION_CODE', 'invalid verification code');
+            }
+            if (!challenge.targetEmailNorm) throw storeError('VERIFICATION_CODE_EXPIRED', 'email change target missing');
+
+            await client.query(
+                `UPDATE accounts
+                 SET email = $2, email_norm = $3, email_verified_at = NOW(), updated_at = NOW()
+                 WHERE id = $1`,
+                [account.id, challenge.targetEmail, challenge.targetEmailNorm]
+            );
+            await this.markAccountChallengeUsedTx(client, account.id, 'email_change');
+            await client.query('COMMIT');
+            finalized = true;
+            return {
+                accountId: account.id,
+                email: challenge.targetEmail,
+                previousEmail: account.email,
+                username: account.username,
+                profileId
+            };
+        } catch (err) {
+            if (!finalized) {
+                try { await client.query('ROLLBACK'); } catch (_) {}
+            }
+            if (err && err.code === '23505') throw storeError('EMAIL_ALREADY_USED', 'email already used');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async createSession(params) {
+        const sessionId = String(params && params.sessionId ? params.sessionId : '').trim() || randomUuid();
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        const refreshTokenHash = String(params && params.refreshTokenHash ? params.refreshTokenHash : '').trim();
+        const ttlMs = Math.max(1000, Math.floor(Number(params && params.ttlMs) || (14 * 24 * 60 * 60 * 1000)));
+        const userAgent = String(params && params.userAgent ? params.userAgent : '').slice(0, 256) || null;
+        const ip = String(params && params.ip ? params.ip : '').slice(0, 64) || null;
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        if (!refreshTokenHash) throw storeError('SESSION_INVALID', 'missing refresh token hash');
+        if (!UUID_RE.test(sessionId)) throw storeError('SESSION_INVALID', 'invalid session id');
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `INSERT INTO devices (persistent_id, last_seen_at)
+                 VALUES ($1, NOW())
+                 ON CONFLICT (persistent_id)
+                 DO UPDATE SET last_seen_at = NOW()`,
+                [persistentId]
+            );
+            // One live session per profile per device: signing in again replaces the old one.
+            const replacedRs = await client.query(
+                `UPDATE sessions
+                 SET revoked_at = NOW(), revoke_reason = 'replaced'
+                 WHERE profile_id = $1 AND device_persistent_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+                 RETURNING id`,
+                [profileId, persistentId]
+            );
+            await client.query(
+                `INSERT INTO sessions
+                    (id, profile_id, device_persistent_id, refresh_token_hash, user_agent, ip, created_at, last_used_at, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW(), NOW() + ($7::TEXT || ' milliseconds')::INTERVAL)`,
+                [sessionId, profileId, persistentId, refreshTokenHash, userAgent, ip, ttlMs]
+            );
+            await client.query('COMMIT');
+            return {
+                id: sessionId,
+                expiresAt: Date.now() + ttlMs,
+                replacedSessionIds: replacedRs.rows.map((row) => row.id)
+            };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            if (err && err.code === '23503') throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async rotateSession(params) {
+        const sessionId = String(params && params.sessionId ? params.sessionId : '').trim();
+        const refreshTokenHash = String(params && params.refreshTokenHash ? params.refreshTokenHash : '').trim();
+        const nextRefreshTokenHash = String(params && params.nextRefreshTokenHash ? params.nextRefreshTokenHash : '').trim();
+        const ttlMs = Math.max(1000, Math.floor(Number(params && params.ttlMs) || (14 * 24 * 60 * 60 * 1000)));
+        if (!sessionId || !UUID_RE.test(sessionId)) throw storeError('SESSION_INVALID', 'session not active');
+        if (!refreshTokenHash || !nextRefreshTokenHash) throw storeError('SESSION_INVALID', 'missing refresh token hash');
+
+        const client = await this.pool.connect();
+        let finalized = false;
+        try {
+            await client.query('BEGIN');
+            const rs = await client.query(
+                `SELECT id, profile_id, device_persistent_id, refresh_token_hash, previous_refresh_token_hash
+                 FROM sessions
+                 WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+                 LIMIT 1
+                 FOR UPDATE`,
+                [sessionId]
+            );
+            if (!rs.rowCount) throw storeError('SESSION_INVALID', 'session not active');
+            const session = rs.rows[0];
+            if (!timingSafeHexEqual(session.refresh_token_hash, refreshTokenHash)) {
+                if (session.previous_refresh_token_hash && timingSafeHexEqual(session.previous_refresh_token_hash, refreshTokenHash)) {
+                    await client.query(
+                        `UPDATE sessions SET revoked_at = NOW(), revoke_reason = 'refresh_reused' WHERE id = $1`,
+                        [session.id]
+                    );
+                    await client.query('COMMIT');
+                    finalized = true;
+                    throw storeError('SESSION_REUSED', 'refresh token reused', {
+                        sessionId: session.id,
+                        profileId: session.profile_id,
+                        persistentId: session.device_persistent_id
+                    });
+                }
+                throw storeError('SESSION_INVALID', 'refresh token mismatch');
+            }
+
+            await client.query(
+                `UPDATE sessions
+                 SET previous_refresh_token_hash = refresh_token_hash,
+                     refresh_token_hash = $2,
+                     last_used_at = NOW(),
+                     expires_at = NOW() + ($3::TEXT || ' milliseconds')::INTERVAL
+                 WHERE id = $1`,
+                [session.id, nextRefreshTokenHash, ttlMs]
+            );
+            await client.query('COMMIT');
+            finalized = true;
+            return {
+                id: session.id,
+                profileId: session.profile_id,
+                persistentId: session.device_persistent_id,
+                expiresAt: Date.now() + ttlMs
+            };
+        } catch (err) {
+            if (!finalized) {
+                try { await client.query('ROLLBACK'); } catch (_) {}
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async listActiveSessions(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId || !UUID_RE.test(profileId)) return [];
+        const rs = await this.pool.query(
+            `SELECT id, device_persistent_id, user_agent, ip, created_at, last_used_at, expires_at
+             FROM sessions
+             WHERE profile_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY last_used_at DESC`,
+            [profileId]
+        );
+        return rs.rows.map((row) => ({
+            id: row.id,
+            persistentId: row.device_persistent_id,
+            userAgent: row.user_agent,
+            ip: row.ip,
+            createdAt: toMs(row.created_at),
+            lastUsedAt: toMs(row.last_used_at),
+            expiresAt: toMs(row.expires_at)
+        }));
+    }
+
+    async revokeSessions(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const onlyIds = Array.isArray(params && params.sessionIds)
+            ? params.sessionIds.map(String).filter((id) => UUID_RE.test(id))
+            : null;
+        const reason = String(params && params.reason ? params.reason : 'revoked').slice(0, 32);
+        if (!profileId || !UUID_RE.test(profileId)) return [];
+        if (onlyIds && !onlyIds.length) return [];
+        const rs = await this.pool.query(
+            `UPDATE sessions
+             SET revoked_at = NOW(), revoke_reason = $2
+             WHERE profile_id = $1
+               AND revoked_at IS NULL
+               AND expires_at > NOW()
+               AND ($3::UUID[] IS NULL OR id = ANY($3::UUID[]))
+             RETURNING id, device_persistent_id`,
+            [profileId, reason, onlyIds]
+        );
+        return rs.rows.map((row) => ({ id: row.id, persistentId: row.device_persistent_id }));
+    }
+
+    async listRevokedSessions(params) {
+        const sinceMs = Number(params && params.sinceMs) || 0;
+        const rs = await this.pool.query(
+            `SELECT id, revoked_at
+             FROM sessions
+             WHERE revoked_at IS NOT NULL AND revoked_at >= to_timestamp($1 / 1000.0)`,
+            [sinceMs]
+        );
+        return rs.rows.map((row) => ({ id: row.id, revokedAt: toMs(row.revoked_at) }));
+    }
+
+    async createProfileForDevice(client, persistentId, nickname) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const profileId = randomUuid();
+            const friendCode = makeFriendCode();
+            try {
+                await client.query(
+                    `INSERT INTO user_profiles (id, nickname, friend_code) VALUES ($1, $2, $3)`,
+                    [profileId, nickname, friendCode]
+                );
+                await this.setActiveProfileForDeviceTx(client, persistentId, profileId);
+                return {
+                    id: profileId,
+                    nickname,
+                    friendCode
+                };
+            } catch (err) {
+                if (err && err.code === '23505') continue;
+                throw err;
+            }
+        }
+        throw storeError('FRIEND_CODE_GENERATION_FAILED', 'unable to generate unique friend code');
+    }
+
+    async ensureGuestProfile(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        const nickname = sanitizeNickname(params && params.nickname);
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `INSERT INTO devices (persistent_id, last_seen_at)
+                 VALUES ($1, NOW())
+                 ON CONFLICT (persistent_id)
+                 DO UPDATE SET last_seen_at = NOW()`,
+                [persistentId]
+            );
+
+            const existing = await client.query(
+                `SELECT profile_id
+                 FROM device_profiles
+                 WHERE device_persistent_id = $1 AND is_active = TRUE
+                 ORDER BY updated_at DESC
+                 LIMIT 1`,
+                [persistentId]
+            );
+
+            let profileId = null;
+            if (!existing.rowCount) {
+                const created = await this.createProfileForDevice(client, persistentId, nickname);
+                profileId = created.id;
+            } else {
+                profileId = existing.rows[0].profile_id;
+                await client.query(
+                    `UPDATE device_profiles
+                     SET updated_at = NOW()
+                     WHERE device_persistent_id = $1 AND profile_id = $2`,
+                    [persistentId, profileId]
+                );
+                await client.query(
+                    `UPDATE user_profiles
+                     SET nickname = $2, updated_at = NOW()
+                     WHERE id = $1`,
+                    [profileId, nickname]
+                );
+            }
+
+            const snapshot = await this.getProfileSnapshotById(profileId, client);
+            await client.query('COMMIT');
+            return snapshot;
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getDeviceCredential(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        const res = await this.pool.query(
+            `SELECT secret_hash, created_at
+             FROM device_credentials
+             WHERE persistent_id = $1`,
+            [persistentId]
+        );
+        if (!res.rowCount) return null;
+        return {
+            secretHash: res.rows[0].secret_hash,
+            createdAt: new Date(res.rows[0].created_at).getTime()
+        };
+    }
+
+    // A device with profiles but no credential was registered before credentials existed.
+    async hasDeviceProfiles(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        const res = await this.pool.query(
+            `SELECT 1
+             FROM device_profiles
+             WHERE device_persistent_id = $1
+             LIMIT 1`,
+            [persistentId]
+        );
+        return res.rowCount > 0;
+    }
+
+    async bindDeviceCredential(params) {
+        const persistentId = String(params && params.persistentId ? params.persistentId : '').trim();
+        const secretHash = String(params && params.secretHash ? params.secretHash : '').trim();
+        if (!persistentId) throw storeError('MISSING_PERSISTENT_ID', 'missing persistentId');
+        if (!secretHash) throw storeError('INVALID_DEVICE_CREDENTIAL', 'missing secret hash');
+        await this.pool.query(
+            `INSERT INTO devices (persistent_id, last_seen_at)
+             VALUES ($1, NOW())
+             ON CONFLICT (persistent_id) DO NOTHING`,
+            [persistentId]
+        );
+        // First binding wins; a device credential is never silently replaced.
+        const res = await this.pool.query(
+            `INSERT INTO device_credentials (persistent_id, secret_hash)
+             VALUES ($1, $2)
+             ON CONFLICT (persistent_id) DO NOTHING`,
+            [persistentId, secretHash]
+        );
+        return { bound: res.rowCount > 0 };
+    }
+
+    async getFriendsState(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
 
         const meRs = await this.pool.query(
             `SELECT
@@ -1423,6 +3043,38 @@ class PostgresIdentityStore {
             [profileId]
         );
 
+        const blockedRs = await this.pool.query(
+            `SELECT
+                fb.blocked_profile_id,
+                fb.created_at,
+                up.nickname,
+                up.friend_code,
+                a.username
+             FROM friend_blocks fb
+             JOIN user_profiles up ON up.id = fb.blocked_profile_id
+             LEFT JOIN account_profile_links apl ON apl.profile_id = up.id
+             LEFT JOIN accounts a ON a.id = apl.account_id AND a.status = 'active'
+             WHERE fb.blocker_profile_id = $1
+             ORDER BY fb.created_at DESC`,
+            [profileId]
+        );
+
+        const mutedRs = await this.pool.query(
+            `SELECT
+                fm.muted_profile_id,
+                fm.created_at,
+                up.nickname,
+                up.friend_code,
+                a.username
+             FROM friend_mutes fm
+             JOIN user_profiles up ON up.id = fm.muted_profile_id
+             LEFT JOIN account_profile_links apl ON apl.profile_id = up.id
+             LEFT JOIN accounts a ON a.id = apl.account_id AND a.status = 'active'
+             WHERE fm.muter_profile_id = $1
+             ORDER BY fm.created_at DESC`,
+            [profileId]
+        );
+
         return {
             profileId: mePub.profileId,
             friends: friendsRs.rows.map((row) => ({
@@ -1450,10 +3102,36 @@ class PostgresIdentityStore {
                 friendCode: row.friend_code,
                 createdAt: toMs(row.created_at)
             })),
-            incomingCount: incomingRs.rowCount
+            incomingCount: incomingRs.rowCount,
+            blocked: blockedRs.rows.map((row) => ({
+                profileId: row.blocked_profile_id,
+                nickname: row.nickname,
+                username: row.username || null,
+                friendCode: row.friend_code,
+                blockedAt: toMs(row.created_at)
+            })),
+            muted: mutedRs.rows.map((row) => ({
+                profileId: row.muted_profile_id,
+                nickname: row.nickname,
+                username: row.username || null,
+                friendCode: row.friend_code,
+                mutedAt: toMs(row.created_at)
+            }))
         };
     }
 
+    async listFriendIds(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!UUID_RE.test(profileId)) return [];
+        const rs = await this.pool.query(
+            `SELECT CASE WHEN profile_a = $1 THEN profile_b ELSE profile_a END AS friend_profile_id
+             FROM friendships
+             WHERE profile_a = $1 OR profile_b = $1`,
+            [profileId]
+        );
+        return rs.rows.map((row) => row.friend_profile_id);
+    }
+
     async searchFriendProfiles(params) {
         const profileId = String(params && params.profileId ? params.profileId : '').trim();
         const query = String(params && params.query ? params.query : '').trim();
@@ -1472,9 +3150,13 @@ class PostgresIdentityStore {
              FROM user_profiles up
              LEFT JOIN account_profile_links apl ON apl.profile_id = up.id
              LEFT JOIN accounts a ON a.id = apl.account_id AND a.status = 'active'
-             WHERE up.friend_code = $1 OR a.username_norm = $2
+             WHERE (up.friend_code = $1 OR a.username_norm = $2)
+               AND NOT EXISTS (
+                 SELECT 1 FROM friend_blocks fb
+                 WHERE fb.blocker_profile_id = up.id AND fb.blocked_profile_id = $4
+               )
              LIMIT $3`,
-            [queryFriendCode, queryUsername, limit]
+            [queryFriendCode, queryUsername, limit, profileId]
         );
         if (!candidateRs.rowCount) return { results: [] };
 
@@ -1485,8 +3167,18 @@ class PostgresIdentityStore {
             let alreadyFriends = false;
             let pendingOutgoing = false;
             let pendingIncoming = false;
+            let blocked = false;
 
             if (!isSelf) {
+                const blockRs = await this.pool.query(
+                    `SELECT 1
+                     FROM friend_blocks
+                     WHERE blocker_profile_id = $1 AND blocked_profile_id = $2
+                     LIMIT 1`,
+                    [profileId, candidateId]
+                );
+                blocked = blockRs.rowCount > 0;
+
                 const frs = await this.pool.query(
                     `SELECT id
                      FROM friendships
@@ -1529,7 +3221,8 @@ class PostgresIdentityStore {
                     alreadyFriends,
                     pendingOutgoing,
                     pendingIncoming,
-                    canRequest: !(isSelf || alreadyFriends || pendingOutgoing || pendingIncoming)
+                    blocked,
+                    canRequest: !(isSelf || blocked || alreadyFriends || pendingOutgoing || pendingIncoming)
                 }
             });
         }
@@ -1554,6 +3247,16 @@ class PostgresIdentityStore {
             );
             if (profilesRs.rowCount < 2) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
 
+            const blockRs = await client.query(
+                `SELECT 1
+                 FROM friend_blocks
+                 WHERE (blocker_profile_id = $1 AND blocked_profile_id = $2)
+                    OR (blocker_profile_id = $2 AND blocked_profile_id = $1)
+                 LIMIT 1`,
+                [fromProfileId, toProfileId]
+            );
+            if (blockRs.rowCount) throw storeError('FRIEND_REQUEST_NOT_ALLOWED', 'friend request not allowed');
+
             const friendsRs = await client.query(
                 `SELECT id
                  FROM friendships
@@ -1668,6 +3371,529 @@ class PostgresIdentityStore {
         }
     }
 
+    async removeFriend(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const friendProfileId = String(params && params.friendProfileId ? params.friendProfileId : '').trim();
+        if (!profileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!friendProfileId || !UUID_RE.test(friendProfileId)) throw storeError('NOT_FRIENDS', 'not friends');
+        const rs = await this.pool.query(
+            `DELETE FROM friendships
+             WHERE (profile_a = $1 AND profile_b = $2)
+                OR (profile_a = $2 AND profile_b = $1)`,
+            [profileId, friendProfileId]
+        );
+        if (!rs.rowCount) throw storeError('NOT_FRIENDS', 'not friends');
+        return { profileId, friendProfileId, removed: true };
+    }
+
+    async blockProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !targetProfileId || !UUID_RE.test(targetProfileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (profileId === targetProfileId) throw storeError('BLOCK_NOT_ALLOWED', 'cannot block self');
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const profilesRs = await client.query(
+                `SELECT id
+                 FROM user_profiles
+                 WHERE id = ANY($1::uuid[])`,
+                [[profileId, targetProfileId]]
+            );
+            if (profilesRs.rowCount < 2) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+
+            const friendshipRs = await client.query(
+                `DELETE FROM friendships
+                 WHERE (profile_a = $1 AND profile_b = $2)
+                    OR (profile_a = $2 AND profile_b = $1)`,
+                [profileId, targetProfileId]
+            );
+            const cancelledRs = await client.query(
+                `UPDATE friend_requests
+                 SET status = 'cancelled', responded_at = NOW()
+                 WHERE status = 'pending'
+                   AND (
+                     (from_profile_id = $1 AND to_profile_id = $2)
+                     OR
+                     (from_profile_id = $2 AND to_profile_id = $1)
+                   )
+                 RETURNING id`,
+                [profileId, targetProfileId]
+            );
+            const blockRs = await client.query(
+                `INSERT INTO friend_blocks (blocker_profile_id, blocked_profile_id, created_at)
+                 VALUES ($1, $2, NOW())
+                 ON CONFLICT (blocker_profile_id, blocked_profile_id) DO NOTHING`,
+                [profileId, targetProfileId]
+            );
+            await client.query('COMMIT');
+            return {
+                profileId,
+                targetProfileId,
+                blocked: true,
+                alreadyBlocked: !blockRs.rowCount,
+                removedFriendship: friendshipRs.rowCount > 0,
+                cancelledRequestIds: cancelledRs.rows.map((row) => row.id)
+            };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async unblockProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!targetProfileId || !UUID_RE.test(targetProfileId)) throw storeError('NOT_BLOCKED', 'profile not blocked');
+        const rs = await this.pool.query(
+            `DELETE FROM friend_blocks
+             WHERE blocker_profile_id = $1 AND blocked_profile_id = $2`,
+            [profileId, targetProfileId]
+        );
+        if (!rs.rowCount) throw storeError('NOT_BLOCKED', 'profile not blocked');
+        return { profileId, targetProfileId, blocked: false };
+    }
+
+    async getBlockRelations(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const others = (Array.isArray(params && params.otherProfileIds) ? params.otherProfileIds : [])
+            .map(String)
+            .filter((id) => UUID_RE.test(id));
+        if (!profileId || !others.length) return { blockedByMe: [], blockedMe: [] };
+        const rs = await this.pool.query(
+            `SELECT blocker_profile_id, blocked_profile_id
+             FROM friend_blocks
+             WHERE (blocker_profile_id = $1 AND blocked_profile_id = ANY($2::uuid[]))
+                OR (blocked_profile_id = $1 AND blocker_profile_id = ANY($2::uuid[]))`,
+            [profileId, others]
+        );
+        return {
+            blockedByMe: rs.rows.filter((row) => row.blocker_profile_id === profileId).map((row) => row.blocked_profile_id),
+            blockedMe: rs.rows.filter((row) => row.blocked_profile_id === profileId).map((row) => row.blocker_profile_id)
+        };
+    }
+
+    async muteProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId || !targetProfileId || !UUID_RE.test(targetProfileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (profileId === targetProfileId) throw storeError('MUTE_NOT_ALLOWED', 'cannot mute self');
+
+        const profilesRs = await this.pool.query(
+            `SELECT id
+             FROM user_profiles
+             WHERE id = ANY($1::uuid[])`,
+            [[profileId, targetProfileId]]
+        );
+        if (profilesRs.rowCount < 2) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const rs = await this.pool.query(
+            `INSERT INTO friend_mutes (muter_profile_id, muted_profile_id, created_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (muter_profile_id, muted_profile_id) DO NOTHING`,
+            [profileId, targetProfileId]
+        );
+        return { profileId, targetProfileId, muted: true, alreadyMuted: !rs.rowCount };
+    }
+
+    async unmuteProfile(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!profileId) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        if (!targetProfileId || !UUID_RE.test(targetProfileId)) throw storeError('NOT_MUTED', 'profile not muted');
+        const rs = await this.pool.query(
+            `DELETE FROM friend_mutes
+             WHERE muter_profile_id = $1 AND muted_profile_id = $2`,
+            [profileId, targetProfileId]
+        );
+        if (!rs.rowCount) throw storeError('NOT_MUTED', 'profile not muted');
+        return { profileId, targetProfileId, muted: false };
+    }
+
+    async isProfileMuted(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const targetProfileId = String(params && params.targetProfileId ? params.targetProfileId : '').trim();
+        if (!UUID_RE.test(profileId) || !UUID_RE.test(targetProfileId)) return false;
+        const rs = await this.pool.query(
+            `SELECT 1
+             FROM friend_mutes
+             WHERE muter_profile_id = $1 AND muted_profile_id = $2`,
+            [profileId, targetProfileId]
+        );
+        return rs.rowCount > 0;
+    }
+
+    async recordMatchResult(params) {
+        const match = normalizeMatchRecord(params);
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const insertRs = await client.query(
+                `INSERT INTO match_history
+                    (id, room_code, map_key, started_at, ended_at, duration_ms, player_count, bot_count, ranked, participants)
+                 VALUES ($1, $2, $3, to_timestamp($4 / 1000.0), to_timestamp($5 / 1000.0), $6, $7, $8, $9, $10::jsonb)
+                 ON CONFLICT (id) DO NOTHING
+                 RETURNING id`,
+                [
+                    match.id,
+                    match.roomCode,
+                    match.mapKey,
+                    match.startedAt,
+                    match.endedAt,
+                    match.durationMs,
+                    match.playerCount,
+                    match.botCount,
+                    match.ranked,
+                    JSON.stringify(match.participants)
+                ]
+            );
+            if (!insertRs.rowCount) {
+                await client.query('COMMIT');
+                return { matchId: match.id, recorded: false };
+            }
+
+            const humans = match.participants.filter((p) => p.profileId && !p.isBot);
+            const knownRs = humans.length
+                ? await client.query(
+                    `SELECT id
+                     FROM user_profiles
+                     WHERE id = ANY($1::uuid[])`,
+                    [humans.map((p) => p.profileId)]
+                )
+                : { rows: [] };
+            const known = new Set(knownRs.rows.map((r) => r.id));
+
+            for (const p of humans) {
+                if (!known.has(p.profileId)) continue;
+                await client.query(
+                    `INSERT INTO match_participants
+                        (match_id, profile_id, kills, deaths, headshots, bot_kills, bot_headshots, best_killstreak, placement, ended_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, to_timestamp($10 / 1000.0))
+                     ON CONFLICT (match_id, profile_id) DO NOTHING`,
+                    [
+                        match.id,
+                        p.profileId,
+                        p.kills,
+                        p.deaths,
+                        p.headshots,
+                        p.botKills,
+                        p.botHeadshots,
+                        p.bestKillstreak,
+                        p.placement,
+                        match.endedAt
+                    ]
+                );
+                await client.query(
+                    `INSERT INTO profile_career_stats
+                        (profile_id, matches_played, wins, kills, deaths, headshots, best_killstreak, total_play_ms, last_match_at, updated_at)
+                     VALUES ($1, 1, $2, $3, $4, $5, $6, $7, to_timestamp($8 / 1000.0), NOW())
+                     ON CONFLICT (profile_id)
+                     DO UPDATE SET
+                        matches_played = profile_career_stats.matches_played + 1,
+                        wins = profile_career_stats.wins + EXCLUDED.wins,
+                        kills = profile_career_stats.kills + EXCLUDED.kills,
+                        deaths = profile_career_stats.deaths + EXCLUDED.deaths,
+                        headshots = profile_career_stats.headshots + EXCLUDED.headshots,
+                        best_killstreak = GREATEST(profile_career_stats.best_killstreak, EXCLUDED.best_killstreak),
+                        total_play_ms = profile_career_stats.total_play_ms + EXCLUDED.total_play_ms,
+                        last_match_at = GREATEST(profile_career_stats.last_match_at, EXCLUDED.last_match_at),
+                        updated_at = NOW()`,
+                    [
+                        p.profileId,
+                        p.placement === 1 ? 1 : 0,
+                        p.kills,
+                        p.deaths,
+                        p.headshots,
+                        p.bestKillstreak,
+                        match.durationMs,
+                        match.endedAt
+                    ]
+                );
+            }
+
+            const rated = ratedMatchEntries(match, (id) => known.has(id));
+            const ratingRs = rated.length > 1
+                ? await client.query(
+                    `SELECT profile_id, rating, matches_rated
+                     FROM profile_ratings
+                     WHERE profile_id = ANY($1::uuid[])
+                     FOR UPDATE`,
+                    [rated.map((p) => p.profileId)]
+                )
+                : { rows: [] };
+            const currentRatings = new Map(ratingRs.rows.map((r) => [r.profile_id, r]));
+            const ratingChanges = computeRatingChanges(rated.map((p) => {
+                const row = currentRatings.get(p.profileId);
+                const current = toProfileRating(row ? { rating: row.rating, matches: row.matches_rated } : null);
+                return { profileId: p.profileId, placement: p.placement, rating: current.rating, matches: current.matches };
+            }));
+            for (const [profileId, change] of Object.entries(ratingChanges)) {
+                await client.query(
+                    `INSERT INTO profile_ratings (profile_id, rating, matches_rated, updated_at)
+                     VALUES ($1, $2, $3, NOW())
+                     ON CONFLICT (profile_id)
+                     DO UPDATE SET
+                        rating = EXCLUDED.rating,
+                        matches_rated = EXCLUDED.matches_rated,
+                        updated_at = NOW()`,
+                    [profileId, change.after, change.matches]
+                );
+            }
+            await client.query('COMMIT');
+            return { matchId: match.id, recorded: true, ratingChanges };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getMatchHistory(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        const limit = Math.max(1, Math.min(MATCH_HISTORY_MAX_PAGE, Number(params && params.limit) || 20));
+        const cursor = parseHistoryCursor(params && params.cursor);
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+
+        const rs = await this.pool.query(
+            `SELECT
+                mh.id,
+                mh.room_code,
+                mh.map_key,
+                mh.started_at,
+                mh.ended_at,
+                mh.duration_ms,
+                mh.player_count,
+                mh.bot_count,
+                mh.participants
+             FROM match_participants mp
+             JOIN match_history mh ON mh.id = mp.match_id
+             WHERE mp.profile_id = $1
+               AND ($2::double precision IS NULL OR (mp.ended_at, mp.match_id) < (to_timestamp($2 / 1000.0), $3::uuid))
+             ORDER BY mp.ended_at DESC, mp.match_id DESC
+             LIMIT $4`,
+            [profileId, cursor ? cursor.endedAt : null, cursor ? cursor.matchId : null, limit + 1]
+        );
+        const entries = rs.rows.map((row) => toMatchHistoryEntry({
+            id: row.id,
+            roomCode: row.room_code,
+            mapKey: row.map_key,
+            startedAt: row.started_at,
+            endedAt: row.ended_at,
+            durationMs: row.duration_ms,
+            playerCount: row.player_count,
+            botCount: row.bot_count,
+            participants: row.participants
+        }, profileId));
+        const matches = entries.slice(0, limit);
+        return {
+            matches,
+            nextCursor: entries.length > limit ? makeHistoryCursor(matches[matches.length - 1]) : null
+        };
+    }
+
+    async getCareerStats(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const rs = await this.pool.query(
+            `SELECT
+                up.id,
+                pcs.matches_played,
+                pcs.wins,
+                pcs.kills,
+                pcs.deaths,
+                pcs.headshots,
+                pcs.best_killstreak,
+                pcs.total_play_ms,
+                pcs.last_match_at
+             FROM user_profiles up
+             LEFT JOIN profile_career_stats pcs ON pcs.profile_id = up.id
+             WHERE up.id = $1
+             LIMIT 1`,
+            [profileId]
+        );
+        if (!rs.rowCount) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const row = rs.rows[0];
+        return toCareerStats(profileId, {
+            matchesPlayed: row.matches_played,
+            wins: row.wins,
+            kills: row.kills,
+            deaths: row.deaths,
+            headshots: row.headshots,
+            bestKillstreak: row.best_killstreak,
+            totalPlayMs: row.total_play_ms,
+            lastMatchAt: row.last_match_at
+        });
+    }
+
+    // Grants are keyed by match and profile, so re-delivered results never add XP twice.
+    async grantMatchXp(params) {
+        const { matchId, grants } = normalizeXpGrants(params);
+        const progression = {};
+        if (!grants.length) return { matchId, progression };
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const knownRs = await client.query(
+                `SELECT id
+                 FROM user_profiles
+                 WHERE id = ANY($1::uuid[])`,
+                [grants.map((g) => g.profileId)]
+            );
+            const known = new Set(knownRs.rows.map((r) => r.id));
+            for (const grant of grants) {
+                if (!known.has(grant.profileId)) continue;
+                const insertRs = await client.query(
+                    `INSERT INTO profile_xp_grants (match_id, profile_id, xp, breakdown)
+                     VALUES ($1, $2, $3, $4::jsonb)
+                     ON CONFLICT (match_id, profile_id) DO NOTHING
+                     RETURNING profile_id`,
+                    [matchId, grant.profileId, grant.xp, JSON.stringify(grant.breakdown)]
+                );
+                if (!insertRs.rowCount) continue;
+                const xpRs = await client.query(
+                    `INSERT INTO profile_progression (profile_id, xp, updated_at)
+                     VALUES ($1, $2, NOW())
+                     ON CONFLICT (profile_id)
+                     DO UPDATE SET
+                        xp = profile_progression.xp + EXCLUDED.xp,
+                        updated_at = NOW()
+                     RETURNING xp`,
+                    [grant.profileId, grant.xp]
+                );
+                progression[grant.profileId] = toProgressionChange(grant, toCount(xpRs.rows[0].xp));
+            }
+            await client.query('COMMIT');
+            return { matchId, progression };
+        } catch (err) {
+            try { await client.query('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getProgression(params) {
+        const profileId = String(params && params.profileId ? params.profileId : '').trim();
+        if (!profileId || !UUID_RE.test(profileId)) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        const rs = await this.pool.query(
+            `SELECT up.id, pp.xp
+             FROM user_profiles up
+             LEFT JOIN profile_progression pp ON pp.profile_id = up.id
+             WHERE up.id = $1
+             LIMIT 1`,
+            [profileId]
+        );
+        if (!rs.rowCount) throw storeError('PROFILE_NOT_FOUND', 'profile not found');
+        return toProgression({ xp: rs.rows[0].xp });
+    }
+
+    async getLeaderboard(params) {
+        const query = normalizeLeaderboardQuery(params);
+        const rs = await this.pool.query(
+            `WITH totals AS (
+                SELECT
+                    mp.profile_id,
+                    COUNT(*)::int AS matches_played,
+                    SUM(CASE WHEN mp.placement = 1 AND mh.player_count >= 2 THEN 1 ELSE 0 END)::int AS wins,
+                    SUM(GREATEST(mp.kills - mp.bot_kills, 0))::int AS kills,
+                    SUM(mp.deaths)::int AS deaths,
+                    SUM(GREATEST(mp.headshots - mp.bot_headshots, 0))::int AS headshots
+                FROM match_participants mp
+                JOIN match_history mh ON mh.id = mp.match_id
+                WHERE mh.ranked
+                  AND ($1::double precision IS NULL OR mp.ended_at >= to_timestamp($1 / 1000.0))
+                GROUP BY mp.profile_id
+             ),
+             scored AS (
+                SELECT
+                    t.*,
+                    ${LEADERBOARD_VALUE_SQL[query.metric]} AS value,
+                    up.nickname,
+                    up.friend_code,
+                    a.username,
+                    a.status AS account_status
+                FROM totals t
+                JOIN user_profiles up ON up.id = t.profile_id
+                LEFT JOIN account_profile_links apl ON apl.profile_id = t.profile_id
+                LEFT JOIN accounts a ON a.id = apl.account_id
+                WHERE t.matches_played >= $2
+                  AND ($3::boolean OR a.status = 'active')
+                  AND ($4::uuid IS NULL OR t.profile_id = $4 OR EXISTS (
+                        SELECT 1
+                        FROM friendships f
+                        WHERE (f.profile_a = $4 AND f.profile_b = t.profile_id)
+                           OR (f.profile_b = $4 AND f.profile_a = t.profile_id)
+                  ))
+             ),
+             ranked AS (
+                SELECT
+                    s.*,
+                    ROW_NUMBER() OVER (ORDER BY s.value DESC, s.matches_played ASC, s.profile_id ASC) AS rank,
+                    COUNT(*) OVER () AS total
+                FROM scored s
+             )
+             SELECT *
+             FROM ranked
+             WHERE (rank > $5 AND rank <= $5 + $6) OR profile_id = $7::uuid
+             ORDER BY rank`,
+            [
+                query.since,
+                query.minMatches,
+                query.includeGuests,
+                query.friendsOnly ? query.viewerProfileId : null,
+                query.offset,
+                query.limit,
+                query.viewerProfileId
+            ]
+        );
+        const rows = rs.rows.map((row) => ({
+            row,
+            entry: toLeaderboardEntry({
+                rank: row.rank,
+                profileId: row.profile_id,
+                nickname: row.nickname,
+                friendCode: row.friend_code,
+                username: row.username,
+                isGuest: row.account_status !== 'active',
+                value: row.value,
+                matchesPlayed: row.matches_played,
+                wins: row.wins,
+                kills: row.kills,
+                deaths: row.deaths,
+                headshots: row.headshots
+            })
+        }));
+        const page = rows.filter((r) => r.entry.rank > query.offset && r.entry.rank <= query.offset + query.limit);
+        const mine = rows.find((r) => r.entry.profileId === query.viewerProfileId);
+        return toLeaderboardPage(
+            query,
+            rows.length ? Number(rows[0].row.total) || 0 : 0,
+            page.map((r) => r.entry),
+            mine ? mine.entry : null
+        );
+    }
+
+    async getRatings(params) {
+        const profileIds = normalizeRatingLookup(params);
+        if (!profileIds.length) return {};
+        const rs = await this.pool.query(
+            `SELECT up.id, pr.rating, pr.matches_rated
+             FROM user_profiles up
+             LEFT JOIN profile_ratings pr ON pr.profile_id = up.id
+             WHERE up.id = ANY($1::uuid[])`,
+            [profileIds]
+        );
+        const out = {};
+        rs.rows.forEach((row) => {
+            out[row.id] = toProfileRating({ rating: row.rating, matches: row.matches_rated });
+        });
+        return out;
+    }
+
     async close() {
         if (!this.pool) return true;
         await this.pool.end();
@@ -1683,5 +3909,6 @@ function createIdentityStore() {
 }
 
 module.exports = {
-    createIdentityStore
+    createIdentityStore,
+    randomUuid
 };
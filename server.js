@@ -8,9 +8,15 @@ const socketIO = require('socket.io');
 const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs');
+const zlib = require('zlib');
 const nodemailer = require('nodemailer');
 const { Encoder: SocketIoPacketEncoder } = require('socket.io-parser');
-const { createIdentityStore } = require('./identity-store');
+const { createIdentityStore, randomUuid } = require('./identity-store');
+const {
+    STATE_CODEC_VERSIONS,
+    createStateCodecContext,
+    encodeStateUpdate
+} = require('./state-codec');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,6 +56,9 @@ const DATA_DIR = path.join(__dirname, 'data');
 const ANTI_CHEAT_RECENT_FILE = path.join(DATA_DIR, 'anti-cheat-recent.jsonl');
 const ANTI_CHEAT_ESCALATIONS_FILE = path.join(DATA_DIR, 'anti-cheat-escalations.jsonl');
 const ANTI_CHEAT_SNAPSHOTS_FILE = path.join(DATA_DIR, 'anti-cheat-room-snapshots.jsonl');
+const ADMIN_AUDIT_FILE = path.join(DATA_DIR, 'admin-audit.jsonl');
+const REPLAYS_DIR = path.join(DATA_DIR, 'replays');
+const REPLAY_INDEX_FILE = path.join(REPLAYS_DIR, 'index.jsonl');
 
 // ==================== GAME CONSTANTS ====================
 const MAP_WIDTH = 3000;
@@ -57,13 +66,31 @@ const MAP_HEIGHT = 2000;
 const TICK_RATE = envInt('TICK_RATE', 30, 10, 60);
 const TICK_MS = 1000 / TICK_RATE;
 const STATE_FULL_SNAPSHOT_INTERVAL_MS = envInt('STATE_FULL_SNAPSHOT_INTERVAL_MS', 1000, 250, 5000);
+const STATE_INTEREST_RADIUS = envInt('STATE_INTEREST_RADIUS', 0, 0, 10000); // 0 = no distance culling
 const BASE_SPEED_PER_SEC = 127.05; // 2.1175 * 60fps
 const MAX_PLAYERS_PER_ROOM = 6;
+const MAX_SPECTATORS_PER_ROOM = envInt('MAX_SPECTATORS_PER_ROOM', 8, 0, 100);
 const BOT_COUNT = 5;
+const BOT_DIFFICULTIES = {
+    easy: { reactionMs: 650, aimErrorRad: 0.22, extraChargeMs: 450, sightRange: 600, strafeChance: 0.2 },
+    normal: { reactionMs: 400, aimErrorRad: 0.11, extraChargeMs: 220, sightRange: 800, strafeChance: 0.45 },
+    hard: { reactionMs: 220, aimErrorRad: 0.045, extraChargeMs: 80, sightRange: 1000, strafeChance: 0.7 }
+};
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+const BOT_NAMES = ['Falcon', 'Viper', 'Nomad', 'Raven', 'Scout', 'Ghost', 'Hawk', 'Cobra'];
+const BOT_PREFERRED_RANGE_MIN = 220;
+const BOT_PREFERRED_RANGE_MAX = 420;
+const BOT_STUCK_TICKS = 6;
 const GAME_DURATION = 110; // 1 minute 50 seconds
 const PLAYER_RESPAWN_DELAY = 3000;
 const BUFF_RESPAWN_DELAY = 6000;
 const KILL_CHAIN_WINDOW = 6000;
+const AWARD_MIN_SHOTS = 5; // Sharpshooter needs a real sample, not one lucky arrow
+const XP_PER_KILL = 10;
+const XP_PER_HEADSHOT = 5; // on top of the kill it ended
+const XP_MATCH_COMPLETE = 25;
+const XP_PLACEMENT = [50, 30, 15]; // placements 1-3
+const XP_MIN_MATCH_MS = 60 * 1000; // shorter matches (everyone left early) grant nothing
 const COUNTDOWN_DURATION = 3000;
 const MIN_SHOT_INTERVAL_MS = 140; // server-side fire rate cap
 const BASE_CHARGE_REQUIRED_MS = 1000;
@@ -79,6 +106,13 @@ const PROJECTILE_HIT_RADIUS = PLAYER_BODY_RADIUS + PROJECTILE_COLLISION_RADIUS;
 // Headshot when projectile touches the small head circle (with extra tolerance for mobile/net jitter).
 const PROJECTILE_HEADSHOT_RADIUS = PLAYER_HEAD_VISUAL_RADIUS + PROJECTILE_COLLISION_RADIUS + 5; // 16
 const MAX_ACTIVE_PROJECTILES_PER_PLAYER = 8;
+const LAG_COMP_ENABLED = envBool('LAG_COMP_ENABLED', true);
+// Upper bound on how far back a shot may be resolved, whatever RTT the client reports.
+const LAG_COMP_MAX_REWIND_MS = envInt('LAG_COMP_MAX_REWIND_MS', 200, 0, 1000);
+// Client render delay behind the newest snapshot (interpolation buffer).
+const LAG_COMP_INTERP_DELAY_MS = envInt('LAG_COMP_INTERP_DELAY_MS', 100, 0, 500);
+const LAG_COMP_MAX_REPORTED_RTT_MS = 2000;
+const LAG_COMP_INPUT_ARRIVALS = 64;
 const MAX_INPUT_AHEAD_SEQ = 200;
 const MAX_INPUT_STALE_MS = 4000;
 const MAX_INPUT_SEQ_VALUE = 1000000000;
@@ -86,15 +120,22 @@ const MAX_ABS_ANGLE = Math.PI * 32;
 const SHOT_ANGLE_WARN_DELTA = 1.8; // ~103 degrees
 const SHOT_ANGLE_HARD_DELTA = 2.75; // ~157 degrees
 const ANTI_CHEAT_LOG_COOLDOWN_MS = 2000;
-const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 14; // 14 days
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 14; // 14 days (refresh session lifetime, sliding on rotate)
+const SESSION_ACCESS_TTL_MS = envInt('SESSION_ACCESS_TTL_MS', 15 * 60 * 1000, 60 * 1000, 24 * 60 * 60 * 1000);
 const SESSION_SECRET = process.env.SESSION_SECRET || 'headshooter-dev-secret-change-me';
 const MATCH_RESULT_TTL_MS = 30 * 60 * 1000;
+const LEADERBOARD_INCLUDE_GUESTS = envBool('LEADERBOARD_INCLUDE_GUESTS', false);
+const LEADERBOARD_CACHE_TTL_MS = envInt('LEADERBOARD_CACHE_TTL_MS', 30 * 1000, 1000, 10 * 60 * 1000);
+const MAX_LEADERBOARD_CACHE_ENTRIES = 500;
+const LEADERBOARD_IP_WINDOW_MS = 30000;
+const MAX_LEADERBOARD_PER_IP_WINDOW = 30;
 const AUTH_VERIFY_TTL_MS = envInt('AUTH_VERIFY_TTL_MS', 10 * 60 * 1000, 60 * 1000, 24 * 60 * 60 * 1000);
 const AUTH_VERIFY_RESEND_COOLDOWN_MS = envInt('AUTH_VERIFY_RESEND_COOLDOWN_MS', 60 * 1000, 1000, 10 * 60 * 1000);
 const AUTH_VERIFY_MAX_SENDS_PER_HOUR = envInt('AUTH_VERIFY_MAX_SENDS_PER_HOUR', 5, 1, 100);
 const AUTH_VERIFY_MAX_ATTEMPTS = envInt('AUTH_VERIFY_MAX_ATTEMPTS', 8, 1, 100);
 const AUTH_PASSWORD_MIN_LEN = envInt('AUTH_PASSWORD_MIN_LEN', 8, 6, 128);
 const AUTH_PASSWORD_MAX_LEN = envInt('AUTH_PASSWORD_MAX_LEN', 72, AUTH_PASSWORD_MIN_LEN, 256);
+const AUTH_PASSWORD_RESET_MESSAGE = 'If that email belongs to a verified account, a reset code is on its way.';
 const AUTH_SCRYPT_N = envInt('AUTH_SCRYPT_N', 16384, 1024, 1048576);
 const AUTH_SCRYPT_R = envInt('AUTH_SCRYPT_R', 8, 1, 32);
 const AUTH_SCRYPT_P = envInt('AUTH_SCRYPT_P', 1, 1, 16);
@@ -108,6 +149,28 @@ const AUTH_SMTP_PASS = String(process.env.AUTH_SMTP_PASS || '');
 const AUTH_EMAIL_FROM = String(process.env.AUTH_EMAIL_FROM || AUTH_SMTP_USER || '').trim();
 const AUTH_ALLOW_OTP_FALLBACK = envBool('AUTH_ALLOW_OTP_FALLBACK', IS_DEV_MODE);
 const AUTH_REQUIRE_PERSISTENT_STORE = envBool('AUTH_REQUIRE_PERSISTENT_STORE', !IS_DEV_MODE);
+const AUTH_THROTTLE_WINDOW_MS = envInt('AUTH_THROTTLE_WINDOW_MS', 15 * 60 * 1000, 60 * 1000, 24 * 60 * 60 * 1000);
+const AUTH_THROTTLE_ACCOUNT_FREE_FAILURES = envInt('AUTH_THROTTLE_ACCOUNT_FREE_FAILURES', 3, 0, 100);
+const AUTH_THROTTLE_IP_FREE_FAILURES = envInt('AUTH_THROTTLE_IP_FREE_FAILURES', 10, 0, 1000);
+const AUTH_THROTTLE_BASE_DELAY_MS = envInt('AUTH_THROTTLE_BASE_DELAY_MS', 1000, 100, 60 * 1000);
+const AUTH_THROTTLE_MAX_DELAY_MS = envInt('AUTH_THROTTLE_MAX_DELAY_MS', 60 * 1000, AUTH_THROTTLE_BASE_DELAY_MS, 15 * 60 * 1000);
+const AUTH_LOCKOUT_ACCOUNT_FAILURES = envInt('AUTH_LOCKOUT_ACCOUNT_FAILURES', 10, 2, 1000);
+const AUTH_LOCKOUT_IP_FAILURES = envInt('AUTH_LOCKOUT_IP_FAILURES', 50, 2, 10000);
+const AUTH_LOCKOUT_MS = envInt('AUTH_LOCKOUT_MS', 15 * 60 * 1000, 60 * 1000, 24 * 60 * 60 * 1000);
+const MAX_AUTH_LOCKOUT_RECENT = 100;
+// Number of reverse proxies in front of the server; each appends one X-Forwarded-For entry.
+const TRUST_PROXY_HOPS = envInt('TRUST_PROXY_HOPS', IS_DEV_MODE ? 0 : 1, 0, 10);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+const ADMIN_OPERATOR_TOKEN = String(process.env.ADMIN_OPERATOR_TOKEN || '').trim();
+const ADMIN_VIEWER_TOKEN = String(process.env.ADMIN_VIEWER_TOKEN || '').trim();
+const ADMIN_AUTH_CONFIGURED = !!(ADMIN_OPERATOR_TOKEN || ADMIN_VIEWER_TOKEN);
+const ADMIN_SESSION_TTL_MS = envInt('ADMIN_SESSION_TTL_MS', 8 * 60 * 60 * 1000, 5 * 60 * 1000, 7 * 24 * 60 * 60 * 1000);
+const ADMIN_SESSION_COOKIE = 'hs_admin';
+const ADMIN_LOGIN_WINDOW_MS = 5 * 60 * 1000;
+const MAX_ADMIN_LOGIN_PER_IP_WINDOW = 10;
+const ADMIN_ROLE_LEVELS = { viewer: 1, operator: 2 };
+// Viewers get aggregate telemetry only; these identifiers are masked unless the caller is an operator.
+const ADMIN_VIEWER_REDACTED_KEYS = new Set(['persistentId', 'socketId', 'playerId', 'playerKey', 'profileId', 'ip', 'login']);
 const MAX_ANTI_CHEAT_REASON_SAMPLE = 20;
 const MAX_ANTI_CHEAT_RECENT = 100;
 const RECONNECT_GUARD_WINDOW_MS = 20000;
@@ -135,9 +198,20 @@ const HARD_BLOCK_MS = envInt('ANTI_CHEAT_HARD_BLOCK_MS', 8000, 500, 600000);
 const BLOCK_LOG_COOLDOWN_MS = 1200;
 const ACTIVE_MATCH_STATES = new Set(['playing', 'starting', 'countdown']);
 const PARTY_INVITE_TTL_MS = envInt('PARTY_INVITE_TTL_MS', 45000, 5000, 10 * 60 * 1000);
+const FRIEND_PRESENCE_SWEEP_MS = 1000;
+const QUICK_QUEUE_REGION = 'me';
+const QUICK_QUEUE_TICK_MS = 1000;
+const QUICK_QUEUE_TIMEOUT_MS = envInt('QUICK_QUEUE_TIMEOUT_MS', 120000, 10000, 15 * 60 * 1000);
+// After this wait the oldest ticket matches with whatever fits instead of waiting for a full room.
+const QUICK_QUEUE_PARTIAL_FILL_MS = envInt('QUICK_QUEUE_PARTIAL_FILL_MS', 30000, 0, 10 * 60 * 1000);
+const QUICK_QUEUE_MIN_PLAYERS = envInt('QUICK_QUEUE_MIN_PLAYERS', 2, 1, MAX_PLAYERS_PER_ROOM);
+const QUICK_QUEUE_TICKET_RETENTION_MS = 10 * 60 * 1000;
 const INSTANT_RESPAWN_MATCH_CHARGES = 3;
 const NET_MONITOR_ENABLED = envBool('NET_MONITOR_ENABLED', IS_DEV_MODE);
 const NET_MONITOR_LOG_INTERVAL_MS = envInt('NET_MONITOR_LOG_INTERVAL_MS', 5000, 1000, 60000);
+const REPLAY_ENABLED = envBool('REPLAY_ENABLED', true);
+const REPLAY_MAX_FILES = envInt('REPLAY_MAX_FILES', 200, 1, 10000);
+const REPLAY_FORMAT_VERSION = 1;
 
 const KILLSTREAK_TIERS = {
     EXTRA_CORE: 3,
@@ -147,143 +221,64 @@ const KILLSTREAK_TIERS = {
     LEGENDARY: 12
 };
 
-const MAPS = ['forest', 'canyon', 'island'];
-
-const MAP_CONFIGS = {
-        forest: {
-            name: 'Forest',
-            floorColor: '#1a3a1a',
-            gridColor: 'rgba(60,120,60,0.2)',
-            objects: [
-                // Trees (high density, avoid spawns)
-                {x:400,y:400,w:60,h:60,type:'tree',style:0},
-                {x:500,y:350,w:60,h:60,type:'tree',style:1},
-                {x:650,y:300,w:60,h:60,type:'tree',style:2},
-                {x:800,y:250,w:60,h:60,type:'tree',style:3},
-                {x:2200,y:300,w:60,h:60,type:'tree',style:4},
-                {x:2400,y:350,w:60,h:60,type:'tree',style:5},
-                {x:2600,y:400,w:60,h:60,type:'tree',style:0},
-                {x:2700,y:500,w:60,h:60,type:'tree',style:1},
-                {x:350,y:600,w:60,h:60,type:'tree',style:2},
-                {x:300,y:800,w:60,h:60,type:'tree',style:3},
-                {x:2750,y:800,w:60,h:60,type:'tree',style:4},
-                {x:2700,y:1100,w:60,h:60,type:'tree',style:5},
-                {x:300,y:1200,w:60,h:60,type:'tree',style:0},
-                {x:350,y:1400,w:60,h:60,type:'tree',style:1},
-                {x:2750,y:1200,w:60,h:60,type:'tree',style:2},
-                {x:2700,y:1500,w:60,h:60,type:'tree',style:3},
-                {x:400,y:1600,w:60,h:60,type:'tree',style:4},
-                {x:600,y:1700,w:60,h:60,type:'tree',style:5},
-                {x:2200,y:1700,w:60,h:60,type:'tree',style:0},
-                {x:2400,y:1650,w:60,h:60,type:'tree',style:1},
-                {x:1000,y:800,w:60,h:60,type:'tree',style:2},
-                {x:1100,y:850,w:60,h:60,type:'tree',style:3},
-                {x:1200,y:900,w:60,h:60,type:'tree',style:4},
-                {x:1800,y:800,w:60,h:60,type:'tree',style:5},
-                {x:1900,y:850,w:60,h:60,type:'tree',style:0},
-                {x:2000,y:900,w:60,h:60,type:'tree',style:1},
-                {x:1000,y:1200,w:60,h:60,type:'tree',style:2},
-                {x:1100,y:1150,w:60,h:60,type:'tree',style:3},
-                {x:1800,y:1200,w:60,h:60,type:'tree',style:4},
-                {x:1900,y:1150,w:60,h:60,type:'tree',style:5},
-                // Ponds (collision, projectiles pass over)
-                {x:800,y:600,width:120,height:80,type:'pond'},
-                {x:2200,y:1400,width:130,height:90,type:'pond'},
-                {x:1500,y:500,width:110,height:75,type:'pond'},
-                // Decorative skeletons (no collision)
-                {x:900,y:1000,type:'skeleton'},
-                {x:1700,y:1100,type:'skeleton'},
-                {x:1200,y:600,type:'skeleton'},
-                {x:2100,y:800,type:'skeleton'}
-            ]
-        },
-        canyon: {
-            name: 'Canyon',
-            floorColor: '#3a2a1a',
-            gridColor: 'rgba(100,80,60,0.2)',
-            objects: [
-                // Rocks (high density)
-                {x:450,y:450,w:90,h:90,type:'rock',style:0},
-                {x:700,y:350,w:100,h:100,type:'rock',style:1},
-                {x:900,y:300,w:85,h:85,type:'rock',style:2},
-                {x:2100,y:300,w:95,h:95,type:'rock',style:3},
-                {x:2350,y:350,w:90,h:90,type:'rock',style:0},
-                {x:2550,y:450,w:100,h:100,type:'rock',style:1},
-                {x:350,y:700,w:85,h:85,type:'rock',style:2},
-                {x:300,y:950,w:90,h:90,type:'rock',style:3},
-                {x:2700,y:700,w:95,h:95,type:'rock',style:0},
-                {x:2750,y:950,w:100,h:100,type:'rock',style:1},
-                {x:300,y:1300,w:85,h:85,type:'rock',style:2},
-                {x:350,y:1500,w:90,h:90,type:'rock',style:3},
-                {x:2700,y:1300,w:95,h:95,type:'rock',style:0},
-                {x:2650,y:1550,w:100,h:100,type:'rock',style:1},
-                {x:450,y:1650,w:85,h:85,type:'rock',style:2},
-                {x:700,y:1700,w:90,h:90,type:'rock',style:3},
-                {x:2100,y:1700,w:95,h:95,type:'rock',style:0},
-                {x:2350,y:1650,w:100,h:100,type:'rock',style:1},
-                {x:1000,y:700,w:110,h:110,type:'rock',style:2},
-                {x:1200,y:750,w:95,h:95,type:'rock',style:3},
-                {x:1400,y:800,w:100,h:100,type:'rock',style:0},
-                {x:1600,y:750,w:90,h:90,type:'rock',style:1},
-                {x:1800,y:700,w:105,h:105,type:'rock',style:2},
-                {x:2000,y:750,w:95,h:95,type:'rock',style:3},
-                {x:1000,y:1300,w:100,h:100,type:'rock',style:0},
-                {x:1200,y:1250,w:90,h:90,type:'rock',style:1},
-                {x:1400,y:1200,w:110,h:110,type:'rock',style:2},
-                {x:1600,y:1250,w:95,h:95,type:'rock',style:3},
-                {x:1800,y:1300,w:100,h:100,type:'rock',style:0},
-                {x:2000,y:1250,w:90,h:90,type:'rock',style:1},
-                // Chasms/pits (collision)
-                {x:1100,y:500,width:140,height:90,type:'chasm'},
-                {x:1900,y:1500,width:150,height:100,type:'chasm'},
-                // Cacti (collision)
-                {x:500,y:1000,w:40,h:60,type:'cactus'},
-                {x:2500,y:1000,w:40,h:60,type:'cactus'},
-                {x:1500,y:400,w:40,h:60,type:'cactus'},
-                {x:1500,y:1600,w:40,h:60,type:'cactus'}
-            ]
-        },
-        island: {
-            name: 'Island',
-            floorColor: '#1a4d4d',  // Deep tropical teal
-            gridColor: 'rgba(80,140,140,0.2)',
-            objects: [
-                {x:1500,y:1000,width:500,height:350,type:'lake'},
-                {x:500,y:500,width:300,height:200,type:'lake'},
-                {x:2500,y:500,width:300,height:200,type:'lake'},
-                {x:500,y:1500,width:300,height:200,type:'lake'},
-                {x:2500,y:1500,width:300,height:200,type:'lake'},
-                {x:900,y:400,w:60,h:60,type:'tree',style:0},
-                {x:1000,y:350,w:60,h:60,type:'tree',style:1},
-                {x:2100,y:350,w:60,h:60,type:'tree',style:2},
-                {x:2000,y:400,w:60,h:60,type:'tree',style:3},
-                {x:900,y:1650,w:60,h:60,type:'tree',style:4},
-                {x:1000,y:1700,w:60,h:60,type:'tree',style:5},
-                {x:2000,y:1650,w:60,h:60,type:'tree',style:0},
-                {x:2100,y:1700,w:60,h:60,type:'tree',style:1},
-                {x:1000,y:800,w:80,h:80,type:'rock',style:0},
-                {x:1200,y:850,w:85,h:85,type:'rock',style:1},
-                {x:1800,y:850,w:90,h:90,type:'rock',style:2},
-                {x:2000,y:800,w:80,h:80,type:'rock',style:3},
-                {x:1000,y:1200,w:85,h:85,type:'rock',style:0},
-                {x:1200,y:1150,w:80,h:80,type:'rock',style:1},
-                {x:1800,y:1150,w:90,h:90,type:'rock',style:2},
-                {x:2000,y:1200,w:85,h:85,type:'rock',style:3}
-            ]
-        }
-    };
-
-const PLAYER_SPAWNS = [
-    {id:'P1',x:200,y:200}, {id:'P2',x:2800,y:200}, {id:'P3',x:200,y:1800},
-    {id:'P4',x:2800,y:1800}, {id:'P5',x:1500,y:150}, {id:'P6',x:1500,y:1850}
-];
+const MAP_SELECTION_MODES = ['leader', 'vote'];
+const RANDOM_MAP_CHOICE = 'random';
+const GAME_MODES = ['ffa', 'tdm', 'koth'];
+const DEFAULT_GAME_MODE = 'ffa';
+const TDM_TEAM_SIZES = [2, 3];
+const DEFAULT_TDM_TEAM_SIZE = 3;
+const TEAMS = ['red', 'blue'];
+const KOTH_ZONE_RADIUS = 140;
+const KOTH_ZONE_MOVE_MS = 30000; // the hill relocates this often
+const KOTH_CAPTURE_MS = 3000; // time alone in the zone to capture it (and to neutralize someone else's)
+const KOTH_SCORE_LIMIT = 60; // hill points (one per second held) when the room has no scoreLimit rule
+
+const MAPS_DIR = process.env.MAPS_DIR ? path.resolve(process.env.MAPS_DIR) : path.join(__dirname, 'maps');
+const MAP_KEY_RE = /^[a-z0-9_-]{2,24}$/;
+const MAP_COLLIDER_TYPES = ['tree', 'rock', 'cactus', 'lake', 'pond', 'chasm']; // block player movement
+const MAP_AREA_TYPES = ['lake', 'pond', 'chasm']; // ellipses sized by width/height; projectiles pass over
+const MAP_PROJECTILE_BLOCKER_TYPES = ['tree', 'rock', 'cactus'];
+const MAP_DECOR_TYPES = ['skeleton']; // drawn by the client, no collision
+const MAP_SPAWN_MARGIN = 20; // players are clamped this far inside the map edge
+const MAP_REACH_CELL = 20; // flood-fill grid size for the reachability check
+const MAP_COLLISION_GRID_ENABLED = envBool('MAP_COLLISION_GRID', true); // off = brute-force scan, for comparison
+const MAP_GRID_CELL = envInt('MAP_GRID_CELL', 100, 25, 1000);
+const PLAYER_COLLISION_RADIUS = 18;
+const PROJECTILE_BLOCK_PADDING = 3;
+const TICK_COST_SAMPLE_SIZE = 600; // rolling window for tick percentiles (~20s at 30Hz)
+const collisionMetrics = {
+    queries: 0,
+    objectChecks: 0 // candidate objects tested across all queries
+};
 
-const BUFF_SPAWNS = [
-    {id:'B1',x:600,y:600}, {id:'B2',x:2400,y:600}, {id:'B3',x:600,y:1400},
-    {id:'B4',x:2400,y:1400}, {id:'B5',x:300,y:1000}, {id:'B6',x:2700,y:1000}
-];
+const mapCatalog = loadMapCatalog(MAPS_DIR);
+// Validation runs thousands of reachability queries; report only gameplay traffic.
+collisionMetrics.queries = 0;
+collisionMetrics.objectChecks = 0;
+const MAP_CONFIGS = mapCatalog.maps;
+const MAPS = Object.keys(MAP_CONFIGS);
+if (!MAPS.length) {
+    console.error(`[maps] no valid map definitions in ${MAPS_DIR}`);
+    process.exit(1);
+}
 
 const BUFF_TYPES = ['health', 'shield', 'invis', 'speed'];
+const DEFAULT_STARTING_HP = 3;
+// Leader-configurable per room; the defaults are the classic match.
+const DEFAULT_ROOM_RULES = Object.freeze({
+    durationSec: GAME_DURATION,
+    scoreLimit: 0, // first to N kills (team kills in tdm, hill points in koth); 0 = time limit only
+    respawnDelayMs: PLAYER_RESPAWN_DELAY,
+    buffs: Object.freeze(BUFF_TYPES.slice()), // enabled buff types; empty = no buffs spawn
+    headshotOnly: false, // body hits do no damage
+    startingHp: DEFAULT_STARTING_HP
+});
+const ROOM_RULE_LIMITS = {
+    durationSec: [30, 600],
+    scoreLimit: [0, 100],
+    respawnDelayMs: [0, 15000],
+    startingHp: [1, 10]
+};
 
 // ==================== ROOM MANAGEMENT ====================
 const rooms = {};
@@ -294,9 +289,20 @@ if (identityStore && identityStore.mode) {
         console.warn('[identity] DATABASE_URL is not set. Accounts/friends are in memory and will reset on restart/redeploy.');
     }
 }
-const sessions = {}; // persistentId -> { token, name, exp, profileId, friendCode, username, isGuest }
+const sessions = {}; // persistentId -> { token, name, exp, profileId, friendCode, username, isGuest, sessionId }
+const revokedSessionIds = {}; // sessionId -> revokedAt; access tokens carrying it are refused until they expire
 const pendingMatchResults = {}; // persistentId -> { roomCode, players, endedAt, exp }
+const friendPresenceByProfile = {}; // profileId -> { key, presence } last presence pushed to friends
+let friendPresenceSweepRunning = false;
 const partyInvitesById = {}; // inviteId -> { id, roomCode, fromProfileId, fromName, toProfileId, status, createdAt, expiresAt, respondedAt }
+const quickQueueTicketsById = {}; // ticketId -> { id, roomCode, leaderProfileId, region, status, partySize, queuedAt, matchedAt, closedAt, cancelReason, cancelledByProfileId }
+const quickQueueMetrics = {
+    ticketsCreated: 0,
+    ticketsMatched: 0,
+    ticketsCancelled: 0,
+    totalQueueTimeMs: 0,
+    cancelReasons: {}
+};
 const antiCheatMetrics = {
     startedAt: Date.now(),
     totalSuspiciousEvents: 0,
@@ -316,6 +322,8 @@ const antiCheatMetrics = {
 };
 const reconnectGuard = {}; // persistentId -> { start, count }
 const adRewardStateByPersistent = {}; // persistentId -> { instantRespawnPending, updatedAt }
+const leaderboardCache = new Map(); // query key -> { expiresAt, promise }
+const leaderboardGuards = {}; // ip -> { start, count }
 const handshakeGuards = {
     connectionByIp: {},
     registerByIp: {},
@@ -324,6 +332,18 @@ const handshakeGuards = {
     joinByIp: {},
     joinByPid: {}
 };
+const authThrottle = {
+    byIp: {}, // ip -> { windowStart, failures, blockedUntil, lockedUntil }
+    byAccount: {} // `${route}:${login}` -> same shape
+};
+const authThrottleMetrics = {
+    failures: 0,
+    blockedRequests: 0,
+    backoffs: 0,
+    lockouts: 0,
+    recentLockouts: []
+};
+let authDummyPasswordHashPromise = null;
 const socketIoPacketEncoder = new SocketIoPacketEncoder();
 const NET_MONITOR_IGNORED_EVENTS = new Set([
     'heartbeat',
@@ -335,6 +355,15 @@ const NET_MONITOR_IGNORED_EVENTS = new Set([
 const netMonitor = {
     rooms: {}
 };
+const tickMetrics = {
+    ticks: 0,
+    totalMs: 0,
+    maxMs: 0,
+    overBudget: 0, // ticks that took longer than TICK_MS
+    samples: new Float64Array(TICK_COST_SAMPLE_SIZE),
+    sampleCount: 0,
+    sampleIndex: 0
+};
 
 function createNetDirectionStats() {
     return {
@@ -352,7 +381,8 @@ function createNetDirectionStats() {
 function createNetTrafficStats() {
     return {
         in: createNetDirectionStats(),
-        out: createNetDirectionStats()
+        out: createNetDirectionStats(),
+        binaryState: createBinaryStateStats()
     };
 }
 
@@ -430,6 +460,7 @@ function ensureRoomNetMonitor(roomCode) {
             matchActive: false,
             matchStartedAt: 0,
             sampleStartedAt: 0,
+            binaryCompareDue: false,
             sample: createNetTrafficStats(),
             totals: createNetTrafficStats(),
             lastSummary: null
@@ -438,6 +469,46 @@ function ensureRoomNetMonitor(roomCode) {
     return netMonitor.rooms[roomCode];
 }
 
+// Binary stateUpdate bytes next to what the same packets would have cost as JSON. Sizing the
+// JSON form is as costly as sending it, so only one packet per monitor interval is compared
+// and the JSON total is extrapolated from that ratio.
+function createBinaryStateStats() {
+    return { messages: 0, bytes: 0, comparedBytes: 0, comparedJsonBytes: 0 };
+}
+
+function takeBinaryStateCompareSlot(roomCode) {
+    const monitor = netMonitor.rooms[roomCode];
+    if (!monitor || !monitor.matchActive || !monitor.binaryCompareDue) return false;
+    monitor.binaryCompareDue = false;
+    return true;
+}
+
+function recordBinaryStateSavings(roomCode, binaryBytes, jsonBytes = null) {
+    const monitor = ensureRoomNetMonitor(roomCode);
+    if (!monitor || !monitor.matchActive) return;
+    [monitor.sample, monitor.totals].forEach((stats) => {
+        stats.binaryState.messages += 1;
+        stats.binaryState.bytes += binaryBytes;
+        if (jsonBytes !== null) {
+            stats.binaryState.comparedBytes += binaryBytes;
+            stats.binaryState.comparedJsonBytes += jsonBytes;
+        }
+    });
+}
+
+function estimateBinaryStateJsonBytes(binaryState) {
+    if (!binaryState.comparedBytes) return 0;
+    return Math.round(binaryState.bytes * (binaryState.comparedJsonBytes / binaryState.comparedBytes));
+}
+
+function binaryStateSavingsLine(binaryState) {
+    const jsonBytes = estimateBinaryStateJsonBytes(binaryState);
+    const saved = jsonBytes - binaryState.bytes;
+    const pct = jsonBytes > 0 ? (saved / jsonBytes) * 100 : 0;
+    return `binary stateUpdate OUT ${formatBytes(binaryState.bytes)} (${binaryState.messages} msgs) vs JSON ` +
+        `~${formatBytes(jsonBytes)} | saved ~${formatBytes(saved)} (${pct.toFixed(1)}%)`;
+}
+
 function appendTraffic(stats, direction, eventName, messageCount, byteCount) {
     const dir = stats[direction];
     if (!dir) return;
@@ -464,6 +535,7 @@ function beginRoomNetworkMatch(roomCode) {
     monitor.matchActive = true;
     monitor.matchStartedAt = now;
     monitor.sampleStartedAt = now;
+    monitor.binaryCompareDue = true;
     monitor.sample = createNetTrafficStats();
     monitor.totals = createNetTrafficStats();
     monitor.lastSummary = null;
@@ -540,11 +612,15 @@ function logRoomNetworkSample(roomCode, force = false) {
         `[net][room ${roomCode}] events IN ${formatRate(inEvents.bytesPerSec)} (${inEvents.msgPerSec.toFixed(1)} msg/s) | ` +
         `events OUT ${formatRate(outEvents.bytesPerSec)} (${outEvents.msgPerSec.toFixed(1)} msg/s)`
     );
+    if (monitor.sample.binaryState.messages > 0) {
+        console.log(`[net][room ${roomCode}] ${binaryStateSavingsLine(monitor.sample.binaryState)}`);
+    }
     console.log(`[net][room ${roomCode}] top IN events: ${topEventsLine(monitor.sample.in.events, elapsedSec)}`);
     console.log(`[net][room ${roomCode}] top OUT events: ${topEventsLine(monitor.sample.out.events, elapsedSec)}`);
 
     monitor.sample = createNetTrafficStats();
     monitor.sampleStartedAt = now;
+    monitor.binaryCompareDue = true;
 }
 
 function finishRoomNetworkMatch(roomCode, reason = 'ended') {
@@ -582,6 +658,11 @@ function finishRoomNetworkMatch(roomCode, reason = 'ended') {
         `(${inTotals.categories.events.messages} msgs) | events OUT total=${formatBytes(outTotals.categories.events.bytes)} ` +
         `(${outTotals.categories.events.messages} msgs)`
     );
+    const binaryState = monitor.totals.binaryState;
+    const binaryStateJsonBytes = estimateBinaryStateJsonBytes(binaryState);
+    if (binaryState.messages > 0) {
+        console.log(`[net][room ${roomCode}] ${binaryStateSavingsLine(binaryState)}`);
+    }
     console.log(`[net][room ${roomCode}] top IN events (match): ${topEventsLine(inTotals.events, durationSec, 8)}`);
     console.log(`[net][room ${roomCode}] top OUT events (match): ${topEventsLine(outTotals.events, durationSec, 8)}`);
 
@@ -594,11 +675,202 @@ function finishRoomNetworkMatch(roomCode, reason = 'ended') {
         outBytes: outTotals.bytes,
         totalBytes,
         downlinkPerPlayerPerSec,
-        matchBytesPerSec
+        matchBytesPerSec,
+        binaryStateMessages: binaryState.messages,
+        binaryStateBytes: binaryState.bytes,
+        binaryStateJsonBytes,
+        binaryStateSavedBytes: binaryStateJsonBytes - binaryState.bytes
     };
     monitor.matchActive = false;
 }
 
+// ==================== REPLAYS ====================
+// One gzip'd JSONL file per match: a header line, then state frames and discrete events
+// with t = ms since match start, then an end line carrying the result snapshot.
+const roomReplays = {}; // roomCode -> { matchId, roomCode, file, tmpFile, gzip, startedAt, frames, events, backpressured }
+
+function replayFilePath(matchId) {
+    return path.join(REPLAYS_DIR, `${matchId}.jsonl.gz`);
+}
+
+function writeReplayLine(replay, obj) {
+    if (!replay || !replay.gzip) return;
+    try {
+        if (!replay.gzip.write(JSON.stringify(obj) + '\n') && !replay.backpressured) {
+            replay.backpressured = true;
+            replay.gzip.once('drain', () => { replay.backpressured = false; });
+        }
+    } catch (e) {
+        console.warn('[replay] write failed', replay.matchId, e && e.message ? e.message : e);
+    }
+}
+
+function startRoomReplay(roomCode) {
+    const room = rooms[roomCode];
+    if (!REPLAY_ENABLED || !room || !room.matchId) return;
+    if (roomReplays[roomCode]) finishRoomReplay(roomCode, 'restarted');
+    try {
+        if (!fs.existsSync(REPLAYS_DIR)) fs.mkdirSync(REPLAYS_DIR, { recursive: true });
+    } catch (e) {
+        console.warn('[replay] failed to ensure replay dir', e && e.message ? e.message : e);
+        return;
+    }
+
+    const file = replayFilePath(room.matchId);
+    const tmpFile = `${file}.part`;
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(tmpFile);
+    const replay = {
+        matchId: room.matchId,
+        roomCode,
+        mapKey: room.selectedMap || room.map || 'forest',
+        file,
+        tmpFile,
+        gzip,
+        out,
+        startedAt: room.gameStartTime || Date.now(),
+        frames: 0,
+        skippedFrames: 0,
+        events: 0,
+        backpressured: false
+    };
+    const onError = (e) => {
+        console.warn('[replay] stream error', replay.matchId, e && e.message ? e.message : e);
+        replay.gzip = null;
+    };
+    gzip.on('error', onError);
+    out.on('error', onError);
+    gzip.pipe(out);
+    roomReplays[roomCode] = replay;
+
+    const players = {};
+    Object.values(room.players).forEach((p) => {
+        players[p.id] = {
+            name: p.name,
+            profileId: p.profileId || null,
+            persistentId: p.persistentId || null,
+            isBot: !!p.isBot
+        };
+    });
+    writeReplayLine(replay, {
+        k: 'header',
+        v: REPLAY_FORMAT_VERSION,
+        matchId: replay.matchId,
+        roomCode,
+        map: replay.mapKey,
+        startedAt: replay.startedAt,
+        tickRate: TICK_RATE,
+        players
+    });
+}
+
+// While gzip is backed up the frame is skipped before it is built, so the replay's delta view
+// does not advance and the next recorded delta still applies to the last recorded frame.
+function recordReplayFrame(roomCode, buildPayload, now) {
+    const replay = roomReplays[roomCode];
+    if (!replay) return;
+    if (replay.backpressured) {
+        replay.skippedFrames += 1;
+        return;
+    }
+    replay.frames += 1;
+    writeReplayLine(replay, { t: now - replay.startedAt, k: 'state', d: buildPayload() });
+}
+
+function recordReplayEvent(roomCode, eventName, payload) {
+    const replay = roomReplays[roomCode];
+    if (!replay) return;
+    replay.events += 1;
+    writeReplayLine(replay, { t: Date.now() - replay.startedAt, k: 'event', e: eventName, d: payload });
+}
+
+// Room-wide gameplay events go through here so the replay sees exactly what clients saw.
+function emitRoomEvent(roomCode, eventName, payload) {
+    io.to(roomCode).emit(eventName, payload);
+    recordReplayEvent(roomCode, eventName, payload);
+}
+
+// Same as emitRoomEvent, but each socket gets payloadFor(viewer) so details it may not see (an
+// invisible player's id) can be dropped. The replay keeps the full payload.
+function emitRoomEventPerViewer(roomCode, eventName, payload, payloadFor) {
+    const room = rooms[roomCode];
+    const socketIds = io.sockets.adapter.rooms.get(roomCode) || new Set();
+    socketIds.forEach((sid) => {
+        const target = io.sockets.sockets.get(sid);
+        if (!target) return;
+        target.emit(eventName, room ? payloadFor(getStateViewer(roomCode, room, target)) : payload);
+    });
+    recordReplayEvent(roomCode, eventName, payload);
+}
+
+function pruneReplayFiles() {
+    try {
+        const files = fs.readdirSync(REPLAYS_DIR)
+            .filter((f) => f.endsWith('.jsonl.gz'))
+            .map((f) => ({ f, mtime: fs.statSync(path.join(REPLAYS_DIR, f)).mtimeMs }))
+            .sort((a, b) => a.mtime - b.mtime);
+        const excess = files.length - REPLAY_MAX_FILES;
+        if (excess <= 0) return;
+        for (let i = 0; i < excess; i++) {
+            fs.unlinkSync(path.join(REPLAYS_DIR, files[i].f));
+        }
+        pruneReplayIndex(new Set(files.slice(excess).map((entry) => entry.f)));
+    } catch (e) {
+        console.warn('[replay] prune failed', e && e.message ? e.message : e);
+    }
+}
+
+// Rewrites the index without entries whose file was pruned, so it stays bounded with the files.
+function pruneReplayIndex(keptFiles) {
+    if (!fs.existsSync(REPLAY_INDEX_FILE)) return;
+    const kept = fs.readFileSync(REPLAY_INDEX_FILE, 'utf8').split('\n').filter((line) => {
+        if (!line.trim()) return false;
+        try {
+            const entry = JSON.parse(line);
+            return !!(entry && entry.matchId && keptFiles.has(path.basename(replayFilePath(entry.matchId))));
+        } catch (_) {
+            return false;
+        }
+    });
+    const tmpFile = `${REPLAY_INDEX_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, kept.length ? `${kept.join('\n')}\n` : '', 'utf8');
+    fs.renameSync(tmpFile, REPLAY_INDEX_FILE);
+}
+
+function finishRoomReplay(roomCode, reason = 'ended', results = null) {
+    const replay = roomReplays[roomCode];
+    if (!replay) return;
+    delete roomReplays[roomCode];
+    const endedAt = Date.now();
+    writeReplayLine(replay, { t: endedAt - replay.startedAt, k: 'end', reason, endedAt, results });
+    if (!replay.gzip) return;
+
+    replay.out.on('finish', () => {
+        try {
+            fs.renameSync(replay.tmpFile, replay.file);
+            const bytes = fs.statSync(replay.file).size;
+            appendJsonl(REPLAY_INDEX_FILE, {
+                ts: endedAt,
+                matchId: replay.matchId,
+                roomCode: replay.roomCode,
+                map: replay.mapKey,
+                startedAt: replay.startedAt,
+                endedAt,
+                reason,
+                frames: replay.frames,
+                skippedFrames: replay.skippedFrames,
+                events: replay.events,
+                bytes
+            });
+            pruneReplayFiles();
+            console.log(`[replay] saved ${replay.matchId} room ${replay.roomCode} (${replay.frames} frames, ${replay.events} events, ${formatBytes(bytes)})`);
+        } catch (e) {
+            console.warn('[replay] finalize failed', replay.matchId, e && e.message ? e.message : e);
+        }
+    });
+    replay.gzip.end();
+}
+
 function resolveBroadcastRecipients(adapter, opts) {
     const recipients = new Set();
     const targetRooms = opts && opts.rooms instanceof Set ? opts.rooms : null;
@@ -627,8 +899,9 @@ function groupRecipientsByRoom(recipients) {
     const grouped = {};
     recipients.forEach((sid) => {
         const targetSocket = io.sockets.sockets.get(sid);
-        if (!targetSocket || !targetSocket.roomCode || !rooms[targetSocket.roomCode]) return;
-        grouped[targetSocket.roomCode] = (grouped[targetSocket.roomCode] || 0) + 1;
+        const roomCode = targetSocket ? (targetSocket.roomCode || targetSocket.spectatingRoom) : null;
+        if (!roomCode || !rooms[roomCode]) return;
+        grouped[roomCode] = (grouped[roomCode] || 0) + 1;
     });
     return grouped;
 }
@@ -783,8 +1056,17 @@ function readJsonl(filePath, limit, filterFn) {
 
 function normalizeIp(raw) {
     if (!raw || typeof raw !== 'string') return 'unknown';
-    const first = raw.split(',')[0].trim();
-    return first.replace(/^::ffff:/, '') || 'unknown';
+    return raw.trim().replace(/^::ffff:/, '') || 'unknown';
+}
+
+// Client-supplied X-Forwarded-For entries are untrusted: walk back from the socket
+// address by TRUST_PROXY_HOPS entries, so only proxy-appended addresses are used.
+function resolveClientIp(forwardedFor, remoteAddress) {
+    const chain = typeof forwardedFor === 'string' && TRUST_PROXY_HOPS > 0
+        ? forwardedFor.split(',').map((part) => part.trim()).filter(Boolean)
+        : [];
+    chain.push(remoteAddress || '');
+    return normalizeIp(chain[Math.max(0, chain.length - 1 - TRUST_PROXY_HOPS)]);
 }
 
 function allowWindowCounter(store, key, windowMs, maxCount) {
@@ -1020,10 +1302,11 @@ function issueSessionToken(persistentId, name, extras = {}) {
     const payload = {
         pid: persistentId,
         name: name || 'Player',
-        exp: Date.now() + SESSION_TTL_MS,
+        exp: Date.now() + SESSION_ACCESS_TTL_MS,
         nonce: crypto.randomBytes(12).toString('hex')
     };
     if (extras && typeof extras.uid === 'string' && extras.uid) payload.uid = extras.uid;
+    if (extras && typeof extras.sid === 'string' && extras.sid) payload.sid = extras.sid;
     if (extras && typeof extras.fc === 'string' && extras.fc) payload.fc = extras.fc;
     if (extras && typeof extras.un === 'string' && extras.un) payload.un = extras.un;
     const payloadB64 = toBase64Url(JSON.stringify(payload));
@@ -1049,6 +1332,7 @@ function verifySessionTokenAny(token) {
     }
     if (!payload) return null;
     if (!payload.exp || Date.now() > payload.exp) return null;
+    if (payload.sid && revokedSessionIds[payload.sid]) return null;
     return payload;
 }
 
@@ -1143,23 +1427,33 @@ async function verifyPasswordForAuth(password, storedHash) {
     return crypto.timingSafeEqual(derived, given);
 }
 
-function resolveAuthDeviceContext(req) {
+// The device comes from the token's pid, which is only minted once the device was proven.
+// A body persistentId counts only when it arrives with that device's secret.
+async function resolveAuthDeviceContext(req) {
     const token = extractAuthTokenFromRequest(req);
     const tokenPayload = verifySessionTokenAny(token);
-    const bodyPersistentId = extractPersistentIdFromRequest(req);
-    const persistentId = bodyPersistentId || (tokenPayload && tokenPayload.pid ? tokenPayload.pid : '');
+    let persistentId = tokenPayload && typeof tokenPayload.pid === 'string' ? tokenPayload.pid : '';
+    if (!persistentId) {
+        const bodyPersistentId = extractPersistentIdFromRequest(req);
+        const deviceSecret = req && req.body && typeof req.body.deviceSecret === 'string' ? req.body.deviceSecret.trim() : '';
+        const credential = bodyPersistentId && deviceSecret
+            ? await identityStore.getDeviceCredential({ persistentId: bodyPersistentId })
+            : null;
+        if (credential && deviceSecretMatches(deviceSecret, credential.secretHash)) persistentId = bodyPersistentId;
+    }
     const profileId = tokenPayload && typeof tokenPayload.uid === 'string' ? tokenPayload.uid : '';
     return { token, tokenPayload, persistentId, profileId };
 }
 
-function issueSessionForProfile(persistentId, profileSnapshot) {
+function issueSessionForProfile(persistentId, profileSnapshot, sessionId = '') {
     const safePersistentId = String(persistentId || '').trim();
     const safeProfile = profileSnapshot || {};
-    const sessionExp = Date.now() + SESSION_TTL_MS;
+    const sessionExp = Date.now() + SESSION_ACCESS_TTL_MS;
     const token = issueSessionToken(safePersistentId, safeProfile.nickname || 'Player', {
         uid: safeProfile.id || '',
         fc: safeProfile.friendCode || '',
-        un: safeProfile.username || ''
+        un: safeProfile.username || '',
+        sid: sessionId || ''
     });
     sessions[safePersistentId] = {
         token,
@@ -1168,7 +1462,8 @@ function issueSessionForProfile(persistentId, profileSnapshot) {
         profileId: safeProfile.id || null,
         friendCode: safeProfile.friendCode || null,
         username: safeProfile.username || null,
-        isGuest: !!safeProfile.isGuest
+        isGuest: !!safeProfile.isGuest,
+        sessionId: sessionId || null
     };
     return {
         token,
@@ -1176,10 +1471,130 @@ function issueSessionForProfile(persistentId, profileSnapshot) {
         profileId: safeProfile.id || null,
         friendCode: safeProfile.friendCode || null,
         username: safeProfile.username || null,
-        isGuest: !!safeProfile.isGuest
+        isGuest: !!safeProfile.isGuest,
+        sessionId: sessionId || null
+    };
+}
+
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(String(refreshToken || '')).digest('hex');
+}
+
+function makeRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function parseRefreshTokenSessionId(refreshToken) {
+    const raw = typeof refreshToken === 'string' ? refreshToken.trim() : '';
+    const dot = raw.indexOf('.');
+    if (dot <= 0 || dot === raw.length - 1) return '';
+    return raw.slice(0, dot);
+}
+
+function makeDeviceSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashDeviceSecret(deviceSecret) {
+    return crypto.createHash('sha256').update(String(deviceSecret || '')).digest('hex');
+}
+
+function deviceSecretMatches(deviceSecret, secretHash) {
+    if (!deviceSecret || typeof secretHash !== 'string') return false;
+    const a = Buffer.from(hashDeviceSecret(deviceSecret), 'hex');
+    const b = Buffer.from(secretHash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// A persistentId is only an identifier; the device secret is what proves the caller owns it.
+// Unbound devices are issued one on first register. Devices from before credentials existed
+// already have profiles, so their first bind also needs a valid session token for that id.
+async function resolveDeviceCredential(persistentId, deviceSecret, tokenPayload) {
+    const credential = await identityStore.getDeviceCredential({ persistentId });
+    if (credential) {
+        return { ok: deviceSecretMatches(deviceSecret, credential.secretHash), issuedSecret: null };
+    }
+    if (!tokenPayload && await identityStore.hasDeviceProfiles({ persistentId })) {
+        return { ok: false, issuedSecret: null };
+    }
+    const issuedSecret = makeDeviceSecret();
+    const bound = await identityStore.bindDeviceCredential({
+        persistentId,
+        secretHash: hashDeviceSecret(issuedSecret)
+    });
+    // Losing the bind race means another connection claimed this id first.
+    return bound && bound.bound ? { ok: true, issuedSecret } : { ok: false, issuedSecret: null };
+}
+
+// Account sign-ins get a refresh session row; guests only ever hold a device-bound access token.
+async function startAccountSession(req, persistentId, profileSnapshot) {
+    if (!profileSnapshot || profileSnapshot.isGuest || !profileSnapshot.id) {
+        return issueSessionForProfile(persistentId, profileSnapshot);
+    }
+    const sessionId = randomUuid();
+    const refreshToken = makeRefreshToken(sessionId);
+    const created = await identityStore.createSession({
+        sessionId,
+        profileId: profileSnapshot.id,
+        persistentId,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        ttlMs: SESSION_TTL_MS,
+        userAgent: req && req.headers ? req.headers['user-agent'] : '',
+        ip: getRequestIp(req)
+    });
+    markSessionsRevoked(created.replacedSessionIds);
+    return {
+        ...issueSessionForProfile(persistentId, profileSnapshot, created.id),
+        refreshToken,
+        refreshExp: created.expiresAt
     };
 }
 
+// Access tokens outlive a restart, so revocations still inside the access TTL are reloaded
+// from the sessions table before the server accepts connections.
+async function loadRevokedSessionIds() {
+    const rows = await identityStore.listRevokedSessions({ sinceMs: Date.now() - SESSION_ACCESS_TTL_MS });
+    rows.forEach((row) => {
+        if (row && row.id) revokedSessionIds[row.id] = Number(row.revokedAt) || Date.now();
+    });
+    return rows.length;
+}
+
+function markSessionsRevoked(sessionIds) {
+    const now = Date.now();
+    Object.keys(revokedSessionIds).forEach((sid) => {
+        if (now - revokedSessionIds[sid] > SESSION_ACCESS_TTL_MS) delete revokedSessionIds[sid];
+    });
+    (sessionIds || []).forEach((sid) => {
+        if (sid) revokedSessionIds[sid] = now;
+    });
+}
+
+// Revoked sessions lose their access tokens at once, and their devices fall back to a guest profile
+// so a reconnect through registerPlayer cannot resume the account.
+async function applySessionRevocations(profileId, revoked, reason) {
+    const list = Array.isArray(revoked) ? revoked : [];
+    markSessionsRevoked(list.map((row) => row.id));
+    const devices = new Set(list.map((row) => row.persistentId).filter(Boolean));
+    for (const persistentId of devices) {
+        try {
+            const active = await identityStore.ensureGuestProfile({ persistentId });
+            if (active && active.id === profileId) {
+                await identityStore.switchToGuestProfileForDevice({ persistentId });
+            }
+        } catch (err) {
+            console.error('[auth] session revoke device reset failed', err && err.message ? err.message : err);
+        }
+        delete sessions[persistentId];
+        Array.from(io.sockets.sockets.values()).forEach((s) => {
+            if (!s || s.authPersistentId !== persistentId || s.profileId !== profileId) return;
+            s.emit('sessionRevoked', { reason });
+            s.disconnect(true);
+        });
+    }
+    return list.length;
+}
+
 function sendAuthError(res, status, code, message, extra = {}) {
     res.status(status).json({
         ok: false,
@@ -1189,6 +1604,210 @@ function sendAuthError(res, status, code, message, extra = {}) {
     });
 }
 
+// ==================== AUTH THROTTLE ====================
+// Failed guesses are counted per IP and per login (scoped by route so a signin lockout
+// does not block password reset). Past the free allowance each failure doubles the wait;
+// hitting the lockout threshold freezes the key for AUTH_LOCKOUT_MS. Guesses still being
+// verified count against the free allowance, so parallel requests cannot all get in before
+// the first failure lands; the hold is released when the response finishes.
+function authThrottleAccountKey(route, login) {
+    const norm = String(login || '').trim().toLowerCase();
+    return norm ? `${route}:${norm}` : '';
+}
+
+function authThrottleRetryAfterMs(entry, now) {
+    if (!entry) return 0;
+    return Math.max(0, entry.lockedUntil - now, entry.blockedUntil - now);
+}
+
+function isAuthThrottleBusy(entry, freeFailures) {
+    return !!entry && entry.pending > 0 && entry.failures + entry.pending >= freeFailures;
+}
+
+function holdAuthThrottleEntry(store, key, now) {
+    if (!store[key]) store[key] = { windowStart: now, failures: 0, blockedUntil: 0, lockedUntil: 0, pending: 0 };
+    store[key].pending = (store[key].pending || 0) + 1;
+    return store[key];
+}
+
+function checkAuthThrottle(req, res, accountKey) {
+    const now = Date.now();
+    const ip = getRequestIp(req);
+    const ipEntry = authThrottle.byIp[ip];
+    const accountEntry = accountKey ? authThrottle.byAccount[accountKey] : null;
+    let retryAfterMs = Math.max(authThrottleRetryAfterMs(ipEntry, now), authThrottleRetryAfterMs(accountEntry, now));
+    if (retryAfterMs <= 0 && (
+        isAuthThrottleBusy(ipEntry, AUTH_THROTTLE_IP_FREE_FAILURES)
+        || isAuthThrottleBusy(accountEntry, AUTH_THROTTLE_ACCOUNT_FREE_FAILURES)
+    )) {
+        retryAfterMs = AUTH_THROTTLE_BASE_DELAY_MS;
+    }
+    if (retryAfterMs <= 0) {
+        const held = [holdAuthThrottleEntry(authThrottle.byIp, ip, now)];
+        if (accountKey) held.push(holdAuthThrottleEntry(authThrottle.byAccount, accountKey, now));
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            held.forEach((entry) => { entry.pending = Math.max(0, entry.pending - 1); });
+        };
+        res.once('finish', release);
+        res.once('close', release);
+        return true;
+    }
+    authThrottleMetrics.blockedRequests += 1;
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    sendAuthError(res, 429, 'AUTH_RATE_LIMITED', 'Too many attempts. Please wait and try again.', { retryAfterMs });
+    return false;
+}
+
+function bumpAuthThrottleEntry(store, key, freeFailures, lockoutFailures, now) {
+    let entry = store[key];
+    if (!entry) {
+        entry = { windowStart: now, failures: 0, blockedUntil: 0, lockedUntil: 0, pending: 0 };
+        store[key] = entry;
+    } else if (now - entry.windowStart > AUTH_THROTTLE_WINDOW_MS && authThrottleRetryAfterMs(entry, now) <= 0) {
+        // Reset in place: in-flight holds keep a reference to this entry.
+        entry.windowStart = now;
+        entry.failures = 0;
+        entry.blockedUntil = 0;
+        entry.lockedUntil = 0;
+    }
+    entry.failures += 1;
+    if (entry.failures >= lockoutFailures) {
+        entry.lockedUntil = now + AUTH_LOCKOUT_MS;
+        entry.blockedUntil = 0;
+        entry.failures = 0;
+        entry.windowStart = now;
+        return 'lockout';
+    }
+    if (entry.failures > freeFailures) {
+        const exponent = Math.min(20, entry.failures - freeFailures - 1);
+        entry.blockedUntil = now + Math.min(AUTH_THROTTLE_MAX_DELAY_MS, AUTH_THROTTLE_BASE_DELAY_MS * Math.pow(2, exponent));
+        return 'backoff';
+    }
+    return null;
+}
+
+function recordAuthFailure(req, accountKey, route) {
+    const now = Date.now();
+    const ip = getRequestIp(req);
+    authThrottleMetrics.failures += 1;
+    const outcomes = [
+        {
+            scope: 'ip',
+            outcome: bumpAuthThrottleEntry(authThrottle.byIp, ip, AUTH_THROTTLE_IP_FREE_FAILURES, AUTH_LOCKOUT_IP_FAILURES, now)
+        }
+    ];
+    if (accountKey) {
+        outcomes.push({
+            scope: 'account',
+            outcome: bumpAuthThrottleEntry(
+                authThrottle.byAccount,
+                accountKey,
+                AUTH_THROTTLE_ACCOUNT_FREE_FAILURES,
+                AUTH_LOCKOUT_ACCOUNT_FAILURES,
+                now
+            )
+        });
+    }
+    outcomes.forEach(({ scope, outcome }) => {
+        if (outcome === 'backoff') {
+            authThrottleMetrics.backoffs += 1;
+            return;
+        }
+        if (outcome !== 'lockout') return;
+        authThrottleMetrics.lockouts += 1;
+        authThrottleMetrics.recentLockouts.push({
+            ts: now,
+            scope,
+            route,
+            ip,
+            login: scope === 'account' ? accountKey : null,
+            lockedUntil: now + AUTH_LOCKOUT_MS
+        });
+        if (authThrottleMetrics.recentLockouts.length > MAX_AUTH_LOCKOUT_RECENT) {
+            authThrottleMetrics.recentLockouts.splice(0, authThrottleMetrics.recentLockouts.length - MAX_AUTH_LOCKOUT_RECENT);
+        }
+        console.warn(`[auth] ${scope} lockout on ${route} (${scope === 'account' ? accountKey : ip}) for ${AUTH_LOCKOUT_MS}ms`);
+    });
+}
+
+function recordAuthSuccess(accountKey) {
+    if (accountKey) delete authThrottle.byAccount[accountKey];
+}
+
+function pruneAuthThrottle(now = Date.now()) {
+    [authThrottle.byIp, authThrottle.byAccount].forEach((store) => {
+        Object.keys(store).forEach((key) => {
+            const entry = store[key];
+            if (entry.pending > 0) return;
+            if (now - entry.windowStart > AUTH_THROTTLE_WINDOW_MS && authThrottleRetryAfterMs(entry, now) <= 0) {
+                delete store[key];
+            }
+        });
+    });
+}
+
+function buildAuthThrottleStats(now = Date.now()) {
+    const countActive = (store) => {
+        let lockedOut = 0;
+        let backingOff = 0;
+        Object.values(store).forEach((entry) => {
+            if (entry.lockedUntil > now) lockedOut += 1;
+            else if (entry.blockedUntil > now) backingOff += 1;
+        });
+        return { tracked: Object.keys(store).length, lockedOut, backingOff };
+    };
+    return {
+        config: {
+            windowMs: AUTH_THROTTLE_WINDOW_MS,
+            accountFreeFailures: AUTH_THROTTLE_ACCOUNT_FREE_FAILURES,
+            ipFreeFailures: AUTH_THROTTLE_IP_FREE_FAILURES,
+            baseDelayMs: AUTH_THROTTLE_BASE_DELAY_MS,
+            maxDelayMs: AUTH_THROTTLE_MAX_DELAY_MS,
+            accountLockoutFailures: AUTH_LOCKOUT_ACCOUNT_FAILURES,
+            ipLockoutFailures: AUTH_LOCKOUT_IP_FAILURES,
+            lockoutMs: AUTH_LOCKOUT_MS
+        },
+        failures: authThrottleMetrics.failures,
+        blockedRequests: authThrottleMetrics.blockedRequests,
+        backoffs: authThrottleMetrics.backoffs,
+        lockouts: authThrottleMetrics.lockouts,
+        active: {
+            ip: countActive(authThrottle.byIp),
+            account: countActive(authThrottle.byAccount)
+        },
+        recentLockouts: authThrottleMetrics.recentLockouts.slice(-50).reverse()
+    };
+}
+
+// Unknown logins still pay for one scrypt so response timing does not reveal which usernames exist.
+function getAuthDummyPasswordHash() {
+    if (!authDummyPasswordHashPromise) {
+        authDummyPasswordHashPromise = hashPasswordForAuth(crypto.randomBytes(18).toString('base64'));
+    }
+    return authDummyPasswordHashPromise;
+}
+
+function rejectWeakAuthPassword(res, password) {
+    if (password.length < AUTH_PASSWORD_MIN_LEN || password.length > AUTH_PASSWORD_MAX_LEN) {
+        sendAuthError(
+            res,
+            400,
+            'WEAK_PASSWORD',
+            `Password must be ${AUTH_PASSWORD_MIN_LEN}-${AUTH_PASSWORD_MAX_LEN} characters.`
+        );
+        return true;
+    }
+    const passwordPolicy = validateAuthPasswordPolicy(password);
+    if (!passwordPolicy.ok) {
+        sendAuthError(res, 400, 'WEAK_PASSWORD', passwordPolicy.message || 'Password does not meet security requirements.');
+        return true;
+    }
+    return false;
+}
+
 function ensurePersistentAuthStore(res) {
     if (!AUTH_REQUIRE_PERSISTENT_STORE) return true;
     if (identityStore && identityStore.mode === 'postgres') return true;
@@ -1217,7 +1836,12 @@ function mapIdentityError(res, err) {
     if (code === 'ACCOUNT_NOT_FOUND') return sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials.');
     if (code === 'ACCOUNT_ALREADY_ACTIVE') return sendAuthError(res, 409, code, 'Account already active.');
     if (code === 'EMAIL_NOT_VERIFIED') return sendAuthError(res, 403, code, 'Email is not verified.');
+    if (code === 'SESSION_INVALID') return sendAuthError(res, 401, code, 'Session expired. Sign in again.');
+    if (code === 'SESSION_REUSED') return sendAuthError(res, 401, 'SESSION_REVOKED', 'Session was revoked. Sign in again.');
+    if (code === 'EMAIL_UNCHANGED') return sendAuthError(res, 400, code, 'New email matches the current email.');
+    if (code === 'ACCOUNT_SUSPENDED') return sendAuthError(res, 403, code, 'Account is suspended.');
     if (code === 'PROFILE_NOT_FOUND') return sendAuthError(res, 404, code, 'Profile not found.');
+    if (code === 'INVALID_LEADERBOARD') return sendAuthError(res, 400, code, err.message || 'Invalid leaderboard.');
     if (code === 'INVALID_DEVICE_OR_PROFILE') return sendAuthError(res, 400, code, 'Invalid device or profile.');
     if (code === 'EMAIL_DELIVERY_NOT_CONFIGURED') {
         return sendAuthError(res, 503, code, 'Verification email service is not configured on this server.');
@@ -1270,11 +1894,20 @@ function authOtpFallbackPayload(verificationCode, expiresAt) {
     };
 }
 
+const AUTH_EMAIL_PURPOSES = {
+    verify: { subject: 'HeadShooter verification code', label: 'verification code' },
+    password_reset: { subject: 'HeadShooter password reset code', label: 'password reset code' },
+    email_change: { subject: 'HeadShooter email change code', label: 'code to confirm your new email' }
+};
+// These codes prove control of a mailbox, so showing them in the response would defeat them.
+const AUTH_EMAIL_ONLY_PURPOSES = new Set(['password_reset', 'email_change']);
+
 async function sendVerificationEmail(params) {
     const email = String(params && params.email ? params.email : '').trim();
     const verificationCode = String(params && params.verificationCode ? params.verificationCode : '').trim();
     const username = String(params && params.username ? params.username : '').trim();
     const expiresAtMs = Number(params && params.expiresAt ? params.expiresAt : 0) || 0;
+    const purpose = AUTH_EMAIL_PURPOSES[params && params.purpose] || AUTH_EMAIL_PURPOSES.verify;
     if (!email || !verificationCode) {
         throw authFlowError('EMAIL_DELIVERY_FAILED', 'Could not prepare verification email.');
     }
@@ -1291,15 +1924,15 @@ async function sendVerificationEmail(params) {
     );
     const minSuffix = expiresMinutes === 1 ? '' : 's';
     const greeting = username ? `Hi ${username},` : 'Hi,';
-    const subject = 'HeadShooter verification code';
+    const subject = purpose.subject;
     const textBody =
         `${greeting}\n\n` +
-        `Your HeadShooter verification code is: ${verificationCode}\n` +
+        `Your HeadShooter ${purpose.label} is: ${verificationCode}\n` +
         `This code expires in about ${expiresMinutes} minute${minSuffix}.\n\n` +
         'If this was not you, please ignore this message.';
     const htmlBody =
         `<p>${greeting}</p>` +
-        `<p>Your HeadShooter verification code is:</p>` +
+        `<p>Your HeadShooter ${purpose.label} is:</p>` +
         `<p style="font-size:24px;font-weight:800;letter-spacing:4px;margin:10px 0;">${verificationCode}</p>` +
         `<p>This code expires in about <strong>${expiresMinutes} minute${minSuffix}</strong>.</p>` +
         '<p>If this was not you, you can ignore this message.</p>';
@@ -1322,19 +1955,20 @@ async function sendVerificationEmail(params) {
 async function resolveVerificationDelivery(params) {
     const verificationCode = String(params && params.verificationCode ? params.verificationCode : '').trim();
     const expiresAt = params && params.expiresAt ? params.expiresAt : null;
+    const allowFallback = AUTH_ALLOW_OTP_FALLBACK && !AUTH_EMAIL_ONLY_PURPOSES.has(params && params.purpose);
 
     if (authEmailReady) {
         try {
             return await sendVerificationEmail(params);
         } catch (err) {
-            if (AUTH_ALLOW_OTP_FALLBACK && verificationCode) {
+            if (allowFallback && verificationCode) {
                 return authOtpFallbackPayload(verificationCode, expiresAt);
             }
             throw err;
         }
     }
 
-    if (AUTH_ALLOW_OTP_FALLBACK && verificationCode) {
+    if (allowFallback && verificationCode) {
         return authOtpFallbackPayload(verificationCode, expiresAt);
     }
     throw authFlowError(
@@ -1342,14 +1976,57 @@ async function resolveVerificationDelivery(params) {
         'Verification email is not available yet. Configure SMTP first.'
     );
 }
+
+// Lobby broadcasts reach every member and spectator, so they carry roster fields only:
+// no device or profile ids, positions, buff state, inputs or anti-cheat bookkeeping.
+// withSpawn adds where everyone starts, for match start before any buff is live.
+function buildPublicPlayerList(room, withSpawn = false) {
+    const out = {};
+    Object.entries((room && room.players) || {}).forEach(([key, p]) => {
+        if (!p) return;
+        out[key] = {
+            id: p.id,
+            name: p.name || 'Player',
+            ready: !!p.ready,
+            team: p.team || null,
+            isBot: !!p.isBot,
+            kills: p.kills || 0,
+            deaths: p.deaths || 0,
+            disconnected: !!p.disconnected
+        };
+        if (withSpawn) {
+            Object.assign(out[key], {
+                x: p.x || 0,
+                y: p.y || 0,
+                angle: p.angle || 0,
+                hp: p.hp || 0,
+                maxHp: p.maxHp || DEFAULT_STARTING_HP
+            });
+        }
+    });
+    return out;
+}
+
 function emitLobbyUpdate(roomCode, targetSocket = null) {
     const room = rooms[roomCode];
     if (!room) return;
+    // Every roster change in the lobby ends up here, so keep team sides even before broadcasting.
+    if (room.state === 'lobby') balanceRoomTeams(room);
+    const quickTicket = getRoomQuickTicket(room);
     const payload = {
         roomCode: room.code,
         leaderId: room.leader,
-        players: room.players,
-        state: room.state
+        players: buildPublicPlayerList(room),
+        state: room.state,
+        quickQueue: quickTicket ? { ticketId: quickTicket.id, queuedAt: quickTicket.queuedAt } : null,
+        botFill: room.botFill || { enabled: false, difficulty: DEFAULT_BOT_DIFFICULTY },
+        mode: room.mode || DEFAULT_GAME_MODE,
+        teamSize: room.teamSize || DEFAULT_TDM_TEAM_SIZE,
+        maxPlayers: getRoomCapacity(room),
+        mapSelection: buildRoomMapSelectionState(room),
+        rules: getRoomRules(room),
+        spectators: buildRoomSpectatorList(room),
+        maxSpectators: MAX_SPECTATORS_PER_ROOM
     };
     if (targetSocket) {
         targetSocket.emit('lobbyUpdate', payload);
@@ -1419,42 +2096,476 @@ function invalidatePartyInvitesForRoom(roomCode, status = 'cancelled') {
     });
 }
 
-function clonePlayersForResults(room) {
-    const out = {};
-    Object.entries(room.players || {}).forEach(([key, p]) => {
-        out[key] = {
-            id: p.id,
-            profileId: p.profileId || null,
-            persistentId: p.persistentId || null,
-            friendCode: p.friendCode || null,
-            username: p.username || null,
-            name: p.name || 'Player',
-            x: p.x || 0,
-            y: p.y || 0,
-            angle: p.angle || 0,
-            hp: p.hp || 0,
-            maxHp: p.maxHp || 3,
-            kills: p.kills || 0,
-            deaths: p.deaths || 0,
-            headshots: p.headshots || 0,
-            killstreak: p.killstreak || 0,
-            disconnected: !!p.disconnected
-        };
+function invalidatePartyInvitesBetween(profileA, profileB, status = 'cancelled') {
+    if (!profileA || !profileB) return;
+    const now = Date.now();
+    Object.values(partyInvitesById).forEach((invite) => {
+        if (!invite || invite.status !== 'pending') return;
+        const sameDir = invite.fromProfileId === profileA && invite.toProfileId === profileB;
+        const revDir = invite.fromProfileId === profileB && invite.toProfileId === profileA;
+        if (!sameDir && !revDir) return;
+        invite.status = status;
+        invite.respondedAt = now;
+        notifyInviteStatus(invite, status);
     });
-    return out;
 }
 
-function storePendingMatchResults(roomCode, playersSnapshot) {
+function makeQuickTicketId() {
+    return `qtk_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function getRoomQuickTicket(room) {
+    if (!room || !room.quickTicketId) return null;
+    const ticket = quickQueueTicketsById[room.quickTicketId];
+    return ticket && ticket.status === 'queued' ? ticket : null;
+}
+
+function createQuickQueueTicket(roomCode) {
+    const room = rooms[roomCode];
+    if (!room) return null;
+    const leader = room.players[room.leader];
     const now = Date.now();
-    Object.values(playersSnapshot || {}).forEach((p) => {
-        if (!p || !p.persistentId) return;
-        pendingMatchResults[p.persistentId] = {
-            roomCode,
-            players: playersSnapshot,
-            endedAt: now,
-            exp: now + MATCH_RESULT_TTL_MS
-        };
-    });
+    const ticket = {
+        id: makeQuickTicketId(),
+        roomCode,
+        leaderProfileId: leader && leader.profileId ? leader.profileId : null,
+        region: QUICK_QUEUE_REGION,
+        status: 'queued',
+        partySize: Object.keys(room.players || {}).length,
+        queuedAt: now,
+        matchedAt: 0,
+        closedAt: 0,
+        cancelReason: null,
+        cancelledByProfileId: null
+    };
+    quickQueueTicketsById[ticket.id] = ticket;
+    quickQueueMetrics.ticketsCreated += 1;
+    room.quickTicketId = ticket.id;
+    room.state = 'queueing';
+    console.log(`[quick] ticket ${ticket.id} queued for room ${roomCode} (party ${ticket.partySize})`);
+    return ticket;
+}
+
+function cancelQuickQueueTicket(ticketId, reason, actor = null) {
+    const ticket = quickQueueTicketsById[ticketId];
+    if (!ticket || ticket.status !== 'queued') return false;
+    const now = Date.now();
+    const cancelReason = reason || 'leader_cancel';
+    ticket.status = cancelReason === 'timeout' ? 'expired' : 'cancelled';
+    ticket.cancelReason = cancelReason;
+    ticket.cancelledByProfileId = actor && actor.profileId ? actor.profileId : null;
+    ticket.closedAt = now;
+    quickQueueMetrics.ticketsCancelled += 1;
+    quickQueueMetrics.cancelReasons[cancelReason] = (quickQueueMetrics.cancelReasons[cancelReason] || 0) + 1;
+
+    const room = rooms[ticket.roomCode];
+    if (room && room.quickTicketId === ticket.id) {
+        room.quickTicketId = null;
+        if (room.state === 'queueing') room.state = 'lobby';
+        const actorKey = actor && actor.playerKey ? actor.playerKey : '';
+        if (cancelReason === 'member_cancel' && actorKey && actorKey !== room.leader && room.players[actorKey]) {
+            room.players[actorKey].ready = false;
+        }
+        io.to(ticket.roomCode).emit('quick:queueCancelled', {
+            ticketId: ticket.id,
+            roomCode: ticket.roomCode,
+            reason: cancelReason,
+            actorProfileId: ticket.cancelledByProfileId,
+            actorName: actor && actor.name ? actor.name : null,
+            elapsedMs: now - ticket.queuedAt
+        });
+        emitLobbyUpdate(ticket.roomCode);
+    }
+    console.log(`[quick] ticket ${ticket.id} ${ticket.status} (${cancelReason}) room ${ticket.roomCode}`);
+    return true;
+}
+
+function moveRoomPlayersIntoRoom(fromRoomCode, toRoomCode) {
+    const fromRoom = rooms[fromRoomCode];
+    const toRoom = rooms[toRoomCode];
+    if (!fromRoom || !toRoom) return;
+    Object.entries(fromRoom.players || {}).forEach(([key, player]) => {
+        const targetSocket = io.sockets.sockets.get(key);
+        if (targetSocket) {
+            if (typeof targetSocket.stopSpectating === 'function') targetSocket.stopSpectating('joined_room');
+            targetSocket.leave(fromRoomCode);
+            targetSocket.join(toRoomCode);
+            targetSocket.roomCode = toRoomCode;
+            targetSocket.playerKey = key;
+            targetSocket.authRoomCode = toRoomCode;
+            if (typeof targetSocket.setCurrentRoom === 'function') targetSocket.setCurrentRoom(toRoomCode);
+        }
+        player.ready = true;
+        toRoom.players[key] = player;
+    });
+    fromRoom.players = {};
+    invalidatePartyInvitesForRoom(fromRoomCode, 'cancelled');
+    closeRoomSpectators(fromRoomCode, 'room_closed');
+    delete rooms[fromRoomCode];
+    delete netMonitor.rooms[fromRoomCode];
+}
+
+function finalizeQuickMatch(group, now) {
+    const hostTicket = group[0];
+    const hostCode = hostTicket.roomCode;
+    const host = rooms[hostCode];
+    if (!host) return false;
+
+    const ticketByPlayerKey = {};
+    group.forEach((ticket) => {
+        const room = rooms[ticket.roomCode];
+        Object.keys((room && room.players) || {}).forEach((key) => {
+            ticketByPlayerKey[key] = ticket.id;
+        });
+    });
+    group.slice(1).forEach((ticket) => moveRoomPlayersIntoRoom(ticket.roomCode, hostCode));
+    group.forEach((ticket) => {
+        ticket.status = 'matched';
+        ticket.matchedAt = now;
+        ticket.closedAt = now;
+        ticket.matchedRoomCode = hostCode;
+        quickQueueMetrics.ticketsMatched += 1;
+        quickQueueMetrics.totalQueueTimeMs += now - ticket.queuedAt;
+    });
+
+    host.quickTicketId = null;
+    host.state = 'lobby';
+    Object.values(host.players).forEach((p) => { p.ready = true; });
+
+    Object.keys(host.players).forEach((key) => {
+        const targetSocket = io.sockets.sockets.get(key);
+        if (!targetSocket) return;
+        targetSocket.emit('quick:matchFound', {
+            ticketId: ticketByPlayerKey[key] || hostTicket.id,
+            roomCode: hostCode,
+            region: hostTicket.region,
+            leaderId: host.leader,
+            players: buildPublicPlayerList(host)
+        });
+    });
+    console.log(`[quick] matched ${group.length} ticket(s) into room ${hostCode} (${Object.keys(host.players).length} players)`);
+    emitLobbyUpdate(hostCode);
+    startRoomMatch(hostCode);
+    return true;
+}
+
+function processQuickQueue(now = Date.now()) {
+    const live = [];
+    Object.values(quickQueueTicketsById)
+        .filter((ticket) => ticket && ticket.status === 'queued')
+        .sort((a, b) => a.queuedAt - b.queuedAt)
+        .forEach((ticket) => {
+            const room = rooms[ticket.roomCode];
+            if (!room || room.quickTicketId !== ticket.id || room.state !== 'queueing') {
+                cancelQuickQueueTicket(ticket.id, 'party_unavailable');
+                return;
+            }
+            if (now - ticket.queuedAt >= QUICK_QUEUE_TIMEOUT_MS) {
+                cancelQuickQueueTicket(ticket.id, 'timeout');
+                return;
+            }
+            const players = Object.values(room.players || {});
+            // A party with a dropped member waits here until the disconnect cancel lands.
+            if (players.some((p) => p && p.disconnected)) return;
+            ticket.partySize = players.length;
+            live.push(ticket);
+        });
+
+    const used = new Set();
+    live.forEach((host) => {
+        if (used.has(host.id)) return;
+        const group = [host];
+        let found = host.partySize;
+        live.forEach((ticket) => {
+            if (found >= MAX_PLAYERS_PER_ROOM || used.has(ticket.id) || group.includes(ticket)) return;
+            if (ticket.region !== host.region) return;
+            if (found + ticket.partySize > MAX_PLAYERS_PER_ROOM) return;
+            group.push(ticket);
+            found += ticket.partySize;
+        });
+
+        const waitedMs = now - host.queuedAt;
+        const canMatch = found >= MAX_PLAYERS_PER_ROOM ||
+            (waitedMs >= QUICK_QUEUE_PARTIAL_FILL_MS && found >= QUICK_QUEUE_MIN_PLAYERS);
+        group.forEach((ticket) => used.add(ticket.id));
+        if (canMatch) {
+            finalizeQuickMatch(group, now);
+            return;
+        }
+        group.forEach((ticket) => {
+            io.to(ticket.roomCode).emit('quick:queueStatus', {
+                ticketId: ticket.id,
+                found,
+                needed: MAX_PLAYERS_PER_ROOM,
+                elapsedMs: now - ticket.queuedAt
+            });
+        });
+    });
+
+    const pruneBefore = now - QUICK_QUEUE_TICKET_RETENTION_MS;
+    Object.values(quickQueueTicketsById).forEach((ticket) => {
+        if (ticket && ticket.status !== 'queued' && ticket.closedAt && ticket.closedAt < pruneBefore) {
+            delete quickQueueTicketsById[ticket.id];
+        }
+    });
+}
+
+function buildQuickQueueStats() {
+    const queued = Object.values(quickQueueTicketsById).filter((t) => t && t.status === 'queued');
+    const created = quickQueueMetrics.ticketsCreated;
+    return {
+        queuedTickets: queued.length,
+        queuedPlayers: queued.reduce((sum, t) => sum + (t.partySize || 0), 0),
+        ticketsCreated: created,
+        ticketsMatched: quickQueueMetrics.ticketsMatched,
+        ticketsCancelled: quickQueueMetrics.ticketsCancelled,
+        cancelRate: created > 0 ? Number((quickQueueMetrics.ticketsCancelled / created).toFixed(3)) : 0,
+        avgQueueTimeMs: quickQueueMetrics.ticketsMatched > 0
+            ? Math.round(quickQueueMetrics.totalQueueTimeMs / quickQueueMetrics.ticketsMatched)
+            : 0,
+        cancelReasons: quickQueueMetrics.cancelReasons
+    };
+}
+
+function clonePlayersForResults(room) {
+    const out = {};
+    const now = Date.now();
+    Object.entries(room.players || {}).forEach(([key, p]) => {
+        out[key] = {
+            id: p.id,
+            profileId: p.profileId || null,
+            persistentId: p.persistentId || null,
+            friendCode: p.friendCode || null,
+            username: p.username || null,
+            name: p.name || 'Player',
+            x: p.x || 0,
+            y: p.y || 0,
+            angle: p.angle || 0,
+            hp: p.hp || 0,
+            maxHp: p.maxHp || 3,
+            kills: p.kills || 0,
+            deaths: p.deaths || 0,
+            headshots: p.headshots || 0,
+            botKills: p.botKills || 0,
+            botHeadshots: p.botHeadshots || 0,
+            killstreak: p.killstreak || 0,
+            bestKillstreak: p.bestKillstreak || 0,
+            disconnected: !!p.disconnected,
+            isBot: !!p.isBot,
+            botDifficulty: p.isBot ? (p.botDifficulty || DEFAULT_BOT_DIFFICULTY) : null,
+            team: p.team || null,
+            hillScore: p.hillScore || 0,
+            shotsFired: p.shotsFired || 0,
+            hits: p.hits || 0,
+            accuracy: p.shotsFired > 0 ? Number(((p.hits || 0) / p.shotsFired).toFixed(3)) : 0,
+            bestKillChain: p.bestKillChain || 0,
+            buffsPickedUp: p.buffsPickedUp || 0,
+            // A life still running at the final whistle counts too.
+            longestLifeMs: Math.max(p.longestLifeMs || 0, p.hp > 0 ? currentLifeMs(room, p, now) : 0),
+            xp: null,
+            ratingChange: null,
+            progression: null
+        };
+    });
+    return out;
+}
+
+// The results snapshot keeps persistentId so reconnecting devices can find their match;
+// what goes out to clients drops it, since it identifies the device itself.
+function publicResultPlayers(playersSnapshot) {
+    const out = {};
+    Object.entries(playersSnapshot || {}).forEach(([key, p]) => {
+        if (!p) return;
+        const { persistentId, ...rest } = p;
+        out[key] = rest;
+    });
+    return out;
+}
+
+function rankMatchPlayers(playersSnapshot, modeResults = null) {
+    const isTeamResult = !!modeResults && modeResults.mode === 'tdm';
+    const winningTeam = isTeamResult ? modeResults.winningTeam : null;
+    // hillScore is 0 outside King of the Hill, so kills decide there.
+    const compare = (a, b) => (b.hillScore - a.hillScore) || (b.kills - a.kills) || (a.deaths - b.deaths);
+    const ranked = Object.values(playersSnapshot || {}).sort(compare);
+    // Team matches count a win for everyone on the winning side; a draw has no placement 1.
+    // Free-for-all uses competition ranking: tied players share a placement (1, 1, 3).
+    const out = [];
+    ranked.forEach((p, idx) => {
+        let placement;
+        if (isTeamResult) placement = winningTeam && p.team === winningTeam ? 1 : 2;
+        else if (idx > 0 && compare(ranked[idx - 1], p) === 0) placement = out[idx - 1].placement;
+        else placement = idx + 1;
+        out.push({ player: p, placement });
+    });
+    return out;
+}
+
+function recordMatchHistory(room, playersSnapshot, endedAt, modeResults = null) {
+    if (!room || !room.matchId) return;
+    const ranked = rankMatchPlayers(playersSnapshot, modeResults);
+    const participants = ranked.map(({ player: p, placement }) => ({
+        profileId: p.isBot ? null : p.profileId,
+        name: p.name,
+        isBot: !!p.isBot,
+        kills: p.kills,
+        deaths: p.deaths,
+        headshots: p.headshots,
+        botKills: p.botKills,
+        botHeadshots: p.botHeadshots,
+        bestKillstreak: p.bestKillstreak,
+        placement
+    }));
+    const startedAt = room.gameStartTime || endedAt;
+    const xpEligible = isXpEligibleMatch(room, endedAt - startedAt);
+    const xpGrants = xpEligible ? applyMatchXp(ranked) : [];
+    const roomCode = room.code;
+    const matchId = room.matchId;
+    identityStore.recordMatchResult({
+        matchId,
+        roomCode,
+        mapKey: room.selectedMap || room.map || 'forest',
+        startedAt,
+        endedAt,
+        durationMs: Math.max(0, endedAt - startedAt),
+        // Skill rating only moves on free-for-all placements under default rules.
+        rated: !modeResults && !hasCustomRoomRules(room),
+        // Leaderboards only count matches that would pay XP.
+        ranked: xpEligible,
+        participants
+    }).then((result) => {
+        applyMatchRatingChanges(roomCode, matchId, playersSnapshot, result && result.ratingChanges);
+    }).catch((err) => {
+        console.warn('[identity] failed to record match', matchId, err && err.message ? err.message : err);
+    });
+    if (!xpGrants.length) return;
+    identityStore.grantMatchXp({ matchId, grants: xpGrants }).then((result) => {
+        applyMatchProgression(roomCode, matchId, playersSnapshot, result && result.progression);
+    }).catch((err) => {
+        console.warn('[identity] failed to grant match xp', matchId, err && err.message ? err.message : err);
+    });
+}
+
+// gameEnd has already gone out by the time the store answers, so rating changes follow
+// as their own event; the shared results snapshot also feeds matchResultsPending.
+function applyMatchRatingChanges(roomCode, matchId, playersSnapshot, ratingChanges) {
+    if (!ratingChanges || !Object.keys(ratingChanges).length) return;
+    const changes = {};
+    Object.entries(playersSnapshot || {}).forEach(([key, p]) => {
+        const change = p && p.profileId && !p.isBot ? ratingChanges[p.profileId] : null;
+        if (!change) return;
+        p.ratingChange = change;
+        changes[key] = change;
+    });
+    if (!Object.keys(changes).length) return;
+    io.to(roomCode).emit('matchRatings', { roomCode, matchId, changes });
+}
+
+function applyMatchProgression(roomCode, matchId, playersSnapshot, progression) {
+    if (!progression || !Object.keys(progression).length) return;
+    const changes = {};
+    Object.entries(playersSnapshot || {}).forEach(([key, p]) => {
+        const change = p && p.profileId && !p.isBot ? progression[p.profileId] : null;
+        if (!change) return;
+        p.progression = change;
+        changes[key] = change;
+    });
+    if (!Object.keys(changes).length) return;
+    io.to(roomCode).emit('matchProgression', { roomCode, matchId, changes });
+}
+
+// Career stats ride along with the first page only; later pages just continue the match list.
+async function loadProfileHistoryPage(profileId, limit, cursor) {
+    const safeCursor = typeof cursor === 'string' ? cursor : '';
+    const history = await identityStore.getMatchHistory({ profileId, limit, cursor: safeCursor });
+    const career = safeCursor ? null : await identityStore.getCareerStats({ profileId });
+    const ratings = safeCursor ? null : await identityStore.getRatings({ profileIds: [profileId] });
+    const progression = safeCursor ? null : await identityStore.getProgression({ profileId });
+    return {
+        ok: true,
+        profileId,
+        matches: history.matches,
+        nextCursor: history.nextCursor,
+        career,
+        rating: ratings ? ratings[profileId] || null : null,
+        progression
+    };
+}
+
+// Leaderboards rank linked accounts only unless LEADERBOARD_INCLUDE_GUESTS opts guests in.
+// Boards aggregate every match in the window, so identical queries share one result for
+// LEADERBOARD_CACHE_TTL_MS. Promises are cached so concurrent misses run a single query.
+function readLeaderboardCache(key, load) {
+    const now = Date.now();
+    const hit = leaderboardCache.get(key);
+    if (hit && hit.expiresAt > now) return hit.promise;
+    if (leaderboardCache.size >= MAX_LEADERBOARD_CACHE_ENTRIES) pruneLeaderboardCache(true);
+    const promise = load();
+    leaderboardCache.set(key, { expiresAt: now + LEADERBOARD_CACHE_TTL_MS, promise });
+    promise.catch(() => leaderboardCache.delete(key));
+    return promise;
+}
+
+function pruneLeaderboardCache(force = false) {
+    const now = Date.now();
+    leaderboardCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) leaderboardCache.delete(key);
+    });
+    Object.keys(leaderboardGuards).forEach((ip) => {
+        if (now - leaderboardGuards[ip].start > LEADERBOARD_IP_WINDOW_MS) delete leaderboardGuards[ip];
+    });
+    if (force && leaderboardCache.size >= MAX_LEADERBOARD_CACHE_ENTRIES) leaderboardCache.clear();
+}
+
+async function loadLeaderboardPage(viewerProfileId, params) {
+    const metric = String(params && params.metric ? params.metric : '');
+    const range = String(params && params.window ? params.window : '');
+    const limit = Number(params && params.limit) || 0;
+    const offset = Number(params && params.offset) || 0;
+    const friendsOnly = !!(params && params.friendsOnly);
+    const query = { metric, window: range, limit, offset, includeGuests: LEADERBOARD_INCLUDE_GUESTS };
+
+    // Friends boards are per viewer. The global board is shared, and the viewer's own row
+    // is cached separately so signed-in players still hit the shared page.
+    if (friendsOnly) {
+        const board = await readLeaderboardCache(
+            ['friends', viewerProfileId, metric, range, limit, offset].join('|'),
+            () => identityStore.getLeaderboard({ ...query, friendsOnly: true, viewerProfileId })
+        );
+        return { ok: true, ...board };
+    }
+    const board = await readLeaderboardCache(
+        ['global', metric, range, limit, offset].join('|'),
+        () => identityStore.getLeaderboard({ ...query, viewerProfileId: null })
+    );
+    let me = null;
+    if (viewerProfileId) {
+        me = board.entries.find((entry) => entry.profileId === viewerProfileId) || null;
+        if (!me) {
+            const own = await readLeaderboardCache(
+                ['me', viewerProfileId, metric, range].join('|'),
+                () => identityStore.getLeaderboard({ ...query, limit: 1, offset: 0, viewerProfileId })
+            );
+            me = own.me || null;
+        }
+    }
+    return { ok: true, ...board, me };
+}
+
+function storePendingMatchResults(roomCode, playersSnapshot, modeResults = null, rules = null, awards = null) {
+    const now = Date.now();
+    Object.values(playersSnapshot || {}).forEach((p) => {
+        if (!p || !p.persistentId) return;
+        pendingMatchResults[p.persistentId] = {
+            roomCode,
+            players: playersSnapshot,
+            modeResults,
+            rules,
+            awards,
+            endedAt: now,
+            exp: now + MATCH_RESULT_TTL_MS
+        };
+    });
 }
 
 function emitPendingMatchResultsForSocket(socket) {
@@ -1468,8 +2579,11 @@ function emitPendingMatchResultsForSocket(socket) {
     }
     socket.emit('matchResultsPending', {
         roomCode: pending.roomCode,
-        players: pending.players,
-        endedAt: pending.endedAt
+        players: publicResultPlayers(pending.players),
+        endedAt: pending.endedAt,
+        rules: pending.rules || null,
+        awards: pending.awards || [],
+        ...(pending.modeResults || {})
     });
     return true;
 }
@@ -1486,8 +2600,11 @@ function emitRecentRoomResultsForSocket(socket) {
         if (!found) continue;
         socket.emit('matchResultsPending', {
             roomCode: room.code,
-            players: room.lastMatchResults,
-            endedAt: room.lastMatchEndedAt
+            players: publicResultPlayers(room.lastMatchResults),
+            endedAt: room.lastMatchEndedAt,
+            rules: room.lastMatchRules || null,
+            awards: room.lastMatchAwards || [],
+            ...(room.lastMatchModeResults || {})
         });
         return true;
     }
@@ -1511,10 +2628,14 @@ const PLAYER_STATE_FIELDS = [
     'invisExpire',
     'speedExpire',
     'charging',
+    'team',
+    'hillScore',
+    'hidden',
     'lastProcessedInput'
 ];
 const PROJECTILE_STATE_FIELDS = ['ownerId', 'x', 'y', 'vx', 'vy', 'angle', 'color'];
 const BUFF_STATE_FIELDS = ['x', 'y', 'type', 'active', 'takenTime'];
+const HILL_STATE_FIELDS = ['x', 'y', 'radius', 'ownerId', 'progress', 'contested', 'occupants', 'movesAt'];
 const STATE_FLOAT_EPSILON = {
     x: 0.01,
     y: 0.01,
@@ -1523,12 +2644,23 @@ const STATE_FLOAT_EPSILON = {
     angle: 0.001
 };
 
-function createRoomSyncState() {
+// What one stream has been sent so far; deltas are diffed against it.
+function createStateView() {
     return {
         lastSnapshotAt: 0,
         players: Object.create(null),
         projectiles: Object.create(null),
-        buffs: Object.create(null)
+        buffs: Object.create(null),
+        hills: Object.create(null)
+    };
+}
+
+// The room-level view is the unfiltered stream the replay records; each socket gets its own
+// filtered view in recipients (socketId -> view), dropped once the socket leaves the room.
+function createRoomSyncState() {
+    return {
+        ...createStateView(),
+        recipients: Object.create(null)
     };
 }
 
@@ -1564,6 +2696,10 @@ function buildPlayerStatePacket(p) {
         invisExpire: p.invisExpire || 0,
         speedExpire: p.speedExpire || 0,
         charging: p.charging,
+        isBot: !!p.isBot,
+        team: p.team || null,
+        hillScore: p.hillScore || 0,
+        hidden: false,
         lastProcessedInput: p.input ? p.input.seq : 0
     };
 }
@@ -1645,16 +2781,171 @@ function buildRoomStateSnapshot(room) {
     const players = Object.values(room.players).map(buildPlayerStatePacket);
     const projectiles = room.projectiles.map(buildProjectileStatePacket);
     const buffs = room.buffs.map(buildBuffStatePacket);
+    const hills = room.hill ? [buildHillStatePacket(room.hill)] : [];
     return {
         players,
         projectiles,
         buffs,
+        hills,
+        playersMap: toStateMap(players),
+        projectilesMap: toStateMap(projectiles),
+        buffsMap: toStateMap(buffs),
+        hillsMap: toStateMap(hills)
+    };
+}
+
+// Builds the next snapshot or delta for one stream and advances its view.
+function buildStatePayload(room, view, snapshot, now, remainingMs) {
+    let statePayload;
+    const shouldSendFullSnapshot =
+        !view.lastSnapshotAt ||
+        (now - view.lastSnapshotAt) >= STATE_FULL_SNAPSHOT_INTERVAL_MS;
+    if (shouldSendFullSnapshot) {
+        statePayload = {
+            mode: 'snapshot',
+            serverTime: now,
+            remainingMs,
+            players: snapshot.players,
+            projectiles: snapshot.projectiles,
+            buffs: snapshot.buffs
+        };
+        if (room.hill) statePayload.hills = snapshot.hills;
+        view.lastSnapshotAt = now;
+    } else {
+        statePayload = {
+            mode: 'delta',
+            serverTime: now,
+            remainingMs,
+            playersDelta: diffStateMaps(snapshot.playersMap, view.players, PLAYER_STATE_FIELDS),
+            projectilesDelta: diffStateMaps(snapshot.projectilesMap, view.projectiles, PROJECTILE_STATE_FIELDS),
+            buffsDelta: diffStateMaps(snapshot.buffsMap, view.buffs, BUFF_STATE_FIELDS)
+        };
+        if (room.hill) statePayload.hillsDelta = diffStateMaps(snapshot.hillsMap, view.hills, HILL_STATE_FIELDS);
+    }
+    if (isTeamMode(room)) statePayload.teamScores = { ...room.teamScores };
+    view.players = snapshot.playersMap;
+    view.projectiles = snapshot.projectilesMap;
+    view.buffs = snapshot.buffsMap;
+    view.hills = snapshot.hillsMap;
+    return statePayload;
+}
+
+// player: the recipient's own player record (null for spectators); focus: the interest-radius
+// centre (the player, or whoever a spectator follows).
+function getStateViewer(roomCode, room, target) {
+    if (target.roomCode === roomCode) {
+        const player = room.players[target.playerKey || target.id] || null;
+        return { player, focus: player };
+    }
+    const spectator = room.spectators ? room.spectators[target.id] : null;
+    return { player: null, focus: spectator ? findRoomPlayerById(room, spectator.followId) : null };
+}
+
+function canViewerSeePlayer(room, viewer, player) {
+    if (!player || !player.invisible) return true;
+    if (viewer.player && viewer.player.id === player.id) return true;
+    return areTeammates(room, viewer.player, player);
+}
+
+function isOutsideInterest(viewer, x, y) {
+    if (!STATE_INTEREST_RADIUS || !viewer.focus) return false;
+    const dx = x - viewer.focus.x;
+    const dy = y - viewer.focus.y;
+    return (dx * dx) + (dy * dy) > STATE_INTEREST_RADIUS * STATE_INTEREST_RADIUS;
+}
+
+// Invisible enemies (and, with STATE_INTEREST_RADIUS, anyone out of range) keep their entry so the
+// client does not treat them as gone, but their position and aim freeze at what this recipient last
+// saw. Spectators have no side, so every invisible player is hidden from them too.
+function filterSnapshotForRecipient(room, snapshot, viewer, view) {
+    const sources = {};
+    Object.values(room.players).forEach((p) => {
+        if (p) sources[p.id] = p;
+    });
+    const players = snapshot.players.map((packet) => {
+        const source = sources[packet.id];
+        if (viewer.player && viewer.player.id === packet.id) return packet;
+        const hiddenByInvis = packet.invisible && !areTeammates(room, viewer.player, source);
+        const focusId = viewer.focus ? viewer.focus.id : null;
+        if (!hiddenByInvis && (focusId === packet.id || !isOutsideInterest(viewer, packet.x, packet.y))) return packet;
+        const anchor = view.players[packet.id] || (hiddenByInvis && source && source.invisAnchor) || packet;
+        return {
+            ...packet,
+            x: anchor.x,
+            y: anchor.y,
+            angle: anchor.angle,
+            charging: false,
+            hidden: true
+        };
+    });
+    const projectiles = STATE_INTEREST_RADIUS
+        ? snapshot.projectiles.filter((proj) => !isOutsideInterest(viewer, proj.x, proj.y))
+        : snapshot.projectiles;
+    // The hill would give hidden players away too: their id as owner, or the occupant count.
+    const hills = room.hill ? snapshot.hills.map((packet) => {
+        const hiddenOccupants = (room.hill.occupantIds || []).filter((id) => !canViewerSeePlayer(room, viewer, sources[id])).length;
+        const ownerHidden = !!packet.ownerId && !canViewerSeePlayer(room, viewer, sources[packet.ownerId]);
+        if (!hiddenOccupants && !ownerHidden) return packet;
+        return {
+            ...packet,
+            ownerId: ownerHidden ? null : packet.ownerId,
+            occupants: packet.occupants - hiddenOccupants
+        };
+    }) : snapshot.hills;
+    return {
+        ...snapshot,
+        players,
+        projectiles,
+        hills,
         playersMap: toStateMap(players),
         projectilesMap: toStateMap(projectiles),
-        buffsMap: toStateMap(buffs)
+        hillsMap: toStateMap(hills)
     };
 }
 
+function emitRoomStateUpdates(roomCode, room, snapshot, now, remainingMs) {
+    const stateSync = ensureRoomSyncState(room);
+    const views = stateSync.recipients;
+    const socketIds = io.sockets.adapter.rooms.get(roomCode) || new Set();
+    Object.keys(views).forEach((sid) => {
+        if (!socketIds.has(sid)) delete views[sid];
+    });
+    socketIds.forEach((sid) => {
+        const target = io.sockets.sockets.get(sid);
+        if (!target) return;
+        if (!views[sid]) views[sid] = createStateView();
+        const viewer = getStateViewer(roomCode, room, target);
+        const filtered = filterSnapshotForRecipient(room, snapshot, viewer, views[sid]);
+        const payload = buildStatePayload(room, views[sid], filtered, now, remainingMs);
+        target.emit('stateUpdate', encodeStatePayloadForSocket(roomCode, target, views[sid], payload));
+    });
+}
+
+// Sockets that negotiated binary get a Buffer; on an encoder error the socket drops back to JSON
+// and its view is reset so the next packet is a snapshot.
+function encodeStatePayloadForSocket(roomCode, target, view, payload) {
+    if (!target.stateEncoding) return payload;
+    if (!view.codec) view.codec = createStateCodecContext();
+    let encoded;
+    try {
+        encoded = encodeStateUpdate(payload, view.codec, target.stateEncoding.version);
+    } catch (e) {
+        console.warn('[net] binary stateUpdate failed, falling back to JSON', target.id, e && e.message ? e.message : e);
+        target.stateEncoding = null;
+        view.lastSnapshotAt = 0;
+        view.codec = null;
+        return payload;
+    }
+    if (NET_MONITOR_ENABLED) {
+        recordBinaryStateSavings(
+            roomCode,
+            estimateSocketIoEventBytes('stateUpdate', [encoded]),
+            takeBinaryStateCompareSlot(roomCode) ? estimateSocketIoEventBytes('stateUpdate', [payload]) : null
+        );
+    }
+    return encoded;
+}
+
 function resetRoomForLobby(roomCode) {
     const room = rooms[roomCode];
     if (!room) return;
@@ -1663,10 +2954,15 @@ function resetRoomForLobby(roomCode) {
     room.gameStartTime = null;
     room.projectiles = [];
     room.killChains = {};
+    room.positionHistory = [];
     room.nextSpawnIndex = 0;
     room.antiCheatEvents = 0;
     room.antiCheatScore = 0;
     room.antiCheatByPlayer = {};
+    room.mapVotes = {};
+    room.matchEndReason = null;
+    room.hill = null;
+    removeRoomBots(room);
     Object.entries(room.players).forEach(([key, p]) => {
         p.ready = (key === room.leader);
         p.charging = false;
@@ -1723,6 +3019,19 @@ function createRoom(leaderId, leaderName, leaderPersistentId, leaderProfileMeta
         lastMatchResults: null,
         lastMatchEndedAt: 0,
         lastMatchSeen: {},
+        botFill: { enabled: false, difficulty: DEFAULT_BOT_DIFFICULTY },
+        mapSelection: { mode: 'leader', map: RANDOM_MAP_CHOICE }, // map: MAPS key or 'random' (leader mode only)
+        mapVotes: {}, // playerKey -> MAPS key (vote mode)
+        mode: DEFAULT_GAME_MODE, // 'ffa' | 'tdm' | 'koth'
+        teamSize: DEFAULT_TDM_TEAM_SIZE, // players per side in tdm
+        teamScores: { red: 0, blue: 0 },
+        nextTeamSpawnIndex: { red: 0, blue: 0 },
+        lastMatchModeResults: null,
+        rules: cloneRoomRules(DEFAULT_ROOM_RULES),
+        matchEndReason: null, // set mid-tick when the score limit is hit; the game loop ends the match
+        hill: null, // King of the Hill zone while a koth match runs
+        spectators: {}, // socketId -> { id, name, profileId, followId, joinedAt }; never in players
+        positionHistory: [], // [{ t, players: { playerId: { x, y, hp } } }], oldest first
         stateSync: createRoomSyncState(),
         lastUpdate: Date.now()
     };
@@ -1737,58 +3046,345 @@ function initializeBuffs(roomCode) {
     const room = rooms[roomCode];
     if (!room) return;
     
-    room.buffs = BUFF_SPAWNS.map(spawn => ({
+    const enabled = getRoomRules(room).buffs;
+    if (!enabled.length) {
+        room.buffs = [];
+        return;
+    }
+    room.buffs = getRoomMapConfig(room).buffSpawns.map(spawn => ({
         id: spawn.id,
         x: spawn.x,
         y: spawn.y,
-        type: BUFF_TYPES[Math.floor(Math.random() * BUFF_TYPES.length)],
+        type: enabled[Math.floor(Math.random() * enabled.length)],
         active: true,
         takenTime: 0
     }));
 }
 
-function getNextSpawn(roomCode) {
+function getRoomMapConfig(room) {
+    return MAP_CONFIGS[room && (room.selectedMap || room.map)] || MAP_CONFIGS[MAPS[0]];
+}
+
+function getNextSpawn(roomCode, player = null) {
     const room = rooms[roomCode];
-    if (!room) return PLAYER_SPAWNS[0];
+    if (!room) return MAP_CONFIGS[MAPS[0]].playerSpawns[0];
+
+    if (isTeamMode(room) && player && player.team) {
+        const map = getRoomMapConfig(room);
+        const teamSpawns = map.teamSpawns ? map.teamSpawns[player.team] : null;
+        if (teamSpawns && teamSpawns.length > 0) {
+            if (!room.nextTeamSpawnIndex) room.nextTeamSpawnIndex = { red: 0, blue: 0 };
+            const idx = (room.nextTeamSpawnIndex[player.team] || 0) % teamSpawns.length;
+            room.nextTeamSpawnIndex[player.team] = (idx + 1) % teamSpawns.length;
+            return teamSpawns[idx];
+        }
+    }
     
-    const spawn = PLAYER_SPAWNS[room.nextSpawnIndex];
-    room.nextSpawnIndex = (room.nextSpawnIndex + 1) % PLAYER_SPAWNS.length;
+    const spawns = getRoomMapConfig(room).playerSpawns;
+    const idx = (room.nextSpawnIndex || 0) % spawns.length;
+    const spawn = spawns[idx];
+    room.nextSpawnIndex = (idx + 1) % spawns.length;
     return spawn;
 }
 
+// ==================== MAP DEFINITIONS ====================
+// Maps live in MAPS_DIR as <key>.json. A file that fails validation is skipped with its reasons
+// logged and listed on /admin/maps; the rest of the catalog still loads.
+function loadMapCatalog(dir) {
+    const catalog = { dir, loadedAt: Date.now(), maps: {}, rejected: [] };
+    let files = [];
+    try {
+        files = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+    } catch (err) {
+        console.error(`[maps] cannot read ${dir}`, err && err.message ? err.message : err);
+        return catalog;
+    }
+    files.forEach((file) => {
+        let raw = null;
+        try {
+            raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (err) {
+            catalog.rejected.push({ file, errors: [`invalid JSON: ${err && err.message ? err.message : err}`] });
+            return;
+        }
+        const result = validateMapDefinition(raw, path.basename(file, '.json'));
+        if (!result.errors.length && catalog.maps[result.map.key]) {
+            result.errors.push(`duplicate map key "${result.map.key}"`);
+        }
+        if (result.errors.length) {
+            catalog.rejected.push({ file, errors: result.errors });
+            return;
+        }
+        catalog.maps[result.map.key] = { ...result.map, file };
+    });
+    catalog.rejected.forEach((r) => console.error(`[maps] rejected ${r.file}: ${r.errors.join('; ')}`));
+    console.log(`[maps] loaded ${Object.keys(catalog.maps).length} map(s) from ${dir}: ${Object.keys(catalog.maps).join(', ') || 'none'}`);
+    return catalog;
+}
+
+function validateMapDefinition(raw, fileKey) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { map: null, errors: ['map file must contain a JSON object'] };
+    }
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+
+    const key = String(raw.key || '').trim();
+    if (!MAP_KEY_RE.test(key)) errors.push('key must be 2-24 lowercase letters, digits, _ or -');
+    else if (key !== fileKey) errors.push(`key "${key}" does not match file name "${fileKey}"`);
+    ['name', 'floorColor', 'gridColor'].forEach((field) => {
+        if (!isText(raw[field])) errors.push(`${field} is required`);
+    });
+
+    const objects = Array.isArray(raw.objects) ? raw.objects : null;
+    if (!objects) errors.push('objects must be an array');
+    (objects || []).forEach((o, i) => {
+        const label = `objects[${i}]`;
+        if (!o || typeof o !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!MAP_COLLIDER_TYPES.includes(o.type) && !MAP_DECOR_TYPES.includes(o.type)) {
+            errors.push(`${label} has unknown type "${o.type}"`);
+            return;
+        }
+        if (!isNum(o.x) || !isNum(o.y) || o.x < 0 || o.x > MAP_WIDTH || o.y < 0 || o.y > MAP_HEIGHT) {
+            errors.push(`${label} position is outside the ${MAP_WIDTH}x${MAP_HEIGHT} map`);
+        }
+        if (MAP_AREA_TYPES.includes(o.type)) {
+            if (!isNum(o.width) || o.width <= 0 || !isNum(o.height) || o.height <= 0) {
+                errors.push(`${label} ${o.type} needs positive width and height`);
+            }
+        } else if (MAP_COLLIDER_TYPES.includes(o.type)) {
+            const size = isNum(o.w) ? o.w : o.width;
+            if (!isNum(size) || size <= 0) errors.push(`${label} ${o.type} needs a positive w`);
+        }
+    });
+    if (errors.length) return { map: null, errors };
+
+    const map = {
+        key,
+        name: raw.name.trim(),
+        floorColor: raw.floorColor,
+        gridColor: raw.gridColor,
+        objects,
+        playerSpawns: [],
+        buffSpawns: [],
+        teamSpawns: null,
+        hillZones: null,
+        colliderGrid: MAP_COLLISION_GRID_ENABLED ? buildMapColliderGrid(objects) : null
+    };
+    const points = []; // every spawn, for the reachability pass
+    const readPoints = (list, label, needIds) => {
+        const ids = new Set();
+        return list.map((pt, i) => {
+            const where = `${label}[${i}]`;
+            if (!pt || !isNum(pt.x) || !isNum(pt.y)) {
+                errors.push(`${where} needs numeric x and y`);
+                return null;
+            }
+            if (
+                pt.x < MAP_SPAWN_MARGIN || pt.x > MAP_WIDTH - MAP_SPAWN_MARGIN ||
+                pt.y < MAP_SPAWN_MARGIN || pt.y > MAP_HEIGHT - MAP_SPAWN_MARGIN
+            ) {
+                errors.push(`${where} is outside the playable area`);
+            } else if (isPointBlockedForPlayer(map, pt.x, pt.y)) {
+                errors.push(`${where} is inside a collider`);
+            }
+            if (needIds) {
+                if (!isText(pt.id)) errors.push(`${where} needs an id`);
+                else if (ids.has(pt.id)) errors.push(`${where} repeats id "${pt.id}"`);
+                else ids.add(pt.id);
+            }
+            const out = needIds ? { id: pt.id, x: pt.x, y: pt.y } : { x: pt.x, y: pt.y };
+            points.push({ label: where, x: pt.x, y: pt.y });
+            return out;
+        }).filter(Boolean);
+    };
+
+    if (!Array.isArray(raw.playerSpawns) || raw.playerSpawns.length < MAX_PLAYERS_PER_ROOM) {
+        errors.push(`playerSpawns needs at least ${MAX_PLAYERS_PER_ROOM} points`);
+    } else {
+        map.playerSpawns = readPoints(raw.playerSpawns, 'playerSpawns', false);
+    }
+    if (!Array.isArray(raw.buffSpawns)) {
+        errors.push('buffSpawns must be an array');
+    } else {
+        map.buffSpawns = readPoints(raw.buffSpawns, 'buffSpawns', true);
+    }
+    // Optional; team matches fall back to playerSpawns without it.
+    if (raw.teamSpawns !== undefined) {
+        const teamSpawns = {};
+        TEAMS.forEach((team) => {
+            const list = raw.teamSpawns && raw.teamSpawns[team];
+            if (!Array.isArray(list) || !list.length) {
+                errors.push(`teamSpawns.${team} needs at least one point`);
+                return;
+            }
+            teamSpawns[team] = readPoints(list, `teamSpawns.${team}`, false);
+        });
+        map.teamSpawns = teamSpawns;
+    }
+    // Optional; King of the Hill falls back to buffSpawns without it.
+    if (raw.hillZones !== undefined) {
+        if (!Array.isArray(raw.hillZones) || raw.hillZones.length < 2) {
+            errors.push('hillZones needs at least 2 points');
+        } else {
+            map.hillZones = readPoints(raw.hillZones, 'hillZones', false);
+        }
+    }
+    if (errors.length) return { map: null, errors };
+
+    findUnreachableMapPoints(map, points).forEach((label) => {
+        errors.push(`${label} cannot be reached from playerSpawns[0]`);
+    });
+    return errors.length ? { map: null, errors } : { map, errors };
+}
+
+// Flood-fills walkable grid cells from the first player spawn; any spawn with no reached cell
+// around it is walled off. Coarse, but it catches spawns sealed inside rings of rocks or water.
+function findUnreachableMapPoints(map, points) {
+    if (!points.length) return [];
+    const cols = Math.ceil(MAP_WIDTH / MAP_REACH_CELL);
+    const rows = Math.ceil(MAP_HEIGHT / MAP_REACH_CELL);
+    const walkable = new Uint8Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const x = c * MAP_REACH_CELL + MAP_REACH_CELL / 2;
+            const y = r * MAP_REACH_CELL + MAP_REACH_CELL / 2;
+            const inside = x >= MAP_SPAWN_MARGIN && x <= MAP_WIDTH - MAP_SPAWN_MARGIN &&
+                y >= MAP_SPAWN_MARGIN && y <= MAP_HEIGHT - MAP_SPAWN_MARGIN;
+            walkable[r * cols + c] = inside && !isPointBlockedForPlayer(map, x, y) ? 1 : 0;
+        }
+    }
+    const cellsAround = (pt) => {
+        const c0 = Math.floor(pt.x / MAP_REACH_CELL);
+        const r0 = Math.floor(pt.y / MAP_REACH_CELL);
+        const out = [];
+        for (let r = r0 - 1; r <= r0 + 1; r++) {
+            for (let c = c0 - 1; c <= c0 + 1; c++) {
+                if (r >= 0 && r < rows && c >= 0 && c < cols && walkable[r * cols + c]) out.push(r * cols + c);
+            }
+        }
+        return out;
+    };
+
+    const reached = new Uint8Array(cols * rows);
+    const queue = cellsAround(points[0]);
+    queue.forEach((cell) => { reached[cell] = 1; });
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        const r = Math.floor(cell / cols);
+        const c = cell % cols;
+        [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].forEach(([nr, nc]) => {
+            if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) return;
+            const next = nr * cols + nc;
+            if (!walkable[next] || reached[next]) return;
+            reached[next] = 1;
+            queue.push(next);
+        });
+    }
+    return points
+        .filter((pt) => !cellsAround(pt).some((cell) => reached[cell]))
+        .map((pt) => pt.label);
+}
+
+// ==================== COLLISION ====================
+// Broad phase: each map gets a uniform grid built once at load. A collider is listed in every
+// cell its reach (own extent plus the player radius / projectile padding) overlaps, so a point
+// query only tests the objects in its own cell. Points off the map clamp to the edge cells.
+function buildMapColliderGrid(objects) {
+    const cols = Math.ceil(MAP_WIDTH / MAP_GRID_CELL);
+    const rows = Math.ceil(MAP_HEIGHT / MAP_GRID_CELL);
+    const grid = {
+        cellSize: MAP_GRID_CELL,
+        cols,
+        rows,
+        player: Array.from({ length: cols * rows }, () => []),
+        projectile: Array.from({ length: cols * rows }, () => [])
+    };
+    const insert = (cells, o, halfW, halfH) => {
+        const c0 = Math.max(0, Math.floor((o.x - halfW) / MAP_GRID_CELL));
+        const c1 = Math.min(cols - 1, Math.floor((o.x + halfW) / MAP_GRID_CELL));
+        const r0 = Math.max(0, Math.floor((o.y - halfH) / MAP_GRID_CELL));
+        const r1 = Math.min(rows - 1, Math.floor((o.y + halfH) / MAP_GRID_CELL));
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) cells[r * cols + c].push(o);
+        }
+    };
+    objects.forEach((o) => {
+        if (!o || !MAP_COLLIDER_TYPES.includes(o.type)) return;
+        if (MAP_AREA_TYPES.includes(o.type)) {
+            // Matches the ellipse test below: both semi-axes grow by the same 1 + r/width factor.
+            const scale = 1 + (PLAYER_COLLISION_RADIUS / o.width);
+            insert(grid.player, o, (o.width / 2) * scale, (o.height / 2) * scale);
+            return;
+        }
+        const radius = (o.w || o.width) / 2;
+        insert(grid.player, o, radius + PLAYER_COLLISION_RADIUS, radius + PLAYER_COLLISION_RADIUS);
+        if (MAP_PROJECTILE_BLOCKER_TYPES.includes(o.type)) {
+            insert(grid.projectile, o, radius + PROJECTILE_BLOCK_PADDING, radius + PROJECTILE_BLOCK_PADDING);
+        }
+    });
+    return grid;
+}
+
+function mapGridCandidates(map, layer, x, y) {
+    const grid = map.colliderGrid;
+    if (!grid) return map.objects;
+    const c = Math.min(grid.cols - 1, Math.max(0, Math.floor(x / grid.cellSize)));
+    const r = Math.min(grid.rows - 1, Math.max(0, Math.floor(y / grid.cellSize)));
+    return grid[layer][r * grid.cols + c];
+}
+
 function isPlayerColliding(mapKey, nx, ny) {
-    const map = MAP_CONFIGS[mapKey];
+    return isPointBlockedForPlayer(MAP_CONFIGS[mapKey], nx, ny);
+}
+
+function isPointBlockedForPlayer(map, nx, ny) {
     if (!map || !map.objects) return false;
-    for (const o of map.objects) {
-        if (!['tree','rock','lake','pond','chasm','cactus'].includes(o.type)) continue;
+    const candidates = mapGridCandidates(map, 'player', nx, ny);
+    collisionMetrics.queries += 1;
+    collisionMetrics.objectChecks += candidates.length;
+    for (const o of candidates) {
+        if (!MAP_COLLIDER_TYPES.includes(o.type)) continue;
         const ox = nx - o.x;
         const oy = ny - o.y;
-        if (['lake','pond','chasm'].includes(o.type)) {
+        if (MAP_AREA_TYPES.includes(o.type)) {
             const enx = ox / (o.width / 2);
             const eny = oy / (o.height / 2);
-            if (Math.sqrt(enx * enx + eny * eny) < 1 + (18 / o.width)) return true;
+            if (Math.sqrt(enx * enx + eny * eny) < 1 + (PLAYER_COLLISION_RADIUS / o.width)) return true;
         } else {
             const ow = o.w || o.width;
-            if (Math.sqrt(ox * ox + oy * oy) < 18 + ow / 2) return true;
+            if (Math.sqrt(ox * ox + oy * oy) < PLAYER_COLLISION_RADIUS + ow / 2) return true;
         }
     }
     return false;
 }
 
 function isProjectileBlocked(mapKey, x, y) {
-    const map = MAP_CONFIGS[mapKey];
+    return isPointBlockedForProjectile(MAP_CONFIGS[mapKey], x, y);
+}
+
+function isPointBlockedForProjectile(map, x, y) {
     if (!map || !map.objects) return false;
-    for (const o of map.objects) {
-        if (!['tree','rock','cactus'].includes(o.type)) continue;
+    const candidates = mapGridCandidates(map, 'projectile', x, y);
+    collisionMetrics.queries += 1;
+    collisionMetrics.objectChecks += candidates.length;
+    for (const o of candidates) {
+        if (!MAP_PROJECTILE_BLOCKER_TYPES.includes(o.type)) continue;
         const ow = o.w || o.width;
         const dx = x - o.x;
         const dy = y - o.y;
-        if (Math.sqrt(dx * dx + dy * dy) < ow / 2 + 3) return true;
+        if (Math.sqrt(dx * dx + dy * dy) < ow / 2 + PROJECTILE_BLOCK_PADDING) return true;
     }
     return false;
 }
 
 function isShotPathBlocked(mapKey, fromX, fromY, toX, toY) {
+    const map = MAP_CONFIGS[mapKey];
+    if (!map || !map.objects) return false;
     const dx = toX - fromX;
     const dy = toY - fromY;
     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -1797,7 +3393,7 @@ function isShotPathBlocked(mapKey, fromX, fromY, toX, toY) {
         const t = i / steps;
         const x = fromX + dx * t;
         const y = fromY + dy * t;
-        if (isProjectileBlocked(mapKey, x, y)) return true;
+        if (isPointBlockedForProjectile(map, x, y)) return true;
     }
     return false;
 }
@@ -1819,33 +3415,130 @@ function closestPointOnSegment(ax, ay, bx, by, px, py) {
     };
 }
 
-function startGame(roomCode) {
-    const room = rooms[roomCode];
-    if (!room || room.state !== 'lobby') return false;
-    
-    // Check all players ready
-    const playerList = Object.values(room.players);
-    if (!playerList.every(p => p.ready)) return false;
-    
-    // Pick random map
-    room.map = MAPS[Math.floor(Math.random() * MAPS.length)];
-    room.state = 'countdown';
-    
-    // Initialize game state
-    initializeBuffs(roomCode);
-    
-    // Position players at spawn points
-    playerList.forEach(player => {
-        const spawn = getNextSpawn(roomCode);
-        const rewardState = getAdRewardState(player.persistentId);
-        const hadInstantRespawn = !!(rewardState && rewardState.instantRespawnPending);
+function pickRandomMap(candidates = MAPS) {
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Votes from players who left are ignored; only MAPS keys are ever stored.
+function tallyRoomMapVotes(room) {
+    const tally = {};
+    Object.entries((room && room.mapVotes) || {}).forEach(([playerKey, mapKey]) => {
+        if (!room.players[playerKey] || !MAPS.includes(mapKey)) return;
+        tally[mapKey] = (tally[mapKey] || 0) + 1;
+    });
+    return tally;
+}
+
+// The only place a match map is decided. Leader mode uses the pick (or rolls for 'random');
+// vote mode takes the most voted map, breaking ties at random, and rolls if nobody voted.
+function resolveRoomMap(room) {
+    const selection = (room && room.mapSelection) || { mode: 'leader', map: RANDOM_MAP_CHOICE };
+    if (selection.mode === 'vote') {
+        const tally = tallyRoomMapVotes(room);
+        const top = Math.max(0, ...Object.values(tally));
+        if (top <= 0) return pickRandomMap();
+        return pickRandomMap(MAPS.filter((mapKey) => tally[mapKey] === top));
+    }
+    return MAPS.includes(selection.map) ? selection.map : pickRandomMap();
+}
+
+function buildRoomMapSelectionState(room) {
+    const selection = (room && room.mapSelection) || { mode: 'leader', map: RANDOM_MAP_CHOICE };
+    const votes = {};
+    if (selection.mode === 'vote') {
+        Object.entries(room.mapVotes || {}).forEach(([playerKey, mapKey]) => {
+            if (room.players[playerKey]) votes[playerKey] = mapKey;
+        });
+    }
+    return {
+        mode: selection.mode,
+        map: selection.mode === 'leader' ? selection.map : null,
+        options: MAPS.slice(),
+        votes,
+        tally: selection.mode === 'vote' ? tallyRoomMapVotes(room) : {}
+    };
+}
+
+// Shared by the leader's startGame event and the quick match queue once a room is ready to go.
+function startRoomMatch(roomCode) {
+    const room = rooms[roomCode];
+    if (!room) return false;
+    const selectedMap = resolveRoomMap(room);
+    
+    room.state = 'starting';
+    room.selectedMap = selectedMap;
+    room.matchId = randomUuid();
+    room.lastMatchResults = null;
+    room.lastMatchEndedAt = 0;
+    room.lastMatchSeen = {};
+    invalidatePartyInvitesForRoom(roomCode, 'cancelled');
+
+    room.projectiles = [];
+    room.killChains = {};
+    room.buffs = [];
+    room.positionHistory = [];
+    room.nextSpawnIndex = 0;
+    room.nextTeamSpawnIndex = { red: 0, blue: 0 };
+    room.teamScores = { red: 0, blue: 0 };
+    room.lastMatchModeResults = null;
+    room.lastMatchRules = null;
+    room.lastMatchAwards = null;
+    room.matchEndReason = null;
+    const rules = getRoomRules(room);
+    resetRoomSyncState(room);
+    initializeBuffs(roomCode);
+    resetRoomHill(room);
+    fillRoomWithBots(room);
+    balanceRoomTeams(room);
+
+    Object.values(room.players).forEach(player => {
+        const spawn = getNextSpawn(roomCode, player);
+        const rewardState = getAdRewardState(player.persistentId);
+        const hadInstantRespawn = !!(rewardState && rewardState.instantRespawnPending);
         player.x = spawn.x;
         player.y = spawn.y;
-        player.hp = 3;
-        player.maxHp = 3;
+        player.angle = 0;
+        player.hp = rules.startingHp;
+        player.maxHp = rules.startingHp;
         player.kills = 0;
         player.deaths = 0;
+        player.headshots = 0;
         player.killstreak = 0;
+        player.bestKillstreak = 0;
+        player.hillMs = 0;
+        player.hillScore = 0;
+        player.shotsFired = 0;
+        player.hits = 0;
+        player.bestKillChain = 0;
+        player.buffsPickedUp = 0;
+        player.lifeStartedAt = 0;
+        player.longestLifeMs = 0;
+        player.botKills = 0;
+        player.botHeadshots = 0;
+        player.hasShield = false;
+        player.invisible = false;
+        player.speedBoost = false;
+        player.shieldExpire = 0;
+        player.invisExpire = 0;
+        player.speedExpire = 0;
+        player.charging = false;
+        player.chargeStartedAt = 0;
+        player.lastShotAt = 0;
+        player.diedAt = 0;
+        player.inputSeq = 0;
+        player.antiCheatStrikes = 0;
+        player.antiCheatState = {
+            windowStart: 0,
+            windowStrikes: 0,
+            warned: false,
+            level: 'none',
+            blockUntil: 0,
+            lastBlockLogAt: 0,
+            lastAction: null,
+            lastActionAt: 0
+        };
+        player.input = { w:false,a:false,s:false,d:false,angle:0,charging:false,seq:0 };
+        player.inputIntegrity = { lastMask: 0, lastAt: 0, togglePoints: 0, windowStart: 0 };
         player.instantRespawnActiveAtMatchStart = hadInstantRespawn;
         player.instantRespawnUsedThisMatch = false;
         player.instantRespawnCharges = hadInstantRespawn ? INSTANT_RESPAWN_MATCH_CHARGES : 0;
@@ -1853,30 +3546,103 @@ function startGame(roomCode) {
             setAdInstantRespawnPending(player.persistentId, false);
         }
     });
-    playerList.forEach((player) => {
+    Object.values(room.players).forEach((player) => {
         if (player && player.persistentId) emitAdsStateToPersistent(player.persistentId);
     });
     
-    // Broadcast countdown start
-    io.to(roomCode).emit('countdownStart', {
-        map: room.map,
-        players: room.players
+    console.log(`Game starting in room ${roomCode} with map: ${selectedMap}`);
+    
+    io.to(roomCode).emit('gameStarting', {
+        mapKey: selectedMap,
+        players: buildPublicPlayerList(room, true),
+        roomCode: roomCode,
+        mode: room.mode || DEFAULT_GAME_MODE,
+        teamSize: isTeamMode(room) ? room.teamSize : null,
+        rules
     });
     
-    // Start game after countdown
     setTimeout(() => {
-        if (rooms[roomCode]) {
+        if (rooms[roomCode] && rooms[roomCode].state === 'starting') {
             rooms[roomCode].state = 'playing';
             rooms[roomCode].gameStartTime = Date.now();
             beginRoomNetworkMatch(roomCode);
-            io.to(roomCode).emit('gameStart', { startTime: room.gameStartTime });
+            startRoomReplay(roomCode);
+            
+            io.to(roomCode).emit('gameStarted', {
+                startTime: rooms[roomCode].gameStartTime
+            });
         }
     }, COUNTDOWN_DURATION);
-    
     return true;
 }
 
 
+// ==================== LAG COMPENSATION ====================
+function recordRoomPositionHistory(room, now) {
+    if (!room || !LAG_COMP_ENABLED) return;
+    const players = {};
+    Object.values(room.players).forEach((p) => {
+        if (p) players[p.id] = { x: p.x, y: p.y, hp: p.hp };
+    });
+    if (!Array.isArray(room.positionHistory)) room.positionHistory = [];
+    room.positionHistory.push({ t: now, players });
+    const keep = Math.ceil(LAG_COMP_MAX_REWIND_MS / TICK_MS) + 2;
+    if (room.positionHistory.length > keep) {
+        room.positionHistory.splice(0, room.positionHistory.length - keep);
+    }
+}
+
+// Returns { x, y, hp } for a player at targetTime, or null when history has nothing older than now.
+function getRewoundPlayerState(room, playerId, targetTime) {
+    const history = room && Array.isArray(room.positionHistory) ? room.positionHistory : [];
+    if (!history.length) return null;
+    let newer = null;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const frame = history[i];
+        const state = frame.players[playerId];
+        if (!state) return newer ? newer.state : null;
+        if (frame.t <= targetTime) {
+            if (!newer || newer.t === frame.t) return state;
+            // Never blend across a death/respawn teleport.
+            if (state.hp <= 0 || newer.state.hp <= 0) {
+                return (targetTime - frame.t) <= (newer.t - targetTime) ? state : newer.state;
+            }
+            const alpha = (targetTime - frame.t) / (newer.t - frame.t);
+            return {
+                x: state.x + ((newer.state.x - state.x) * alpha),
+                y: state.y + ((newer.state.y - state.y) * alpha),
+                hp: state.hp
+            };
+        }
+        newer = { t: frame.t, state };
+    }
+    return newer ? newer.state : null;
+}
+
+function recordPlayerInputArrival(player, seq, now) {
+    if (!player) return;
+    if (!Array.isArray(player.inputArrivals)) player.inputArrivals = [];
+    const last = player.inputArrivals[player.inputArrivals.length - 1];
+    if (last && last.seq === seq) return;
+    player.inputArrivals.push({ seq, at: now });
+    if (player.inputArrivals.length > LAG_COMP_INPUT_ARRIVALS) player.inputArrivals.shift();
+}
+
+// The shooter saw the world roughly one-way latency plus their interpolation delay ago. When the
+// shot names the input seq it was fired on, that input's arrival time anchors the estimate instead of now.
+function estimateShotRewindMs(player, data, now) {
+    if (!LAG_COMP_ENABLED || !player || player.isBot) return 0;
+    let anchor = now;
+    const seq = data && Number.isFinite(data.seq) ? Math.floor(data.seq) : null;
+    if (seq !== null && Array.isArray(player.inputArrivals)) {
+        const hit = player.inputArrivals.find((a) => a.seq === seq);
+        if (hit && hit.at <= now) anchor = hit.at;
+    }
+    const oneWayMs = Number.isFinite(player.rttMs) ? player.rttMs / 2 : 0;
+    const viewTime = anchor - oneWayMs - LAG_COMP_INTERP_DELAY_MS;
+    return Math.max(0, Math.min(LAG_COMP_MAX_REWIND_MS, Math.round(now - viewTime)));
+}
+
 // ==================== GAME LOGIC ====================
 function respawnRoomPlayer(roomCode, player) {
     const room = rooms[roomCode];
@@ -1886,10 +3652,10 @@ function respawnRoomPlayer(roomCode, player) {
     const carrySeq = Number.isFinite(player.inputSeq)
         ? player.inputSeq
         : ((player.input && Number.isFinite(player.input.seq)) ? player.input.seq : 0);
-    const spawn = getNextSpawn(roomCode);
+    const spawn = getNextSpawn(roomCode, player);
     player.x = spawn.x;
     player.y = spawn.y;
-    player.maxHp = 3; // Reset Extra Core on death
+    player.maxHp = getRoomRules(room).startingHp; // Reset Extra Core on death
     player.hp = player.maxHp;
     player.hasShield = false;
     player.shieldExpire = 0;
@@ -1904,8 +3670,9 @@ function respawnRoomPlayer(roomCode, player) {
     player.input = { w: false, a: false, s: false, d: false, angle: player.angle || 0, charging: false, seq: carrySeq };
     player.inputIntegrity = { lastMask: 0, lastAt: 0, togglePoints: 0, windowStart: 0 };
     player.diedAt = 0;
+    player.lifeStartedAt = Date.now();
 
-    io.to(roomCode).emit('playerRespawn', {
+    emitRoomEvent(roomCode, 'playerRespawn', {
         playerId: player.id,
         x: spawn.x,
         y: spawn.y,
@@ -1920,10 +3687,11 @@ function updatePlayers(roomCode, dt) {
 
     const now = Date.now();
     const mapKey = room.selectedMap || room.map || 'forest';
+    const hillOccupants = [];
 
     Object.values(room.players).forEach(player => {
         if (player.hp <= 0) {
-            if (player.diedAt && (now - player.diedAt) >= PLAYER_RESPAWN_DELAY) {
+            if (player.diedAt && (now - player.diedAt) >= getRoomRules(room).respawnDelayMs) {
                 respawnRoomPlayer(roomCode, player);
             }
             return;
@@ -1967,7 +3735,9 @@ function updatePlayers(roomCode, dt) {
         player.charging = !!input.charging;
 
         checkBuffPickup(roomCode, player.id);
+        if (room.hill && isInsideHill(room.hill, player)) hillOccupants.push(player);
     });
+    if (room.hill) updateRoomHill(room, hillOccupants, dt * 1000, now);
 }
 
 function updateProjectiles(roomCode, dt) {
@@ -1991,7 +3761,7 @@ function updateProjectiles(roomCode, dt) {
         
         // Check map collisions (trees/rocks/cactus)
         if (isProjectileBlocked(mapKey, proj.x, proj.y)) {
-            io.to(roomCode).emit('hitEffect', {
+            emitRoomEvent(roomCode, 'hitEffect', {
                 x: proj.x,
                 y: proj.y,
                 type: 'map'
@@ -2017,13 +3787,21 @@ function updateProjectiles(roomCode, dt) {
             segEndY += uy * PROJECTILE_TIP_OFFSET;
         }
 
+        const rewindMs = proj.rewindMs || 0;
+        const rewindTo = Date.now() - rewindMs;
         let bestHit = null;
         for (const player of Object.values(room.players)) {
             if (player.hp <= 0 || player.id === proj.ownerId) continue;
-
-            const closest = closestPointOnSegment(segStartX, segStartY, segEndX, segEndY, player.x, player.y);
-            const dx = closest.x - player.x;
-            const dy = closest.y - player.y;
+            // No friendly fire: arrows pass through teammates.
+            if (proj.ownerTeam && player.team === proj.ownerTeam) continue;
+
+            const past = rewindMs > 0 ? getRewoundPlayerState(room, player.id, rewindTo) : null;
+            if (past && past.hp <= 0) continue;
+            const targetX = past ? past.x : player.x;
+            const targetY = past ? past.y : player.y;
+            const closest = closestPointOnSegment(segStartX, segStartY, segEndX, segEndY, targetX, targetY);
+            const dx = closest.x - targetX;
+            const dy = closest.y - targetY;
             const distSq = (dx * dx) + (dy * dy);
             if (distSq >= (PROJECTILE_HIT_RADIUS * PROJECTILE_HIT_RADIUS)) continue;
 
@@ -2039,23 +3817,27 @@ function updateProjectiles(roomCode, dt) {
             const blockedByShield = !!victim.hasShield;
             const headshot = !blockedByShield && isHeadshot;
             const hitType = blockedByShield ? 'shield' : 'player';
+            const shooter = room.players[proj.ownerId];
+            if (shooter) shooter.hits = (shooter.hits || 0) + 1;
 
-            io.to(roomCode).emit('hitEffect', {
+            emitRoomEvent(roomCode, 'hitEffect', {
                 x: bestHit.closest.x,
                 y: bestHit.closest.y,
                 type: hitType,
                 headshot: headshot,
                 victimId: victim.id,
-                ownerId: proj.ownerId
+                ownerId: proj.ownerId,
+                rewindMs
             });
-            console.log('[srv] hitEffect', roomCode, hitType, 'headshot=', headshot, 'owner=', proj.ownerId, 'victim=', victim.id);
+            console.log('[srv] hitEffect', roomCode, hitType, 'headshot=', headshot, 'owner=', proj.ownerId, 'victim=', victim.id, 'rewindMs=', rewindMs);
 
             // Shield blocks exactly one hit, even headshots.
             if (blockedByShield) {
                 victim.hasShield = false;
-                io.to(roomCode).emit('shieldBreak', { playerId: victim.id });
+                emitRoomEvent(roomCode, 'shieldBreak', { playerId: victim.id });
             } else {
-                victim.hp = headshot ? 0 : victim.hp - 1;
+                if (headshot) victim.hp = 0;
+                else if (!getRoomRules(room).headshotOnly) victim.hp -= 1;
                 if (victim.hp <= 0) {
                     handleKill(roomCode, proj.ownerId, victim.id, headshot);
                 }
@@ -2077,10 +3859,17 @@ function handleKill(roomCode, killerId, victimId, isHeadshot) {
     const now = Date.now();
     
     if (!killer || !victim) return;
+    const rules = getRoomRules(room);
     
     // Update stats
     killer.kills++;
     killer.killstreak++;
+    killer.bestKillstreak = Math.max(killer.bestKillstreak || 0, killer.killstreak);
+    if (isHeadshot) killer.headshots = (killer.headshots || 0) + 1;
+    if (victim.isBot) {
+        killer.botKills = (killer.botKills || 0) + 1;
+        if (isHeadshot) killer.botHeadshots = (killer.botHeadshots || 0) + 1;
+    }
     victim.deaths++;
     victim.killstreak = 0;
     victim.hp = 0;
@@ -2095,6 +3884,20 @@ function handleKill(roomCode, killerId, victimId, isHeadshot) {
     victim.chargeStartedAt = 0;
     victim.lastShotAt = 0;
     victim.diedAt = now;
+    victim.longestLifeMs = Math.max(victim.longestLifeMs || 0, currentLifeMs(room, victim, now));
+
+    let teamScores = null;
+    if (isTeamMode(room)) {
+        if (killer.team && killer.team !== victim.team) {
+            room.teamScores[killer.team] = (room.teamScores[killer.team] || 0) + 1;
+        }
+        teamScores = { ...room.teamScores };
+    }
+    // Ending here would tear the room down mid-tick; the game loop picks the flag up after this tick.
+    if (rules.scoreLimit > 0 && !room.matchEndReason && !isHillMode(room)) {
+        const score = isTeamMode(room) ? (room.teamScores[killer.team] || 0) : killer.kills;
+        if (score >= rules.scoreLimit) room.matchEndReason = 'score_limit';
+    }
     
     // Kill chain tracking
     if (!room.killChains[killerId]) {
@@ -2108,12 +3911,13 @@ function handleKill(roomCode, killerId, victimId, isHeadshot) {
         chain.count = 1;
     }
     chain.lastKillTime = now;
+    killer.bestKillChain = Math.max(killer.bestKillChain || 0, chain.count);
     
     // Killstreak tier check
     let killstreakTier = null;
     if (killer.killstreak === KILLSTREAK_TIERS.EXTRA_CORE) {
         killstreakTier = 'extraCore';
-        killer.maxHp = 4;
+        killer.maxHp = rules.startingHp + 1;
         killer.hp = Math.min(killer.hp + 1, killer.maxHp);
     } else if (killer.killstreak === KILLSTREAK_TIERS.MOMENTUM) {
         killstreakTier = 'momentum';
@@ -2148,23 +3952,24 @@ function handleKill(roomCode, killerId, victimId, isHeadshot) {
             if (!victimRef) return;
 
             respawnRoomPlayer(roomCode, victimRef);
-        }, PLAYER_RESPAWN_DELAY);
+        }, rules.respawnDelayMs);
     }
     
     // Broadcast kill
-    io.to(roomCode).emit('playerKilled', {
+    emitRoomEvent(roomCode, 'playerKilled', {
         killerId: killerId,
         victimId: victimId,
         isHeadshot: isHeadshot,
         killerStats: { kills: killer.kills, killstreak: killer.killstreak },
         victimStats: { deaths: victim.deaths },
         chainCount: chain.count,
-        killstreakTier: killstreakTier
+        killstreakTier: killstreakTier,
+        teamScores
     });
 
     if (usedInstantRespawn) {
         respawnRoomPlayer(roomCode, victim);
-        io.to(roomCode).emit('instantRespawnUsed', {
+        emitRoomEvent(roomCode, 'instantRespawnUsed', {
             playerId: victim.id,
             remainingCharges: remainingInstantRespawnCharges
         });
@@ -2176,13 +3981,15 @@ function updateBuffs(roomCode) {
     if (!room || room.state !== 'playing') return;
     
     const now = Date.now();
+    const enabled = getRoomRules(room).buffs;
+    if (!enabled.length) return;
     room.buffs.forEach(buff => {
         if (!buff.active && buff.takenTime > 0 && now - buff.takenTime >= BUFF_RESPAWN_DELAY) {
-            buff.type = BUFF_TYPES[Math.floor(Math.random() * BUFF_TYPES.length)];
+            buff.type = enabled[Math.floor(Math.random() * enabled.length)];
             buff.active = true;
             buff.takenTime = 0;
             
-            io.to(roomCode).emit('buffRespawn', {
+            emitRoomEvent(roomCode, 'buffRespawn', {
                 buffId: buff.id,
                 type: buff.type
             });
@@ -2216,6 +4023,8 @@ function checkBuffPickup(roomCode, playerId) {
                 player.hasShield = true;
                 player.shieldExpire = now + 6000;
             } else if (buff.type === 'invis') {
+                // Where enemies last saw them; recipients with no earlier view get this position.
+                player.invisAnchor = { x: player.x, y: player.y, angle: player.angle };
                 player.invisible = true;
                 player.invisExpire = now + 6000;
             } else if (buff.type === 'speed') {
@@ -2223,11 +4032,15 @@ function checkBuffPickup(roomCode, playerId) {
                 player.speedExpire = now + 6000;
             }
             
-            io.to(roomCode).emit('buffPickup', {
+            player.buffsPickedUp = (player.buffsPickedUp || 0) + 1;
+            const pickup = {
                 playerId: playerId,
                 buffId: buff.id,
                 buffType: buff.type
-            });
+            };
+            emitRoomEventPerViewer(roomCode, 'buffPickup', pickup, (viewer) => (
+                canViewerSeePlayer(room, viewer, player) ? pickup : { ...pickup, playerId: null }
+            ));
             console.log('[srv] buffPickup', roomCode, buff.type, playerId);
         }
     });
@@ -2247,8 +4060,8 @@ function makePlayer(socketId, playerName, persistentId, isLeader, profileMeta =
         x: 0,
         y: 0,
         angle: 0,
-        hp: 3,
-        maxHp: 3,
+        hp: DEFAULT_STARTING_HP,
+        maxHp: DEFAULT_STARTING_HP,
         kills: 0,
         deaths: 0,
         killstreak: 0,
@@ -2280,6 +4093,129 @@ function makePlayer(socketId, playerName, persistentId, isLeader, profileMeta =
     };
 }
 
+// Shared shot validation for socket fireProjectile and server bots. Rejections are reported
+// through onSuspicion so only socket-driven players collect anti-cheat strikes.
+function fireRoomProjectile(roomCode, player, data, onSuspicion = null) {
+    const room = rooms[roomCode];
+    if (!room || room.state !== 'playing' || !player || player.hp <= 0) return false;
+    const flag = (reason, details) => {
+        if (typeof onSuspicion === 'function') onSuspicion(reason, details);
+    };
+
+    const now = Date.now();
+    if ((now - (player.lastUpdate || 0)) > MAX_INPUT_STALE_MS) {
+        flag('shot_with_stale_input', { staleMs: now - (player.lastUpdate || 0) });
+        return false;
+    }
+
+    if (!data || typeof data !== 'object') {
+        flag('invalid_fire_payload');
+        return false;
+    }
+
+    if (player.lastShotAt && (now - player.lastShotAt) < MIN_SHOT_INTERVAL_MS) {
+        flag('fire_rate_violation', { delta: now - player.lastShotAt });
+        return false;
+    }
+    const chargeRequiredMs = (player.killstreak >= KILLSTREAK_TIERS.FAST_CHARGE)
+        ? FAST_CHARGE_REQUIRED_MS
+        : BASE_CHARGE_REQUIRED_MS;
+    const chargeHeldMs = (player.chargeStartedAt && player.input && player.input.charging)
+        ? (now - player.chargeStartedAt)
+        : 0;
+    if (chargeHeldMs < (chargeRequiredMs - CHARGE_VALIDATION_GRACE_MS)) {
+        flag('fire_charge_violation', {
+            heldMs: chargeHeldMs,
+            requiredMs: chargeRequiredMs,
+            charging: !!(player.input && player.input.charging)
+        });
+        return false;
+    }
+
+    const activeOwnerProjectiles = room.projectiles.filter(p => p.ownerId === player.id).length;
+    if (activeOwnerProjectiles >= MAX_ACTIVE_PROJECTILES_PER_PLAYER) {
+        flag('active_projectile_cap_exceeded', { activeOwnerProjectiles });
+        return false;
+    }
+
+    if (player.invisible) {
+        player.invisible = false;
+        player.invisExpire = 0;
+    }
+    
+    const rawAngle = (typeof data.angle === 'number') ? data.angle : player.angle;
+    if (!Number.isFinite(rawAngle)) {
+        flag('fire_invalid_angle', { angle: data.angle });
+        return false;
+    }
+    const angle = normalizeAngle(rawAngle);
+    const inputAngle = player.input && Number.isFinite(player.input.angle) ? player.input.angle : player.angle;
+    const delta = angleDeltaAbs(angle, inputAngle);
+    if (delta > SHOT_ANGLE_WARN_DELTA) {
+        flag('fire_angle_mismatch', {
+            delta: Number(delta.toFixed(3)),
+            shotAngle: Number(angle.toFixed(3)),
+            inputAngle: Number(normalizeAngle(inputAngle).toFixed(3))
+        });
+    }
+    if (delta > SHOT_ANGLE_HARD_DELTA) {
+        flag('fire_angle_hard_reject', {
+            delta: Number(delta.toFixed(3))
+        });
+        return false;
+    }
+    const speed = 871.2; // 14.52 * 60fps
+    const offset = 25;
+    const mapKey = room.selectedMap || room.map || 'forest';
+    const originX = player.x + Math.cos(angle) * offset;
+    const originY = player.y + Math.sin(angle) * offset;
+    const originDist = Math.sqrt(((originX - player.x) ** 2) + ((originY - player.y) ** 2));
+    if (Math.abs(originDist - offset) > SHOT_ORIGIN_TOLERANCE) {
+        flag('fire_origin_distance_mismatch', {
+            originDist: Number(originDist.toFixed(3)),
+            expected: offset
+        });
+        return false;
+    }
+    if (isProjectileBlocked(mapKey, originX, originY)) {
+        flag('fire_origin_blocked', {
+            x: Number(originX.toFixed(1)),
+            y: Number(originY.toFixed(1))
+        });
+        return false;
+    }
+    if (isShotPathBlocked(mapKey, player.x, player.y, originX, originY)) {
+        flag('fire_path_blocked', {
+            fromX: Number(player.x.toFixed(1)),
+            fromY: Number(player.y.toFixed(1)),
+            toX: Number(originX.toFixed(1)),
+            toY: Number(originY.toFixed(1))
+        });
+        return false;
+    }
+    const projectile = {
+        id: `proj_${player.id}_${Date.now()}`,
+        ownerId: player.id,
+        x: originX,
+        y: originY,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        angle: angle,
+        life: 0,
+        rewindMs: estimateShotRewindMs(player, data, now),
+        ownerTeam: isTeamMode(room) ? (player.team || null) : null
+    };
+    
+    player.lastShotAt = now;
+    player.chargeStartedAt = 0;
+    player.shotsFired = (player.shotsFired || 0) + 1;
+    room.projectiles.push(projectile);
+    
+    emitRoomEvent(roomCode, 'projectileFired', projectile);
+    console.log('[srv] projectileFired', roomCode, player.id);
+    return true;
+}
+
 function findPlayerEntryByPersistentId(room, persistentId) {
     if (!room || !persistentId) return null;
     const entry = Object.entries(room.players).find(([, p]) => p && p.persistentId === persistentId);
@@ -2316,143 +4252,797 @@ function bitCount(v) {
     return c;
 }
 
-// ==================== SOCKET.IO EVENTS ====================
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
-    
-    let currentRoom = null;
-    let heartbeatInterval = null;
-    socket.playerKey = socket.id;
-    socket.authPersistentId = null;
-    socket.authenticated = false;
-    socket.rateLimits = {};
-    socket.lastAntiCheatLogAt = 0;
-    socket.clientIp = normalizeIp(
-        (socket.handshake && socket.handshake.headers && socket.handshake.headers['x-forwarded-for']) ||
-        (socket.handshake && socket.handshake.address) ||
-        (socket.conn && socket.conn.remoteAddress) ||
-        ''
-    );
+// ==================== FRIEND PRESENCE ====================
+function resolveProfilePresence(profileId, now = Date.now(), profileSockets = null) {
+    const list = profileSockets || socketsByProfileId(profileId);
+    if (!list.length) return { status: 'offline' };
+    let presence = { status: 'online' };
+    list.forEach((s) => {
+        const room = s && s.roomCode ? rooms[s.roomCode] : null;
+        if (!room) return;
+        if (ACTIVE_MATCH_STATES.has(room.state)) {
+            const durationMs = getRoomRules(room).durationSec * 1000;
+            const remainingMs = room.state === 'playing' && room.gameStartTime
+                ? Math.max(0, durationMs - (now - room.gameStartTime))
+                : durationMs;
+            presence = {
+                status: 'in_match',
+                mapKey: room.selectedMap || room.map || null,
+                remainingMs,
+                endsAt: room.state === 'playing' ? now + remainingMs : null
+            };
+            return;
+        }
+        if (presence.status === 'in_match') return;
+        if (room.state === 'lobby' || room.state === 'queueing') {
+            presence = {
+                status: 'in_lobby',
+                roomCode: room.code,
+                partySize: countRoomHumans(room),
+                maxPlayers: getRoomCapacity(room),
+                queueing: room.state === 'queueing'
+            };
+        }
+    });
+    return presence;
+}
 
-    if (NET_MONITOR_ENABLED) {
-        const originalSocketEmit = socket.emit.bind(socket);
-        socket.emit = function monitoredSocketEmit(eventName, ...args) {
-            const roomCode = socket.roomCode;
-            if (roomCode && rooms[roomCode] && shouldTrackNetEvent(eventName)) {
-                const bytes = estimateSocketIoEventBytes(eventName, args);
-                recordRoomNetworkEvent(roomCode, 'out', eventName, bytes, 1);
-            }
-            return originalSocketEmit(eventName, ...args);
-        };
+// remainingMs ticks every sweep, so it is left out of change detection; clients count down from endsAt.
+function friendPresenceKey(presence) {
+    return [
+        presence.status,
+        presence.roomCode || '',
+        presence.mapKey || '',
+        presence.partySize || 0,
+        presence.queueing ? 1 : 0,
+        presence.endsAt ? 1 : 0
+    ].join('|');
+}
 
-        socket.onAny((eventName, ...args) => {
-            const roomCode = socket.roomCode;
-            if (!roomCode || !rooms[roomCode] || !shouldTrackNetEvent(eventName)) return;
-            const bytes = estimateSocketIoEventBytes(eventName, args);
-            recordRoomNetworkEvent(roomCode, 'in', eventName, bytes, 1);
-        });
-    }
-    
-    // Heartbeat
-    heartbeatInterval = setInterval(() => {
-        socket.emit('heartbeat');
-    }, 5000);
-    socket.heartbeatInterval = heartbeatInterval;
+function withFriendPresence(friends) {
+    const now = Date.now();
+    return (Array.isArray(friends) ? friends : []).map((f) => ({
+        ...f,
+        presence: resolveProfilePresence(f.profileId, now)
+    }));
+}
 
-    function pushRecentSuspicion(event) {
-        pushAntiCheatRecent(event);
+async function pushFriendPresence(profileId, presence) {
+    let friendIds = [];
+    try {
+        friendIds = await identityStore.listFriendIds({ profileId });
+    } catch (_) {
+        return;
     }
-
-    function registerRateLimitSuspicion(eventName) {
-        const now = Date.now();
-        const roomCode = socket.roomCode || null;
-        antiCheatMetrics.totalSuspiciousEvents += 1;
-        recordSuspicionTimeline(now);
-        const reason = `rate_limit:${eventName}`;
-        antiCheatMetrics.reasons[reason] = (antiCheatMetrics.reasons[reason] || 0) + 1;
-        if (roomCode && rooms[roomCode]) {
-            rooms[roomCode].antiCheatEvents = (rooms[roomCode].antiCheatEvents || 0) + 1;
-            rooms[roomCode].antiCheatScore = (rooms[roomCode].antiCheatScore || 0) + 1.5;
-        }
-        pushRecentSuspicion({
-            ts: now,
-            reason,
-            room: roomCode,
-            socketId: socket.id,
-            playerId: null,
-            name: socket.playerName || 'Unknown',
-            details: { eventName }
+    friendIds.forEach((friendId) => {
+        socketsByProfileId(friendId).forEach((s) => {
+            s.emit('friends:presenceUpdated', { profileId, presence });
         });
-    }
+    });
+}
 
-    function ensureSocketPlayerBinding(room) {
-        if (!room) return null;
+async function sweepFriendPresence(now = Date.now()) {
+    if (friendPresenceSweepRunning) return;
+    friendPresenceSweepRunning = true;
+    try {
+        const socketsByProfile = new Map();
+        io.sockets.sockets.forEach((s) => {
+            if (!s || !s.profileId) return;
+            if (!socketsByProfile.has(s.profileId)) socketsByProfile.set(s.profileId, []);
+            socketsByProfile.get(s.profileId).push(s);
+        });
 
-        // Already bound.
-        if (socket.playerKey && room.players[socket.playerKey]) return socket.playerKey;
+        const changed = [];
+        socketsByProfile.forEach((list, profileId) => {
+            const presence = resolveProfilePresence(profileId, now, list);
+            const key = friendPresenceKey(presence);
+            const prev = friendPresenceByProfile[profileId];
+            if (prev && prev.key === key) return;
+            friendPresenceByProfile[profileId] = { key, presence };
+            changed.push([profileId, presence]);
+        });
+        Object.keys(friendPresenceByProfile).forEach((profileId) => {
+            if (socketsByProfile.has(profileId)) return;
+            delete friendPresenceByProfile[profileId];
+            changed.push([profileId, { status: 'offline' }]);
+        });
 
-        // Direct socket id key exists.
-        if (room.players[socket.id]) {
-            socket.playerKey = socket.id;
-            return socket.playerKey;
+        for (const [profileId, presence] of changed) {
+            await pushFriendPresence(profileId, presence);
         }
+    } finally {
+        friendPresenceSweepRunning = false;
+    }
+}
 
-        // Fallback by persistent identity.
-        if (!socket.authPersistentId) return null;
-        const entry = findPlayerEntryByPersistentId(room, socket.authPersistentId);
-        if (!entry) return null;
+// ==================== ROOM RULES ====================
+function cloneRoomRules(rules) {
+    return { ...rules, buffs: rules.buffs.slice() };
+}
 
-        const [oldKey, player] = entry;
-        if (room.state === 'lobby' && oldKey !== socket.id) {
-            // In lobby, normalize record key to current socket.id for stable leader/actions.
-            delete room.players[oldKey];
-            player.id = socket.id;
-            player.name = socket.playerName || player.name;
-            player.profileId = socket.profileId || player.profileId || null;
-            player.friendCode = socket.friendCode || player.friendCode || null;
-            player.username = socket.username || player.username || null;
-            player.disconnected = false;
-            player.lastUpdate = Date.now();
-            room.players[socket.id] = player;
-            if (room.leader === oldKey) room.leader = socket.id;
-            socket.playerKey = socket.id;
-            return socket.playerKey;
-        }
+function getRoomRules(room) {
+    return cloneRoomRules((room && room.rules) || DEFAULT_ROOM_RULES);
+}
 
-        socket.playerKey = oldKey;
-        return socket.playerKey;
-    }
+function hasCustomRoomRules(room) {
+    const rules = getRoomRules(room);
+    return Object.keys(DEFAULT_ROOM_RULES).some((key) => {
+        if (key === 'buffs') return rules.buffs.length !== BUFF_TYPES.length;
+        return rules[key] !== DEFAULT_ROOM_RULES[key];
+    });
+}
 
-    function getPlayer(room) {
-        if (!room) return null;
-        const key = ensureSocketPlayerBinding(room);
-        if (!key) return null;
-        return room.players[key] || null;
+// Partial updates merge over the current rules. Returns { rules } or { error, message } naming the bad field.
+function normalizeRoomRules(input, current = DEFAULT_ROOM_RULES) {
+    if (!input || typeof input !== 'object') return { error: 'INVALID_RULES', message: 'Rules must be an object.' };
+    const rules = cloneRoomRules(current);
+    for (const key of Object.keys(ROOM_RULE_LIMITS)) {
+        if (input[key] === undefined) continue;
+        const value = Number(input[key]);
+        const [min, max] = ROOM_RULE_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return { error: 'INVALID_RULES', message: `${key} must be a whole number from ${min} to ${max}.` };
+        }
+        rules[key] = value;
     }
-
-    function allowEvent(eventName, maxCount, windowMs) {
-        const now = Date.now();
-        const rl = socket.rateLimits[eventName] || { count: 0, start: now };
-        if (now - rl.start > windowMs) {
-            rl.count = 0;
-            rl.start = now;
+    if (input.headshotOnly !== undefined) {
+        if (typeof input.headshotOnly !== 'boolean') {
+            return { error: 'INVALID_RULES', message: 'headshotOnly must be true or false.' };
         }
-        rl.count += 1;
-        socket.rateLimits[eventName] = rl;
-        const allowed = rl.count <= maxCount;
-        if (!allowed) registerRateLimitSuspicion(eventName);
-        return allowed;
+        rules.headshotOnly = input.headshotOnly;
+    }
+    if (input.buffs !== undefined) {
+        if (!Array.isArray(input.buffs) || input.buffs.some((type) => !BUFF_TYPES.includes(type))) {
+            return { error: 'INVALID_RULES', message: `buffs must list only: ${BUFF_TYPES.join(', ')}.` };
+        }
+        // Keep BUFF_TYPES order so equal sets compare equal.
+        rules.buffs = BUFF_TYPES.filter((type) => input.buffs.includes(type));
     }
+    return { rules };
+}
 
-    function emitFriendsError(code, fallbackMessage, extra = {}) {
-        const c = code ? String(code) : 'FRIENDS_ERROR';
-        const messages = {
-            PROFILE_NOT_FOUND: 'Profile not found.',
+// ==================== TEAMS ====================
+function isTeamMode(room) {
+    return !!room && room.mode === 'tdm';
+}
+
+function getRoomCapacity(room) {
+    if (!isTeamMode(room)) return MAX_PLAYERS_PER_ROOM;
+    return (room.teamSize || DEFAULT_TDM_TEAM_SIZE) * TEAMS.length;
+}
+
+function areTeammates(room, a, b) {
+    return isTeamMode(room) && !!a && !!b && !!a.team && a.team === b.team;
+}
+
+// Keeps existing picks where possible: unassigned players join the smaller side, then the most
+// recently added players (bots first) move over until the sides differ by at most one.
+function balanceRoomTeams(room) {
+    if (!room || !room.players) return;
+    const players = Object.values(room.players).filter(Boolean);
+    if (!isTeamMode(room)) {
+        players.forEach((p) => { p.team = null; });
+        return;
+    }
+    const sides = { red: [], blue: [] };
+    players.forEach((p) => {
+        if (TEAMS.includes(p.team)) sides[p.team].push(p);
+    });
+    players.forEach((p) => {
+        if (TEAMS.includes(p.team)) return;
+        p.team = sides.red.length <= sides.blue.length ? 'red' : 'blue';
+        sides[p.team].push(p);
+    });
+    while (Math.abs(sides.red.length - sides.blue.length) > 1) {
+        const from = sides.red.length > sides.blue.length ? 'red' : 'blue';
+        const to = from === 'red' ? 'blue' : 'red';
+        const pool = sides[from];
+        let idx = -1;
+        for (let i = pool.length - 1; i >= 0; i--) {
+            if (pool[i].isBot) { idx = i; break; }
+        }
+        if (idx < 0) idx = pool.length - 1;
+        const moved = pool.splice(idx, 1)[0];
+        moved.team = to;
+        sides[to].push(moved);
+    }
+}
+
+// Mode results ride on gameEnd / matchResultsPending; null for free-for-all matches.
+function buildModeMatchResults(room, resultPlayers) {
+    if (isTeamMode(room)) return buildTeamMatchResults(room, resultPlayers);
+    if (isHillMode(room)) return buildHillMatchResults(room, resultPlayers);
+    return null;
+}
+
+function buildTeamMatchResults(room, resultPlayers) {
+    if (!isTeamMode(room)) return null;
+    const scores = room.teamScores || { red: 0, blue: 0 };
+    const teams = TEAMS.map((team) => ({
+        team,
+        score: scores[team] || 0,
+        players: Object.values(resultPlayers || {})
+            .filter((p) => p && p.team === team)
+            .sort((a, b) => (b.kills - a.kills) || (a.deaths - b.deaths))
+    }));
+    const [red, blue] = teams;
+    let winningTeam = null;
+    if (red.score !== blue.score) winningTeam = red.score > blue.score ? 'red' : 'blue';
+    return {
+        mode: 'tdm',
+        teamSize: room.teamSize || DEFAULT_TDM_TEAM_SIZE,
+        teams,
+        winningTeam
+    };
+}
+
+// ==================== SPECTATORS ====================
+// Spectators sit in the Socket.IO room so they get every room broadcast, but they have no player
+// record: socket.roomCode stays null and socket.spectatingRoom points at the room instead.
+function buildRoomSpectatorList(room) {
+    return Object.values((room && room.spectators) || {}).map((s) => ({
+        id: s.id,
+        name: s.name,
+        followId: s.followId
+    }));
+}
+
+function countRoomSpectators(room) {
+    return Object.keys((room && room.spectators) || {}).length;
+}
+
+function findRoomPlayerById(room, playerId) {
+    if (!room || !playerId) return null;
+    return Object.values(room.players || {}).find((p) => p && p.id === playerId) || null;
+}
+
+function removeRoomSpectator(roomCode, socketId) {
+    const room = rooms[roomCode];
+    if (!room || !room.spectators || !room.spectators[socketId]) return false;
+    delete room.spectators[socketId];
+    return true;
+}
+
+function closeRoomSpectators(roomCode, reason) {
+    const room = rooms[roomCode];
+    if (!room || !room.spectators) return;
+    Object.keys(room.spectators).forEach((socketId) => {
+        const target = io.sockets.sockets.get(socketId);
+        if (target) {
+            target.leave(roomCode);
+            target.spectatingRoom = null;
+            target.emit('spectateEnded', { roomCode, reason });
+        }
+    });
+    room.spectators = {};
+}
+
+// ==================== KING OF THE HILL ====================
+// One zone at a time, moving between the map's hillZones (or buff spawns). A player alone in the
+// zone captures it, then scores a hill point per second held; two or more inside freeze it as
+// contested. Taking someone else's hill first drains their capture back to zero.
+function isHillMode(room) {
+    return !!room && room.mode === 'koth';
+}
+
+function getHillScoreLimit(room) {
+    return getRoomRules(room).scoreLimit || KOTH_SCORE_LIMIT;
+}
+
+function placeRoomHill(room, previous = null) {
+    const map = getRoomMapConfig(room);
+    const points = map.hillZones || map.buffSpawns;
+    const choices = points.filter((pt) => !previous || pt.x !== previous.x || pt.y !== previous.y);
+    const pt = choices.length ? choices[Math.floor(Math.random() * choices.length)] : points[0];
+    return {
+        id: 'hill',
+        x: pt.x,
+        y: pt.y,
+        radius: KOTH_ZONE_RADIUS,
+        ownerId: null,
+        captureMs: 0,
+        contested: false,
+        occupants: 0,
+        occupantIds: [],
+        movesAt: 0 // armed on the first playing tick so the countdown does not eat into it
+    };
+}
+
+function resetRoomHill(room) {
+    if (!room) return;
+    const map = isHillMode(room) ? getRoomMapConfig(room) : null;
+    room.hill = map && (map.hillZones || map.buffSpawns).length ? placeRoomHill(room) : null;
+}
+
+function isInsideHill(hill, player) {
+    const dx = player.x - hill.x;
+    const dy = player.y - hill.y;
+    return (dx * dx) + (dy * dy) <= hill.radius * hill.radius;
+}
+
+function updateRoomHill(room, occupants, dtMs, now) {
+    let hill = room.hill;
+    if (!hill.movesAt) hill.movesAt = now + KOTH_ZONE_MOVE_MS;
+    if (now >= hill.movesAt) {
+        hill = room.hill = placeRoomHill(room, hill);
+        hill.movesAt = now + KOTH_ZONE_MOVE_MS;
+        return;
+    }
+    hill.occupants = occupants.length;
+    hill.occupantIds = occupants.map((p) => p.id);
+    hill.contested = occupants.length > 1;
+    if (occupants.length !== 1) return;
+
+    const player = occupants[0];
+    if (hill.ownerId !== player.id) {
+        hill.captureMs -= dtMs;
+        if (hill.captureMs <= 0) {
+            hill.ownerId = player.id;
+            hill.captureMs = 0;
+        }
+        return;
+    }
+    if (hill.captureMs < KOTH_CAPTURE_MS) {
+        hill.captureMs = Math.min(KOTH_CAPTURE_MS, hill.captureMs + dtMs);
+        return;
+    }
+    player.hillMs = (player.hillMs || 0) + dtMs;
+    player.hillScore = Math.floor(player.hillMs / 1000);
+    // Same hand-off as the kill score limit: the game loop ends the match after this tick.
+    if (player.hillScore >= getHillScoreLimit(room) && !room.matchEndReason) {
+        room.matchEndReason = 'score_limit';
+    }
+}
+
+function buildHillStatePacket(hill) {
+    return {
+        id: hill.id,
+        x: hill.x,
+        y: hill.y,
+        radius: hill.radius,
+        ownerId: hill.ownerId,
+        progress: Math.round((hill.captureMs / KOTH_CAPTURE_MS) * 100) / 100,
+        contested: hill.contested,
+        occupants: hill.occupants,
+        movesAt: hill.movesAt
+    };
+}
+
+function buildHillMatchResults(room, resultPlayers) {
+    const standings = Object.values(resultPlayers || {})
+        .sort((a, b) => (b.hillScore - a.hillScore) || (b.kills - a.kills) || (a.deaths - b.deaths))
+        .map((p) => ({ id: p.id, name: p.name, hillScore: p.hillScore, kills: p.kills }));
+    const [first, second] = standings;
+    const winnerId = first && first.hillScore > 0 && (!second || first.hillScore > second.hillScore) ? first.id : null;
+    return {
+        mode: 'koth',
+        scoreLimit: getHillScoreLimit(room),
+        standings,
+        winnerId
+    };
+}
+
+// ==================== BOTS ====================
+function makeBotId() {
+    return `bot_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function normalizeBotDifficulty(value) {
+    const key = String(value || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, key) ? key : DEFAULT_BOT_DIFFICULTY;
+}
+
+function countRoomHumans(room) {
+    return Object.values((room && room.players) || {}).filter((p) => p && !p.isBot).length;
+}
+
+function removeRoomBots(room) {
+    if (!room || !room.players) return 0;
+    let removed = 0;
+    Object.keys(room.players).forEach((key) => {
+        if (room.players[key] && room.players[key].isBot) {
+            delete room.players[key];
+            removed += 1;
+        }
+    });
+    return removed;
+}
+
+// Bots are regular player records driven by server-side input; they only exist while a match runs.
+function fillRoomWithBots(room) {
+    if (!room) return 0;
+    removeRoomBots(room);
+    if (!room.botFill || !room.botFill.enabled) return 0;
+    const humans = countRoomHumans(room);
+    const capacity = getRoomCapacity(room);
+    // Team matches fill every open seat so both sides start even.
+    const slots = isTeamMode(room)
+        ? Math.max(0, capacity - humans)
+        : Math.max(0, Math.min(BOT_COUNT, capacity - humans));
+    const difficulty = normalizeBotDifficulty(room.botFill.difficulty);
+    const usedNames = new Set(Object.values(room.players).map((p) => p && p.name));
+    const names = BOT_NAMES.filter((n) => !usedNames.has(`${n} [BOT]`));
+    for (let i = 0; i < slots; i++) {
+        const botId = makeBotId();
+        const baseName = names.length > 0
+            ? names.splice(Math.floor(Math.random() * names.length), 1)[0]
+            : `Bot ${i + 1}`;
+        const bot = makePlayer(botId, `${baseName} [BOT]`, null, false, null);
+        bot.isBot = true;
+        bot.botDifficulty = difficulty;
+        bot.ready = true;
+        bot.bot = {
+            targetId: null,
+            nextDecisionAt: 0,
+            aimError: 0,
+            strafeDir: Math.random() < 0.5 ? -1 : 1,
+            wanderX: 0,
+            wanderY: 0,
+            lastX: 0,
+            lastY: 0,
+            stuckTicks: 0
+        };
+        room.players[botId] = bot;
+    }
+    if (slots > 0) console.log(`[bots] room ${room.code} filled with ${slots} ${difficulty} bot(s)`);
+    return slots;
+}
+
+function pickBotWanderPoint(brain) {
+    brain.wanderX = 100 + Math.random() * (MAP_WIDTH - 200);
+    brain.wanderY = 100 + Math.random() * (MAP_HEIGHT - 200);
+}
+
+function findBotTarget(room, bot, profile, mapKey) {
+    let best = null;
+    let bestDist = profile.sightRange;
+    Object.values(room.players).forEach((p) => {
+        if (!p || p === bot || p.hp <= 0 || p.invisible) return;
+        if (areTeammates(room, bot, p)) return;
+        const dist = Math.hypot(p.x - bot.x, p.y - bot.y);
+        if (dist > bestDist) return;
+        if (isShotPathBlocked(mapKey, bot.x, bot.y, p.x, p.y)) return;
+        best = p;
+        bestDist = dist;
+    });
+    return best;
+}
+
+// Writes each bot's input for this tick; movement and firing then go through the same code as humans.
+function updateRoomBots(roomCode, now) {
+    const room = rooms[roomCode];
+    if (!room || room.state !== 'playing') return;
+    const mapKey = room.selectedMap || room.map || 'forest';
+
+    Object.values(room.players).forEach((bot) => {
+        if (!bot || !bot.isBot || bot.hp <= 0) return;
+        const profile = BOT_DIFFICULTIES[bot.botDifficulty] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY];
+        const brain = bot.bot || (bot.bot = { strafeDir: 1, stuckTicks: 0 });
+
+        if (now >= (brain.nextDecisionAt || 0)) {
+            const target = findBotTarget(room, bot, profile, mapKey);
+            brain.targetId = target ? target.id : null;
+            brain.aimError = ((Math.random() * 2) - 1) * profile.aimErrorRad;
+            if (Math.random() < profile.strafeChance) brain.strafeDir = -(brain.strafeDir || 1);
+            brain.nextDecisionAt = now + (profile.reactionMs * (0.75 + Math.random() * 0.5));
+        }
+
+        let target = brain.targetId ? room.players[brain.targetId] : null;
+        if (target && (target.hp <= 0 || target.invisible)) {
+            target = null;
+            brain.targetId = null;
+        }
+
+        const moved = Math.hypot(bot.x - (brain.lastX || 0), bot.y - (brain.lastY || 0));
+        const wasMoving = !!(bot.input && (bot.input.w || bot.input.a || bot.input.s || bot.input.d));
+        brain.stuckTicks = (wasMoving && moved < 0.5) ? (brain.stuckTicks || 0) + 1 : 0;
+        brain.lastX = bot.x;
+        brain.lastY = bot.y;
+        if (brain.stuckTicks >= BOT_STUCK_TICKS) {
+            pickBotWanderPoint(brain);
+            brain.strafeDir = -(brain.strafeDir || 1);
+            brain.stuckTicks = 0;
+        }
+
+        let mx = 0;
+        let my = 0;
+        let angle = bot.angle || 0;
+        let dist = 0;
+        if (target) {
+            const dx = target.x - bot.x;
+            const dy = target.y - bot.y;
+            dist = Math.hypot(dx, dy) || 1;
+            const ux = dx / dist;
+            const uy = dy / dist;
+            const approach = dist > BOT_PREFERRED_RANGE_MAX ? 1 : (dist < BOT_PREFERRED_RANGE_MIN ? -1 : 0);
+            mx = (ux * approach) + (-uy * brain.strafeDir * 0.8);
+            my = (uy * approach) + (ux * brain.strafeDir * 0.8);
+            angle = normalizeAngle(Math.atan2(dy, dx) + brain.aimError);
+        } else {
+            if (!brain.wanderX || Math.hypot(brain.wanderX - bot.x, brain.wanderY - bot.y) < 40) {
+                pickBotWanderPoint(brain);
+            }
+            mx = brain.wanderX - bot.x;
+            my = brain.wanderY - bot.y;
+            angle = normalizeAngle(Math.atan2(my, mx));
+        }
+
+        const mag = Math.hypot(mx, my);
+        const threshold = mag * 0.35;
+        const wasCharging = !!(bot.input && bot.input.charging);
+        const wantsCharge = !!target && dist <= profile.sightRange;
+        bot.inputSeq = Math.min(MAX_INPUT_SEQ_VALUE, (bot.inputSeq || 0) + 1);
+        bot.input = {
+            w: mag > 0 && my < -threshold,
+            a: mag > 0 && mx < -threshold,
+            s: mag > 0 && my > threshold,
+            d: mag > 0 && mx > threshold,
+            angle,
+            charging: wantsCharge,
+            seq: bot.inputSeq
+        };
+        bot.lastUpdate = now;
+        if (wantsCharge && !wasCharging) {
+            bot.chargeStartedAt = now;
+        } else if (!wantsCharge) {
+            bot.chargeStartedAt = 0;
+        }
+        if (bot.invisible && wantsCharge) {
+            bot.invisible = false;
+            bot.invisExpire = 0;
+        }
+
+        if (!wantsCharge || !bot.chargeStartedAt) return;
+        const chargeRequiredMs = (bot.killstreak >= KILLSTREAK_TIERS.FAST_CHARGE)
+            ? FAST_CHARGE_REQUIRED_MS
+            : BASE_CHARGE_REQUIRED_MS;
+        if ((now - bot.chargeStartedAt) < chargeRequiredMs + profile.extraChargeMs) return;
+        if (fireRoomProjectile(roomCode, bot, { angle })) {
+            bot.input.charging = false;
+        }
+    });
+}
+
+// ==================== MATCH AWARDS ====================
+function currentLifeMs(room, player, now) {
+    const since = player.lifeStartedAt || room.gameStartTime || now;
+    return Math.max(0, now - since);
+}
+
+// Each award goes to the best eligible entry; compare breaks ties, then the results key keeps it stable.
+const MATCH_AWARDS = [
+    {
+        id: 'mvp',
+        title: 'MVP',
+        eligible: (p) => p.kills > 0 || p.hillScore > 0,
+        value: (p) => (p.hillScore > 0 ? p.hillScore : p.kills),
+        compare: (a, b) => (b.hillScore - a.hillScore) || (b.kills - a.kills) || (a.deaths - b.deaths)
+    },
+    {
+        id: 'sharpshooter',
+        title: 'Sharpshooter',
+        eligible: (p) => p.shotsFired >= AWARD_MIN_SHOTS && p.hits > 0,
+        value: (p) => p.accuracy,
+        compare: (a, b) => (b.accuracy - a.accuracy) || (b.hits - a.hits)
+    },
+    {
+        id: 'unstoppable',
+        title: 'Unstoppable',
+        eligible: (p) => p.bestKillstreak >= KILLSTREAK_TIERS.EXTRA_CORE,
+        value: (p) => p.bestKillstreak,
+        compare: (a, b) => (b.bestKillstreak - a.bestKillstreak) || (b.kills - a.kills)
+    },
+    {
+        id: 'rampage',
+        title: 'Rampage',
+        eligible: (p) => p.bestKillChain >= 2,
+        value: (p) => p.bestKillChain,
+        compare: (a, b) => (b.bestKillChain - a.bestKillChain) || (b.kills - a.kills)
+    },
+    {
+        id: 'survivor',
+        title: 'Survivor',
+        eligible: (p) => p.longestLifeMs > 0,
+        value: (p) => p.longestLifeMs,
+        compare: (a, b) => (b.longestLifeMs - a.longestLifeMs) || (a.deaths - b.deaths)
+    }
+];
+
+function buildMatchAwards(playersSnapshot) {
+    const entries = Object.entries(playersSnapshot || {}).filter(([, p]) => p);
+    const awards = [];
+    MATCH_AWARDS.forEach((award) => {
+        const best = entries
+            .filter(([, p]) => award.eligible(p))
+            .sort(([ka, a], [kb, b]) => award.compare(a, b) || (ka < kb ? -1 : 1))[0];
+        if (!best) return;
+        awards.push({
+            id: award.id,
+            title: award.title,
+            playerId: best[0],
+            name: best[1].name,
+            value: award.value(best[1])
+        });
+    });
+    return awards;
+}
+
+// ==================== PROGRESSION ====================
+// The XP breakdown is filled in on the results snapshot before gameEnd goes out; the store
+// grants it once per match and profile, and level changes follow as matchProgression.
+// Bot kills earn nothing, and placement only pays when another human was in the match.
+function buildMatchXpBreakdown(player, placement, contested) {
+    const breakdown = {
+        kills: Math.max(0, (player.kills || 0) - (player.botKills || 0)) * XP_PER_KILL,
+        headshots: Math.max(0, (player.headshots || 0) - (player.botHeadshots || 0)) * XP_PER_HEADSHOT,
+        placement: contested ? XP_PLACEMENT[placement - 1] || 0 : 0,
+        completion: player.disconnected ? 0 : XP_MATCH_COMPLETE
+    };
+    breakdown.total = breakdown.kills + breakdown.headshots + breakdown.placement + breakdown.completion;
+    return breakdown;
+}
+
+// Like rating, XP is only granted under default rules, and not for matches cut short.
+function isXpEligibleMatch(room, durationMs) {
+    return !hasCustomRoomRules(room) && durationMs >= XP_MIN_MATCH_MS;
+}
+
+function applyMatchXp(ranked) {
+    const grants = [];
+    const humans = ranked.filter(({ player }) => player && !player.isBot).length;
+    ranked.forEach(({ player, placement }) => {
+        if (!player || player.isBot || !player.profileId) return;
+        player.xp = buildMatchXpBreakdown(player, placement, humans >= 2);
+        if (player.xp.total > 0) grants.push({ profileId: player.profileId, breakdown: player.xp });
+    });
+    return grants;
+}
+
+// ==================== SOCKET.IO EVENTS ====================
+io.on('connection', (socket) => {
+    console.log(`Player connected: ${socket.id}`);
+    
+    let currentRoom = null;
+    let heartbeatInterval = null;
+    socket.playerKey = socket.id;
+    // Lets module-level flows (quick match room merge) move this socket between rooms.
+    socket.setCurrentRoom = (roomCode) => { currentRoom = roomCode || null; };
+    socket.stopSpectating = stopSpectating;
+    socket.spectatingRoom = null;
+    socket.stateEncoding = null; // { type: 'binary', version } once negotiated; null = JSON
+    socket.authPersistentId = null;
+    socket.authenticated = false;
+    socket.rateLimits = {};
+    socket.lastAntiCheatLogAt = 0;
+    socket.clientIp = resolveClientIp(
+        socket.handshake && socket.handshake.headers ? socket.handshake.headers['x-forwarded-for'] : '',
+        (socket.conn && socket.conn.remoteAddress) ||
+        (socket.handshake && socket.handshake.address) ||
+        ''
+    );
+
+    if (NET_MONITOR_ENABLED) {
+        const originalSocketEmit = socket.emit.bind(socket);
+        socket.emit = function monitoredSocketEmit(eventName, ...args) {
+            const roomCode = socket.roomCode || socket.spectatingRoom;
+            if (roomCode && rooms[roomCode] && shouldTrackNetEvent(eventName)) {
+                const bytes = estimateSocketIoEventBytes(eventName, args);
+                recordRoomNetworkEvent(roomCode, 'out', eventName, bytes, 1);
+            }
+            return originalSocketEmit(eventName, ...args);
+        };
+
+        socket.onAny((eventName, ...args) => {
+            const roomCode = socket.roomCode;
+            if (!roomCode || !rooms[roomCode] || !shouldTrackNetEvent(eventName)) return;
+            const bytes = estimateSocketIoEventBytes(eventName, args);
+            recordRoomNetworkEvent(roomCode, 'in', eventName, bytes, 1);
+        });
+    }
+    
+    // Heartbeat
+    heartbeatInterval = setInterval(() => {
+        socket.emit('heartbeat');
+    }, 5000);
+    socket.heartbeatInterval = heartbeatInterval;
+
+    function pushRecentSuspicion(event) {
+        pushAntiCheatRecent(event);
+    }
+
+    function registerRateLimitSuspicion(eventName) {
+        const now = Date.now();
+        const roomCode = socket.roomCode || null;
+        antiCheatMetrics.totalSuspiciousEvents += 1;
+        recordSuspicionTimeline(now);
+        const reason = `rate_limit:${eventName}`;
+        antiCheatMetrics.reasons[reason] = (antiCheatMetrics.reasons[reason] || 0) + 1;
+        if (roomCode && rooms[roomCode]) {
+            rooms[roomCode].antiCheatEvents = (rooms[roomCode].antiCheatEvents || 0) + 1;
+            rooms[roomCode].antiCheatScore = (rooms[roomCode].antiCheatScore || 0) + 1.5;
+        }
+        pushRecentSuspicion({
+            ts: now,
+            reason,
+            room: roomCode,
+            socketId: socket.id,
+            playerId: null,
+            name: socket.playerName || 'Unknown',
+            details: { eventName }
+        });
+    }
+
+    function ensureSocketPlayerBinding(room) {
+        if (!room) return null;
+
+        // Already bound.
+        if (socket.playerKey && room.players[socket.playerKey]) return socket.playerKey;
+
+        // Direct socket id key exists.
+        if (room.players[socket.id]) {
+            socket.playerKey = socket.id;
+            return socket.playerKey;
+        }
+
+        // Fallback by persistent identity.
+        if (!socket.authPersistentId) return null;
+        const entry = findPlayerEntryByPersistentId(room, socket.authPersistentId);
+        if (!entry) return null;
+
+        const [oldKey, player] = entry;
+        if (room.state === 'lobby' && oldKey !== socket.id) {
+            // In lobby, normalize record key to current socket.id for stable leader/actions.
+            delete room.players[oldKey];
+            player.id = socket.id;
+            player.name = socket.playerName || player.name;
+            player.profileId = socket.profileId || player.profileId || null;
+            player.friendCode = socket.friendCode || player.friendCode || null;
+            player.username = socket.username || player.username || null;
+            player.disconnected = false;
+            player.lastUpdate = Date.now();
+            room.players[socket.id] = player;
+            if (room.leader === oldKey) room.leader = socket.id;
+            socket.playerKey = socket.id;
+            return socket.playerKey;
+        }
+
+        socket.playerKey = oldKey;
+        return socket.playerKey;
+    }
+
+    function getPlayer(room) {
+        if (!room) return null;
+        const key = ensureSocketPlayerBinding(room);
+        if (!key) return null;
+        return room.players[key] || null;
+    }
+
+    function allowEvent(eventName, maxCount, windowMs) {
+        const now = Date.now();
+        const rl = socket.rateLimits[eventName] || { count: 0, start: now };
+        if (now - rl.start > windowMs) {
+            rl.count = 0;
+            rl.start = now;
+        }
+        rl.count += 1;
+        socket.rateLimits[eventName] = rl;
+        const allowed = rl.count <= maxCount;
+        if (!allowed) registerRateLimitSuspicion(eventName);
+        return allowed;
+    }
+
+    function emitFriendsError(code, fallbackMessage, extra = {}) {
+        const c = code ? String(code) : 'FRIENDS_ERROR';
+        const messages = {
+            PROFILE_NOT_FOUND: 'Profile not found.',
             FRIEND_REQUEST_NOT_ALLOWED: 'Friend request is not allowed.',
             FRIEND_REQUEST_ALREADY_EXISTS: 'Friend request already exists.',
             ALREADY_FRIENDS: 'You are already friends.',
             FRIEND_REQUEST_NOT_FOUND: 'Friend request not found.',
-            FRIEND_REQUEST_NOT_PENDING: 'Friend request is no longer pending.'
+            FRIEND_REQUEST_NOT_PENDING: 'Friend request is no longer pending.',
+            NOT_FRIENDS: 'You are not friends with this player.',
+            BLOCK_NOT_ALLOWED: 'You cannot block this player.',
+            NOT_BLOCKED: 'This player is not blocked.'
         };
         socket.emit('friends:error', {
             ok: false,
@@ -2474,10 +5064,11 @@ io.on('connection', (socket) => {
             targetSocket.emit('friends:listUpdated', {
                 ok: true,
                 profileId: state.profileId,
-                friends: state.friends || [],
+                friends: withFriendPresence(state.friends),
                 incoming: state.incoming || [],
                 outgoing: state.outgoing || [],
-                incomingCount: Number(state.incomingCount || 0)
+                incomingCount: Number(state.incomingCount || 0),
+                blocked: state.blocked || []
             });
             return state;
         } catch (err) {
@@ -2496,10 +5087,11 @@ io.on('connection', (socket) => {
                 s.emit('friends:listUpdated', {
                     ok: true,
                     profileId: state.profileId,
-                    friends: state.friends || [],
+                    friends: withFriendPresence(state.friends),
                     incoming: state.incoming || [],
                     outgoing: state.outgoing || [],
-                    incomingCount: Number(state.incomingCount || 0)
+                    incomingCount: Number(state.incomingCount || 0),
+                    blocked: state.blocked || []
                 });
             });
         } catch (_) {}
@@ -2528,13 +5120,68 @@ io.on('connection', (socket) => {
         });
     }
 
+    function emitQuickQueueError(code, fallbackMessage, ack, extra = {}) {
+        const c = code ? String(code) : 'QUEUE_ERROR';
+        const messages = {
+            AUTH_REQUIRED: 'Please re-authenticate.',
+            PARTY_NOT_FOUND: 'Party not found.',
+            PARTY_NOT_IN_LOBBY: 'Party is not in lobby.',
+            QUEUE_NOT_ALLOWED: 'Only the party leader can start matchmaking.',
+            QUEUE_PARTY_NOT_READY: 'All players must be READY.',
+            QUEUE_NOT_FOUND: 'Queue ticket not found.',
+            QUEUE_CANCEL_DENIED: 'You cannot cancel this queue.',
+            QUEUE_MODE_UNSUPPORTED: 'Quick match is free-for-all only. Switch the lobby to FFA first.',
+            QUEUE_RULES_UNSUPPORTED: 'Quick match uses standard rules. Reset the lobby rules first.'
+        };
+        const payload = {
+            ok: false,
+            error: c,
+            message: messages[c] || fallbackMessage || 'Matchmaking failed.',
+            ...extra
+        };
+        socket.emit('quick:error', payload);
+        if (typeof ack === 'function') ack(payload);
+    }
+
     async function canInviteTargetProfile(fromProfileId, toProfileId) {
         if (!fromProfileId || !toProfileId || fromProfileId === toProfileId) return false;
         try {
-            const state = await identityStore.getFriendsState({ profileId: fromProfileId });
-            const friends = Array.isArray(state && state.friends) ? state.friends : [];
-            return friends.some((f) => f && f.profileId === toProfileId);
-        } catch (_) {
+            const state = await identityStore.getFriendsState({ profileId: fromProfileId });
+            const friends = Array.isArray(state && state.friends) ? state.friends : [];
+            if (!friends.some((f) => f && f.profileId === toProfileId)) return false;
+            const relations = await identityStore.getBlockRelations({
+                profileId: fromProfileId,
+                otherProfileIds: [toProfileId]
+            });
+            return !relations.blockedByMe.length && !relations.blockedMe.length;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // True when any human already in the room has blocked this profile.
+    async function isProfileBlockedFromRoom(room, profileId) {
+        if (!room || !profileId) return false;
+        const memberProfileIds = Object.values(room.players || {})
+            .filter((p) => p && !p.isBot && p.profileId && p.profileId !== profileId)
+            .map((p) => p.profileId);
+        if (!memberProfileIds.length) return false;
+        try {
+            const relations = await identityStore.getBlockRelations({ profileId, otherProfileIds: memberProfileIds });
+            return relations.blockedMe.length > 0;
+        } catch (err) {
+            console.error('[friends] block lookup failed', err && err.message ? err.message : err);
+            return false;
+        }
+    }
+
+    // Muting only silences pushes to the muter; the muted player is never told.
+    async function isMutedBy(muterProfileId, profileId) {
+        if (!muterProfileId || !profileId) return false;
+        try {
+            return await identityStore.isProfileMuted({ profileId: muterProfileId, targetProfileId: profileId });
+        } catch (err) {
+            console.error('[friends] mute lookup failed', err && err.message ? err.message : err);
             return false;
         }
     }
@@ -2549,7 +5196,7 @@ io.on('connection', (socket) => {
         }
 
         const existingEntry = socket.authPersistentId ? findPlayerEntryByPersistentId(room, socket.authPersistentId) : null;
-        const hasSlot = Object.keys(room.players || {}).length < MAX_PLAYERS_PER_ROOM;
+        const hasSlot = Object.keys(room.players || {}).length < getRoomCapacity(room);
         if (!existingEntry && !hasSlot) {
             return { ok: false, error: 'PARTY_FULL', message: 'Party is full.' };
         }
@@ -2588,6 +5235,7 @@ io.on('connection', (socket) => {
             });
         }
 
+        stopSpectating('joined_room');
         socket.join(roomCode);
         socket.roomCode = roomCode;
         socket.playerKey = socket.id;
@@ -2597,7 +5245,7 @@ io.on('connection', (socket) => {
         emitLobbyUpdate(roomCode);
         socket.emit('roomJoined', {
             roomCode,
-            players: room.players,
+            players: buildPublicPlayerList(room),
             leaderId: room.leader
         });
         return { ok: true, room };
@@ -2816,6 +5464,7 @@ io.on('connection', (socket) => {
         const room = roomCode ? rooms[roomCode] : null;
         if (!room) return null;
 
+        if (socket.roomCode !== roomCode) stopSpectating('joined_room');
         socket.roomCode = roomCode;
         currentRoom = roomCode;
         // Ensure socket receives room broadcasts after reconnect/back-to-lobby flow.
@@ -2916,23 +5565,35 @@ io.on('connection', (socket) => {
 
         if (room.leader === oldKey) room.leader = socket.id;
 
+        stopSpectating('joined_room');
         socket.playerKey = socket.id;
         socket.roomCode = roomCode;
         currentRoom = roomCode;
         socket.join(roomCode);
 
+        // Positions come from the socket's first (filtered) stateUpdate snapshot, never from here.
         socket.emit('reconnectedToGame', {
             roomCode,
             mapKey: room.selectedMap || room.map || 'forest',
-            players: room.players,
+            players: buildPublicPlayerList(room),
             startTime: room.gameStartTime || Date.now()
         });
         console.log(`Player ${player.name} reconnected to room ${roomCode}`);
         return true;
     }
 
+    function stopSpectating(reason) {
+        const roomCode = socket.spectatingRoom;
+        if (!roomCode) return false;
+        socket.spectatingRoom = null;
+        socket.leave(roomCode);
+        if (removeRoomSpectator(roomCode, socket.id)) emitLobbyUpdate(roomCode);
+        socket.emit('spectateEnded', { roomCode, reason });
+        return true;
+    }
+
     function removePlayerFromRoom(options = {}) {
-        const { preserveInMatch = false } = options;
+        const { preserveInMatch = false, queueCancelReason = '' } = options;
         const roomCode = socket.roomCode;
         if (!roomCode || !rooms[roomCode]) return;
 
@@ -2942,6 +5603,15 @@ io.on('connection', (socket) => {
         if (!player) return;
 
         const inMatch = isActiveMatchState(room.state);
+        const queuedTicket = getRoomQuickTicket(room);
+        if (queuedTicket) {
+            const reason = queueCancelReason || (room.leader === key ? 'leader_cancel' : 'member_cancel');
+            cancelQuickQueueTicket(queuedTicket.id, reason, {
+                profileId: player.profileId || null,
+                playerKey: key,
+                name: player.name
+            });
+        }
         if (preserveInMatch && inMatch) {
             player.disconnected = true;
             player.input = { w: false, a: false, s: false, d: false, angle: player.angle || 0, charging: false, seq: 0 };
@@ -2951,8 +5621,9 @@ io.on('connection', (socket) => {
             console.log(`Player ${player.name} disconnected (preserved) in room ${roomCode}`);
 
             if (room.leader === key) {
-                const connectedPlayers = Object.values(room.players).filter(p => !p.disconnected);
-                const fallback = connectedPlayers[0] || Object.values(room.players)[0];
+                const humanPlayers = Object.values(room.players).filter(p => !p.isBot);
+                const connectedPlayers = humanPlayers.filter(p => !p.disconnected);
+                const fallback = connectedPlayers[0] || humanPlayers[0];
                 if (fallback) {
                     const newLeaderKey = Object.keys(room.players).find(k => room.players[k] === fallback) || fallback.id;
                     room.leader = newLeaderKey;
@@ -2966,13 +5637,19 @@ io.on('connection', (socket) => {
         console.log(`Player ${player.name} left room ${roomCode}`);
         delete room.players[key];
         socket.leave(roomCode);
+        Object.values(room.spectators || {}).forEach((s) => {
+            if (s.followId === player.id) s.followId = null;
+        });
 
-        const remainingPlayers = Object.values(room.players);
+        // Bots never keep a room alive or inherit leadership.
+        const remainingPlayers = Object.values(room.players).filter(p => !p.isBot);
         if (remainingPlayers.length === 0) {
             if (isActiveMatchState(room.state)) {
                 finishRoomNetworkMatch(roomCode, 'room_deleted_empty');
+                finishRoomReplay(roomCode, 'room_deleted_empty');
             }
             invalidatePartyInvitesForRoom(roomCode, 'cancelled');
+            closeRoomSpectators(roomCode, 'room_closed');
             delete rooms[roomCode];
             delete netMonitor.rooms[roomCode];
             console.log(`Room ${roomCode} deleted (empty)`);
@@ -3006,6 +5683,7 @@ io.on('connection', (socket) => {
         const incomingId = (data && typeof data.id === 'string') ? data.id.trim() : '';
         const incomingName = (data && typeof data.name === 'string') ? data.name.trim() : 'Player';
         const incomingToken = data && typeof data.token === 'string' ? data.token : '';
+        const incomingDeviceSecret = data && typeof data.deviceSecret === 'string' ? data.deviceSecret.trim() : '';
         if (incomingId && !allowWindowCounter(handshakeGuards.registerByPid, incomingId, REGISTER_PID_WINDOW_MS, MAX_REGISTER_PER_PID_WINDOW)) {
             registerRateLimitSuspicion('register_pid');
             socket.emit('authError', { message: 'Too many register attempts for this session. Please wait.' });
@@ -3016,17 +5694,30 @@ io.on('connection', (socket) => {
             return;
         }
 
+        const tokenPayload = verifySessionToken(incomingToken, incomingId);
+        let deviceCredential = null;
         let profileSnapshot = null;
         try {
-            profileSnapshot = await identityStore.ensureGuestProfile({
-                persistentId: incomingId,
-                nickname: incomingName || 'Player'
-            });
+            deviceCredential = await resolveDeviceCredential(incomingId, incomingDeviceSecret, tokenPayload);
+            if (deviceCredential.ok) {
+                profileSnapshot = await identityStore.ensureGuestProfile({
+                    persistentId: incomingId,
+                    nickname: incomingName || 'Player'
+                });
+            }
         } catch (e) {
             console.error('[identity] ensure guest profile failed', e && e.message ? e.message : e);
             socket.emit('authError', { message: 'Identity service unavailable. Please try again.' });
             return;
         }
+        if (!deviceCredential.ok) {
+            console.warn(`[identity] device credential mismatch for ${incomingId} from ${socket.clientIp}`);
+            socket.emit('authError', {
+                error: 'DEVICE_CREDENTIAL_MISMATCH',
+                message: 'This player identity belongs to another device. Reset local data to continue as a new guest.'
+            });
+            return;
+        }
 
         socket.persistentId = incomingId;
         socket.profileId = profileSnapshot && profileSnapshot.id ? profileSnapshot.id : null;
@@ -3046,14 +5737,19 @@ io.on('connection', (socket) => {
             }
         }
 
-        const tokenPayload = verifySessionToken(incomingToken, incomingId);
-        if (tokenPayload) {
-            socket.authenticated = true;
-            socket.authPersistentId = incomingId;
-        } else {
-            socket.authenticated = true; // first-time bootstrap from this device
-            socket.authPersistentId = incomingId;
+        // Ownership of incomingId was proven by resolveDeviceCredential above.
+        socket.authenticated = true;
+        socket.authPersistentId = incomingId;
+        if (deviceCredential.issuedSecret) {
+            socket.emit('deviceCredential', {
+                persistentId: incomingId,
+                deviceSecret: deviceCredential.issuedSecret
+            });
         }
+        // Keep the refresh session bound to fresh access tokens while the account stays active here.
+        socket.sessionId = tokenPayload && tokenPayload.sid && tokenPayload.uid === socket.profileId
+            ? tokenPayload.sid
+            : null;
 
         const session = issueSessionForProfile(incomingId, {
             id: socket.profileId,
@@ -3061,14 +5757,15 @@ io.on('connection', (socket) => {
             friendCode: socket.friendCode,
             username: socket.username,
             isGuest: socket.isGuest
-        });
+        }, socket.sessionId);
         socket.emit('sessionToken', {
             token: session.token,
             exp: session.exp,
             profileId: session.profileId,
             friendCode: session.friendCode,
             username: session.username || null,
-            isGuest: session.isGuest
+            isGuest: session.isGuest,
+            sessionId: session.sessionId
         });
         console.log(
             `Player recognized: ${socket.playerName} with ID: ${incomingId}` +
@@ -3176,14 +5873,15 @@ io.on('connection', (socket) => {
                 });
             });
 
-            const session = issueSessionForProfile(socket.authPersistentId, updatedProfile);
+            const session = issueSessionForProfile(socket.authPersistentId, updatedProfile, socket.sessionId);
             socket.emit('sessionToken', {
                 token: session.token,
                 exp: session.exp,
                 profileId: session.profileId,
                 friendCode: session.friendCode,
                 username: session.username || null,
-                isGuest: session.isGuest
+                isGuest: session.isGuest,
+                sessionId: session.sessionId
             });
 
             if (typeof ack === 'function') {
@@ -3293,9 +5991,11 @@ io.on('connection', (socket) => {
                 fromUsername: fromSnapshot && fromSnapshot.username ? fromSnapshot.username : null,
                 fromFriendCode: fromSnapshot && fromSnapshot.friendCode ? fromSnapshot.friendCode : null
             };
-            findSocketsByProfileId(toProfileId).forEach((s) => {
-                s.emit('friends:incomingRequest', incomingPayload);
-            });
+            if (!(await isMutedBy(toProfileId, socket.profileId))) {
+                findSocketsByProfileId(toProfileId).forEach((s) => {
+                    s.emit('friends:incomingRequest', incomingPayload);
+                });
+            }
 
             const okPayload = {
                 ok: true,
@@ -3362,6 +6062,248 @@ io.on('connection', (socket) => {
         }
     });
 
+    socket.on('friends:remove', async (data, ack) => {
+        if (!allowEvent('friends:remove', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+            return;
+        }
+
+        const friendProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        try {
+            await identityStore.removeFriend({ profileId: socket.profileId, friendProfileId });
+            invalidatePartyInvitesBetween(socket.profileId, friendProfileId);
+            await emitFriendsStateToProfile(socket.profileId);
+            await emitFriendsStateToProfile(friendProfileId);
+
+            const payload = { ok: true, targetProfileId: friendProfileId };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:removed', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'FRIEND_REMOVE_FAILED',
+                message: err && err.message ? err.message : 'Could not remove friend.'
+            };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+        }
+    });
+
+    socket.on('friends:block', async (data, ack) => {
+        if (!allowEvent('friends:block', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+            return;
+        }
+
+        const targetProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        try {
+            const result = await identityStore.blockProfile({ profileId: socket.profileId, targetProfileId });
+            invalidatePartyInvitesBetween(socket.profileId, targetProfileId);
+            await emitFriendsStateToProfile(socket.profileId);
+            // The blocked player only sees the friendship/request disappear, never the block itself.
+            if (result.removedFriendship || result.cancelledRequestIds.length) {
+                await emitFriendsStateToProfile(targetProfileId);
+            }
+
+            const payload = { ok: true, targetProfileId, blocked: true };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:blocked', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'FRIEND_BLOCK_FAILED',
+                message: err && err.message ? err.message : 'Could not block player.'
+            };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+        }
+    });
+
+    socket.on('friends:unblock', async (data, ack) => {
+        if (!allowEvent('friends:unblock', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+            return;
+        }
+
+        const targetProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        try {
+            await identityStore.unblockProfile({ profileId: socket.profileId, targetProfileId });
+            await emitFriendsStateToProfile(socket.profileId);
+
+            const payload = { ok: true, targetProfileId, blocked: false };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:unblocked', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'FRIEND_UNBLOCK_FAILED',
+                message: err && err.message ? err.message : 'Could not unblock player.'
+            };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+        }
+    });
+
+    socket.on('friends:mute', async (data, ack) => {
+        if (!allowEvent('friends:mute', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+            return;
+        }
+
+        const targetProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        try {
+            await identityStore.muteProfile({ profileId: socket.profileId, targetProfileId });
+            await emitFriendsStateToProfile(socket.profileId);
+
+            const payload = { ok: true, targetProfileId, muted: true };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:muted', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'FRIEND_MUTE_FAILED',
+                message: err && err.message ? err.message : 'Could not mute player.'
+            };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+        }
+    });
+
+    socket.on('friends:unmute', async (data, ack) => {
+        if (!allowEvent('friends:unmute', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+            return;
+        }
+
+        const targetProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        try {
+            await identityStore.unmuteProfile({ profileId: socket.profileId, targetProfileId });
+            await emitFriendsStateToProfile(socket.profileId);
+
+            const payload = { ok: true, targetProfileId, muted: false };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:unmuted', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'FRIEND_UNMUTE_FAILED',
+                message: err && err.message ? err.message : 'Could not unmute player.'
+            };
+            if (typeof ack === 'function') ack(payload);
+            emitFriendsError(payload.error, payload.message);
+        }
+    });
+
+    socket.on('friends:joinLobby', async (data, ack) => {
+        if (!allowEvent('friends:joinLobby', 8, 10000)) return;
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('friends:joinLobbyResult', payload);
+            if (!payload.ok) emitPartyInviteError(payload.error, payload.message);
+        };
+        if (!socket.profileId || !socket.authPersistentId) {
+            reply({ ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.' });
+            return;
+        }
+
+        const targetProfileId = String(data && data.targetProfileId ? data.targetProfileId : '').trim();
+        if (!(await canInviteTargetProfile(socket.profileId, targetProfileId))) {
+            reply({ ok: false, error: 'PARTY_INVITE_NOT_ALLOWED', message: 'You can join friends only.' });
+            return;
+        }
+
+        const presence = resolveProfilePresence(targetProfileId);
+        if (presence.status !== 'in_lobby' || presence.queueing) {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Your friend is not in an open lobby.' });
+            return;
+        }
+        const room = rooms[presence.roomCode];
+        const activeMatch = findActiveMatchForPersistentId(socket.authPersistentId);
+        if (activeMatch && activeMatch.roomCode !== presence.roomCode) {
+            reply({ ok: false, error: 'ACTIVE_MATCH_LOCK', message: 'Leave your active match first.' });
+            return;
+        }
+        if (await isProfileBlockedFromRoom(room, socket.profileId)) {
+            reply({ ok: false, error: 'PARTY_INVITE_NOT_ALLOWED', message: 'You cannot join this party.' });
+            return;
+        }
+
+        const joinResult = joinSocketToLobbyRoomViaInvite(presence.roomCode);
+        if (!joinResult.ok) {
+            reply({
+                ok: false,
+                error: joinResult.error || 'PARTY_NOT_IN_LOBBY',
+                message: joinResult.message || 'Could not join party.'
+            });
+            return;
+        }
+        reply({ ok: true, roomCode: presence.roomCode, targetProfileId });
+    });
+
+    socket.on('profile:getHistory', async (data, ack) => {
+        if (!allowEvent('profile:getHistory', 12, 10000)) return;
+        if (!socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.', matches: [] };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('profile:history', payload);
+            return;
+        }
+        try {
+            const payload = await loadProfileHistoryPage(socket.profileId, data && data.limit, data && data.cursor);
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('profile:history', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'PROFILE_HISTORY_FAILED',
+                message: err && err.message ? err.message : 'Could not load match history.',
+                matches: []
+            };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('profile:history', payload);
+        }
+    });
+
+    socket.on('leaderboard:get', async (data, ack) => {
+        if (!allowEvent('leaderboard:get', 12, 10000)) return;
+        const friendsOnly = !!(data && data.friendsOnly);
+        if (friendsOnly && !socket.profileId) {
+            const payload = { ok: false, error: 'PROFILE_NOT_FOUND', message: 'Please register first.', entries: [] };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('leaderboard', payload);
+            return;
+        }
+        try {
+            const payload = await loadLeaderboardPage(socket.profileId, { ...(data || {}), friendsOnly });
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('leaderboard', payload);
+        } catch (err) {
+            const payload = {
+                ok: false,
+                error: err && err.code ? err.code : 'LEADERBOARD_FAILED',
+                message: err && err.message ? err.message : 'Could not load leaderboard.',
+                entries: []
+            };
+            if (typeof ack === 'function') ack(payload);
+            else socket.emit('leaderboard', payload);
+        }
+    });
+
     socket.on('party:inviteFriend', async (data, ack) => {
         if (!allowEvent('party:inviteFriend', 12, 10000)) return;
         cleanupExpiredPartyInvites();
@@ -3420,6 +6362,12 @@ io.on('connection', (socket) => {
             emitPartyInviteError(payload.error, payload.message);
             return;
         }
+        if (await isProfileBlockedFromRoom(room, targetProfileId)) {
+            const payload = { ok: false, error: 'PARTY_INVITE_NOT_ALLOWED', message: 'This player cannot join your party.' };
+            if (typeof ack === 'function') ack(payload);
+            emitPartyInviteError(payload.error, payload.message);
+            return;
+        }
 
         const targetSockets = findSocketsByProfileId(targetProfileId);
         if (!targetSockets.length) {
@@ -3481,9 +6429,11 @@ io.on('connection', (socket) => {
             toProfileId: invite.toProfileId,
             expiresAt: invite.expiresAt
         };
-        targetSockets.forEach((s) => {
-            s.emit('party:inviteReceived', outgoingPayload);
-        });
+        if (!(await isMutedBy(targetProfileId, socket.profileId))) {
+            targetSockets.forEach((s) => {
+                s.emit('party:inviteReceived', outgoingPayload);
+            });
+        }
 
         const sentPayload = {
             ok: true,
@@ -3595,7 +6545,9 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const joinResult = joinSocketToLobbyRoomViaInvite(invite.roomCode);
+        const joinResult = await isProfileBlockedFromRoom(room, socket.profileId)
+            ? { ok: false, error: 'PARTY_INVITE_NOT_ALLOWED', message: 'You cannot join this party.' }
+            : joinSocketToLobbyRoomViaInvite(invite.roomCode);
         if (!joinResult.ok) {
             invite.status = 'expired';
             invite.respondedAt = Date.now();
@@ -3650,6 +6602,15 @@ io.on('connection', (socket) => {
     });
 
     socket.on('clientPing', (data) => {
+        // Clients report their last measured round trip; smooth it for lag compensation.
+        const reportedRtt = data && Number.isFinite(data.rtt) ? data.rtt : null;
+        if (reportedRtt !== null && reportedRtt >= 0 && reportedRtt <= LAG_COMP_MAX_REPORTED_RTT_MS) {
+            socket.rttMs = Number.isFinite(socket.rttMs)
+                ? Math.round((socket.rttMs * 0.8) + (reportedRtt * 0.2))
+                : Math.round(reportedRtt);
+            const player = currentRoom && rooms[currentRoom] ? getPlayer(rooms[currentRoom]) : null;
+            if (player) player.rttMs = socket.rttMs;
+        }
         const payload = {
             t: data && Number.isFinite(data.t) ? data.t : 0,
             serverTime: Date.now()
@@ -3759,6 +6720,7 @@ io.on('connection', (socket) => {
             socket.emit('error', { message: 'You already have an active match. Reconnect to continue.' });
             return;
         }
+        stopSpectating('joined_room');
         const displayName = socket.playerName || (data && data.playerName) || 'Soldier';
         const code = createRoom(socket.id, displayName, persistentId, {
             profileId: socket.profileId || null,
@@ -3774,7 +6736,7 @@ io.on('connection', (socket) => {
         // إرسال الرد للمتصفح (تأكدنا من تسمية roomCode لتطابق الكلاينت)
         socket.emit('roomCreated', {
             roomCode: code, 
-            players: rooms[code].players,
+            players: buildPublicPlayerList(rooms[code]),
             leaderId: rooms[code].leader
         });
         
@@ -3785,7 +6747,7 @@ io.on('connection', (socket) => {
     });
     
     // Join room
-    socket.on('joinRoom', (data) => {
+    socket.on('joinRoom', async (data) => {
         if (!allowEvent('joinRoom', 6, 10000)) return;
         if (!allowWindowCounter(handshakeGuards.joinByIp, socket.clientIp, JOIN_IP_WINDOW_MS, MAX_JOIN_PER_IP_WINDOW)) {
             registerRateLimitSuspicion('join_room_ip');
@@ -3816,17 +6778,32 @@ io.on('connection', (socket) => {
             return;
         }
 
+        if (await isProfileBlockedFromRoom(room, socket.profileId)) {
+            socket.emit('joinError', { message: 'You cannot join this room' });
+            return;
+        }
+        if (rooms[code] !== room) {
+            socket.emit('joinError', { message: 'Room not found' });
+            return;
+        }
+
+        if (room.state === 'queueing') {
+            socket.emit('joinError', { message: 'Party is searching for a match' });
+            return;
+        }
+
         if (room.state !== 'lobby') {
             socket.emit('joinError', { message: 'Game already started' });
             return;
         }
         
         const playerCount = Object.keys(room.players).length;
-        if (playerCount >= MAX_PLAYERS_PER_ROOM) {
+        if (playerCount >= getRoomCapacity(room)) {
             socket.emit('joinError', { message: 'Room is full' });
             return;
         }
         
+        stopSpectating('joined_room');
         currentRoom = code;
         socket.join(code);
 
@@ -3842,15 +6819,138 @@ io.on('connection', (socket) => {
         
         io.to(code).emit('playerJoined', {
             roomCode: code,
-            players: room.players,
+            players: buildPublicPlayerList(room),
             leaderId: room.leader
         });
 
-        emitLobbyUpdate(code);
-        
-        console.log(`Player ${socket.id} joined room ${code}`);
+        emitLobbyUpdate(code);
+        
+        console.log(`Player ${socket.id} joined room ${code}`);
+    });
+    
+    // Opt-in binary stateUpdate. The client lists the codec versions it can decode; the newest
+    // shared one wins. Switching resets this socket's state view so the next packet is a snapshot.
+    socket.on('net:stateEncoding', (data, ack) => {
+        if (!allowEvent('net:stateEncoding', 6, 10000)) return;
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        const encoding = String(data && data.encoding ? data.encoding : '').trim().toLowerCase();
+        let next = null;
+        if (encoding === 'binary') {
+            const offered = Array.isArray(data.versions) ? data.versions.map(Number) : [];
+            const version = STATE_CODEC_VERSIONS.filter((v) => offered.includes(v)).pop();
+            if (!version) {
+                reply({
+                    ok: false,
+                    error: 'UNSUPPORTED_STATE_ENCODING',
+                    message: 'No shared binary state version.',
+                    versions: STATE_CODEC_VERSIONS.slice()
+                });
+                return;
+            }
+            next = { type: 'binary', version };
+        } else if (encoding !== 'json') {
+            reply({ ok: false, error: 'UNSUPPORTED_STATE_ENCODING', message: 'Encoding must be json or binary.' });
+            return;
+        }
+        socket.stateEncoding = next;
+        const room = rooms[socket.roomCode || socket.spectatingRoom];
+        if (room && room.stateSync) delete room.stateSync.recipients[socket.id];
+        reply({ ok: true, encoding: next ? 'binary' : 'json', version: next ? next.version : null });
+    });
+
+    socket.on('spectateRoom', async (data, ack) => {
+        if (!allowEvent('spectateRoom', 6, 10000)) return;
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        if (!socket.authenticated || !socket.authPersistentId) {
+            reply({ ok: false, error: 'AUTH_REQUIRED', message: 'Please re-authenticate.' });
+            return;
+        }
+        if (socket.roomCode && rooms[socket.roomCode]) {
+            reply({ ok: false, error: 'ALREADY_IN_ROOM', message: 'Leave your room before spectating.' });
+            return;
+        }
+        const code = String(data && data.roomCode ? data.roomCode : '').trim();
+        const room = rooms[code];
+        if (!room) {
+            reply({ ok: false, error: 'ROOM_NOT_FOUND', message: 'Room not found.' });
+            return;
+        }
+        if (await isProfileBlockedFromRoom(room, socket.profileId)) {
+            reply({ ok: false, error: 'ROOM_NOT_FOUND', message: 'Room not found.' });
+            return;
+        }
+        if (rooms[code] !== room) {
+            reply({ ok: false, error: 'ROOM_NOT_FOUND', message: 'Room not found.' });
+            return;
+        }
+        if (socket.spectatingRoom !== code && countRoomSpectators(room) >= MAX_SPECTATORS_PER_ROOM) {
+            reply({ ok: false, error: 'SPECTATORS_FULL', message: 'This room has no spectator slots left.' });
+            return;
+        }
+        if (socket.spectatingRoom && socket.spectatingRoom !== code) stopSpectating('switched_room');
+
+        const follow = findRoomPlayerById(room, data && data.followId);
+        if (!room.spectators) room.spectators = {};
+        room.spectators[socket.id] = {
+            id: socket.id,
+            name: socket.playerName || 'Spectator',
+            profileId: socket.profileId || null,
+            followId: follow ? follow.id : null,
+            joinedAt: Date.now()
+        };
+        socket.spectatingRoom = code;
+        socket.join(code);
+        emitLobbyUpdate(code);
+
+        // A new socket has no state view yet, so its first stateUpdate is a full (filtered) snapshot.
+        const inMatch = room.state === 'playing';
+        reply({
+            ok: true,
+            roomCode: code,
+            state: room.state,
+            mapKey: room.selectedMap || room.map || null,
+            mode: room.mode || DEFAULT_GAME_MODE,
+            rules: getRoomRules(room),
+            followId: room.spectators[socket.id].followId,
+            startTime: inMatch ? room.gameStartTime : null
+        });
+        console.log(`Spectator ${socket.id} watching room ${code}`);
+    });
+
+    socket.on('spectate:follow', (data, ack) => {
+        if (!allowEvent('spectate:follow', 30, 10000)) return;
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        const roomCode = socket.spectatingRoom;
+        const room = rooms[roomCode];
+        const spectator = room && room.spectators ? room.spectators[socket.id] : null;
+        if (!spectator) {
+            reply({ ok: false, error: 'NOT_SPECTATING', message: 'You are not spectating a room.' });
+            return;
+        }
+        const playerId = data && data.playerId ? String(data.playerId) : null;
+        const follow = playerId ? findRoomPlayerById(room, playerId) : null;
+        if (playerId && !follow) {
+            reply({ ok: false, error: 'PLAYER_NOT_FOUND', message: 'That player is not in this room.' });
+            return;
+        }
+        spectator.followId = follow ? follow.id : null;
+        // Switching targets mid-match only matters to the follower; don't rebroadcast the roster for it.
+        emitLobbyUpdate(roomCode, room.state === 'playing' ? socket : null);
+        reply({ ok: true, followId: spectator.followId });
+    });
+
+    socket.on('stopSpectating', (data, ack) => {
+        if (!allowEvent('stopSpectating', 10, 10000)) return;
+        const stopped = stopSpectating('left');
+        if (typeof ack === 'function') ack({ ok: stopped });
     });
-    
+
     socket.on('playerReady', () => {
         if (!allowEvent('playerReady', 20, 10000)) return;
         const roomCode = socket.roomCode;
@@ -3864,6 +6964,8 @@ io.on('connection', (socket) => {
         }
 
         
+        if (room.state === 'queueing') return;
+
         // لا تسمح للقائد بتغيير ready status
         if (room.leader === (socket.playerKey || socket.id)) {
             console.log('Leader is always ready');
@@ -3877,7 +6979,7 @@ io.on('connection', (socket) => {
         
         // إرسال التحديث للجميع
         io.to(roomCode).emit('updatePlayers', {
-            players: room.players,
+            players: buildPublicPlayerList(room),
             leaderId: room.leader,
             roomCode: room.code
         });
@@ -3889,6 +6991,7 @@ io.on('connection', (socket) => {
     socket.on('toggleReady', () => {
         if (!allowEvent('toggleReady', 20, 10000)) return;
         if (!currentRoom || !rooms[currentRoom]) return;
+        if (rooms[currentRoom].state === 'queueing') return;
         
         const player = getPlayer(rooms[currentRoom]);
         if (!player) return;
@@ -3920,6 +7023,11 @@ io.on('connection', (socket) => {
             return;
         }
 
+        if (room.state !== 'lobby') {
+            socket.emit('error', { message: room.state === 'queueing' ? 'Cancel matchmaking first.' : 'Game already started' });
+            return;
+        }
+
         const allReady = Object.entries(room.players).every(([key, p]) => {
             if (p.disconnected) return false;
             if (key === room.leader) return true;
@@ -3931,78 +7039,92 @@ io.on('connection', (socket) => {
             return;
         }
         
-        const maps = ['forest', 'canyon', 'island'];
-        const selectedMap = maps[Math.floor(Math.random() * maps.length)];
-        
-        room.state = 'starting';
-        room.selectedMap = selectedMap;
-        room.lastMatchResults = null;
-        room.lastMatchEndedAt = 0;
-        room.lastMatchSeen = {};
-        invalidatePartyInvitesForRoom(roomCode, 'cancelled');
-
-        room.projectiles = [];
-        room.killChains = {};
-        room.buffs = [];
-        room.nextSpawnIndex = 0;
-        resetRoomSyncState(room);
-        initializeBuffs(roomCode);
-
-        Object.values(room.players).forEach(player => {
-            const spawn = getNextSpawn(roomCode);
-            player.x = spawn.x;
-            player.y = spawn.y;
-            player.angle = 0;
-            player.hp = 3;
-            player.maxHp = 3;
-            player.kills = 0;
-            player.deaths = 0;
-            player.killstreak = 0;
-            player.hasShield = false;
-            player.invisible = false;
-            player.speedBoost = false;
-            player.shieldExpire = 0;
-            player.invisExpire = 0;
-            player.speedExpire = 0;
-            player.charging = false;
-            player.chargeStartedAt = 0;
-            player.lastShotAt = 0;
-            player.diedAt = 0;
-            player.inputSeq = 0;
-            player.antiCheatStrikes = 0;
-            player.antiCheatState = {
-                windowStart: 0,
-                windowStrikes: 0,
-                warned: false,
-                level: 'none',
-                blockUntil: 0,
-                lastBlockLogAt: 0,
-                lastAction: null,
-                lastActionAt: 0
-            };
-            player.input = { w:false,a:false,s:false,d:false,angle:0,charging:false,seq:0 };
-            player.inputIntegrity = { lastMask: 0, lastAt: 0, togglePoints: 0, windowStart: 0 };
+        startRoomMatch(roomCode);
+    });
+
+    socket.on('quick:startFindMatch', (data, ack) => {
+        if (!allowEvent('quick:startFindMatch', 6, 10000)) return;
+        if (!socket.authenticated || !socket.authPersistentId) {
+            emitQuickQueueError('AUTH_REQUIRED', '', ack);
+            return;
+        }
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        if (!room || !getPlayer(room)) {
+            emitQuickQueueError('PARTY_NOT_FOUND', '', ack);
+            return;
+        }
+        const existing = getRoomQuickTicket(room);
+        if (existing) {
+            const payload = { ok: true, ticketId: existing.id, roomCode, queuedAt: existing.queuedAt };
+            if (typeof ack === 'function') ack(payload);
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            emitQuickQueueError('QUEUE_NOT_ALLOWED', '', ack);
+            return;
+        }
+        if (room.state !== 'lobby') {
+            emitQuickQueueError('PARTY_NOT_IN_LOBBY', '', ack);
+            return;
+        }
+        if ((room.mode || DEFAULT_GAME_MODE) !== 'ffa') {
+            emitQuickQueueError('QUEUE_MODE_UNSUPPORTED', '', ack);
+            return;
+        }
+        if (hasCustomRoomRules(room)) {
+            emitQuickQueueError('QUEUE_RULES_UNSUPPORTED', '', ack);
+            return;
+        }
+        const allReady = Object.entries(room.players).every(([key, p]) => {
+            if (p.disconnected) return false;
+            if (key === room.leader) return true;
+            return p.ready === true;
         });
-        
-        console.log(`Game starting in room ${roomCode} with map: ${selectedMap}`);
-        
-        io.to(roomCode).emit('gameStarting', {
-            mapKey: selectedMap,
-            players: room.players,
-            roomCode: roomCode
+        if (!allReady) {
+            emitQuickQueueError('QUEUE_PARTY_NOT_READY', '', ack);
+            return;
+        }
+
+        const ticket = createQuickQueueTicket(roomCode);
+        io.to(roomCode).emit('quick:queueStatus', {
+            ticketId: ticket.id,
+            found: ticket.partySize,
+            needed: MAX_PLAYERS_PER_ROOM,
+            elapsedMs: 0
         });
-        
-        setTimeout(() => {
-            if (rooms[roomCode] && rooms[roomCode].state === 'starting') {
-                rooms[roomCode].state = 'playing';
-                rooms[roomCode].gameStartTime = Date.now();
-                beginRoomNetworkMatch(roomCode);
-                
-                io.to(roomCode).emit('gameStarted', {
-                    startTime: rooms[roomCode].gameStartTime
-                });
-            }
-        }, 3000);
+        emitLobbyUpdate(roomCode);
+        if (typeof ack === 'function') ack({ ok: true, ticketId: ticket.id, roomCode, queuedAt: ticket.queuedAt });
+    });
+
+    socket.on('quick:cancelFindMatch', (data, ack) => {
+        if (!allowEvent('quick:cancelFindMatch', 10, 10000)) return;
+        const room = rooms[socket.roomCode];
+        ensureSocketPlayerBinding(room);
+        const player = getPlayer(room);
+        if (!room || !player) {
+            emitQuickQueueError('QUEUE_NOT_FOUND', '', ack);
+            return;
+        }
+        const ticket = getRoomQuickTicket(room);
+        const requestedId = data && typeof data.ticketId === 'string' ? data.ticketId : '';
+        if (!ticket || (requestedId && requestedId !== ticket.id)) {
+            emitQuickQueueError('QUEUE_NOT_FOUND', '', ack);
+            return;
+        }
+        if (player.disconnected) {
+            emitQuickQueueError('QUEUE_CANCEL_DENIED', '', ack);
+            return;
+        }
+        const key = socket.playerKey || socket.id;
+        const reason = room.leader === key ? 'leader_cancel' : 'member_cancel';
+        cancelQuickQueueTicket(ticket.id, reason, {
+            profileId: player.profileId || null,
+            playerKey: key,
+            name: player.name
+        });
+        if (typeof ack === 'function') ack({ ok: true, ticketId: ticket.id, reason });
     });
     // Player input (authoritative movement)
     socket.on('playerInput', (data) => {
@@ -4039,6 +7161,7 @@ io.on('connection', (socket) => {
         const angle = normalizeAngle(rawAngle);
 
         player.inputSeq = Math.max(player.inputSeq || 0, seq);
+        recordPlayerInputArrival(player, seq, now);
         const inW = !!data.w;
         const inA = !!data.a;
         const inS = !!data.s;
@@ -4118,115 +7241,7 @@ io.on('connection', (socket) => {
         if (!player || player.hp <= 0) return;
         if (isEnforcementBlocked(player, 'fireProjectile')) return;
 
-        const now = Date.now();
-        if ((now - (player.lastUpdate || 0)) > MAX_INPUT_STALE_MS) {
-            registerSuspicion(player, 'shot_with_stale_input', { staleMs: now - (player.lastUpdate || 0) });
-            return;
-        }
-
-        if (!data || typeof data !== 'object') {
-            registerSuspicion(player, 'invalid_fire_payload');
-            return;
-        }
-
-        if (player.lastShotAt && (now - player.lastShotAt) < MIN_SHOT_INTERVAL_MS) {
-            registerSuspicion(player, 'fire_rate_violation', { delta: now - player.lastShotAt });
-            return;
-        }
-        const chargeRequiredMs = (player.killstreak >= KILLSTREAK_TIERS.FAST_CHARGE)
-            ? FAST_CHARGE_REQUIRED_MS
-            : BASE_CHARGE_REQUIRED_MS;
-        const chargeHeldMs = (player.chargeStartedAt && player.input && player.input.charging)
-            ? (now - player.chargeStartedAt)
-            : 0;
-        if (chargeHeldMs < (chargeRequiredMs - CHARGE_VALIDATION_GRACE_MS)) {
-            registerSuspicion(player, 'fire_charge_violation', {
-                heldMs: chargeHeldMs,
-                requiredMs: chargeRequiredMs,
-                charging: !!(player.input && player.input.charging)
-            });
-            return;
-        }
-
-        const room = rooms[currentRoom];
-        const activeOwnerProjectiles = room.projectiles.filter(p => p.ownerId === player.id).length;
-        if (activeOwnerProjectiles >= MAX_ACTIVE_PROJECTILES_PER_PLAYER) {
-            registerSuspicion(player, 'active_projectile_cap_exceeded', { activeOwnerProjectiles });
-            return;
-        }
-
-        if (player.invisible) {
-            player.invisible = false;
-            player.invisExpire = 0;
-        }
-        
-        const rawAngle = (typeof data.angle === 'number') ? data.angle : player.angle;
-        if (!Number.isFinite(rawAngle)) {
-            registerSuspicion(player, 'fire_invalid_angle', { angle: data.angle });
-            return;
-        }
-        const angle = normalizeAngle(rawAngle);
-        const inputAngle = player.input && Number.isFinite(player.input.angle) ? player.input.angle : player.angle;
-        const delta = angleDeltaAbs(angle, inputAngle);
-        if (delta > SHOT_ANGLE_WARN_DELTA) {
-            registerSuspicion(player, 'fire_angle_mismatch', {
-                delta: Number(delta.toFixed(3)),
-                shotAngle: Number(angle.toFixed(3)),
-                inputAngle: Number(normalizeAngle(inputAngle).toFixed(3))
-            });
-        }
-        if (delta > SHOT_ANGLE_HARD_DELTA) {
-            registerSuspicion(player, 'fire_angle_hard_reject', {
-                delta: Number(delta.toFixed(3))
-            });
-            return;
-        }
-        const speed = 871.2; // 14.52 * 60fps
-        const offset = 25;
-        const mapKey = room.selectedMap || room.map || 'forest';
-        const originX = player.x + Math.cos(angle) * offset;
-        const originY = player.y + Math.sin(angle) * offset;
-        const originDist = Math.sqrt(((originX - player.x) ** 2) + ((originY - player.y) ** 2));
-        if (Math.abs(originDist - offset) > SHOT_ORIGIN_TOLERANCE) {
-            registerSuspicion(player, 'fire_origin_distance_mismatch', {
-                originDist: Number(originDist.toFixed(3)),
-                expected: offset
-            });
-            return;
-        }
-        if (isProjectileBlocked(mapKey, originX, originY)) {
-            registerSuspicion(player, 'fire_origin_blocked', {
-                x: Number(originX.toFixed(1)),
-                y: Number(originY.toFixed(1))
-            });
-            return;
-        }
-        if (isShotPathBlocked(mapKey, player.x, player.y, originX, originY)) {
-            registerSuspicion(player, 'fire_path_blocked', {
-                fromX: Number(player.x.toFixed(1)),
-                fromY: Number(player.y.toFixed(1)),
-                toX: Number(originX.toFixed(1)),
-                toY: Number(originY.toFixed(1))
-            });
-            return;
-        }
-        const projectile = {
-            id: `proj_${socket.id}_${Date.now()}`,
-            ownerId: player.id,
-            x: originX,
-            y: originY,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            angle: angle,
-            life: 0
-        };
-        
-        player.lastShotAt = now;
-        player.chargeStartedAt = 0;
-        rooms[currentRoom].projectiles.push(projectile);
-        
-        io.to(currentRoom).emit('projectileFired', projectile);
-        console.log('[srv] projectileFired', currentRoom, socket.id);
+        fireRoomProjectile(currentRoom, player, data, (reason, details) => registerSuspicion(player, reason, details));
     });
 
     socket.on('leaveRoom', () => {
@@ -4257,7 +7272,7 @@ io.on('connection', (socket) => {
         socket.emit('lobbySnapshot', {
             roomCode: room.code,
             leaderId: room.leader,
-            players: room.players,
+            players: buildPublicPlayerList(room),
             state: room.state,
             ok: true
         });
@@ -4279,64 +7294,259 @@ io.on('connection', (socket) => {
         });
     });
 
-    socket.on('kickPlayer', (data) => {
-        if (!allowEvent('kickPlayer', 8, 10000)) return;
+    socket.on('kickPlayer', (data) => {
+        if (!allowEvent('kickPlayer', 8, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        if (!room || room.state !== 'lobby') {
+            socket.emit('error', { message: 'Kick allowed in lobby only' });
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            socket.emit('error', { message: 'Only leader can kick' });
+            return;
+        }
+
+        const targetKey = data && typeof data.playerKey === 'string' ? data.playerKey : '';
+        const targetId = data && typeof data.playerId === 'string' ? data.playerId : '';
+
+        let removeKey = '';
+        if (targetKey && room.players[targetKey]) {
+            removeKey = targetKey;
+        } else if (targetId && room.players[targetId]) {
+            removeKey = targetId;
+        } else if (targetId) {
+            const foundEntry = Object.entries(room.players).find(([, p]) => p && p.id === targetId);
+            if (foundEntry) removeKey = foundEntry[0];
+        }
+
+        if (!removeKey || removeKey === room.leader || !room.players[removeKey]) {
+            socket.emit('error', { message: 'Invalid target' });
+            return;
+        }
+
+        const targetPlayer = room.players[removeKey];
+        delete room.players[removeKey];
+
+        let targetSocket = io.sockets.sockets.get(removeKey) || io.sockets.sockets.get(targetId);
+        if (!targetSocket && targetPlayer && targetPlayer.persistentId) {
+            targetSocket = Array.from(io.sockets.sockets.values()).find((s) => s && s.authPersistentId === targetPlayer.persistentId) || null;
+        }
+        if (targetSocket) {
+            targetSocket.leave(roomCode);
+            targetSocket.roomCode = null;
+            targetSocket.playerKey = targetSocket.id;
+            targetSocket.authRoomCode = null;
+            targetSocket.emit('kickedFromParty', { roomCode, by: socket.id });
+        }
+
+        io.to(roomCode).emit('playerLeft', {
+            playerId: targetPlayer && targetPlayer.id ? targetPlayer.id : targetId,
+            playerName: targetPlayer ? targetPlayer.name : 'Unknown'
+        });
+        emitLobbyUpdate(roomCode);
+    });
+
+    socket.on('lobby:setBotFill', (data, ack) => {
+        if (!allowEvent('lobby:setBotFill', 12, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        if (!room || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Bot fill can only change in lobby.' });
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            reply({ ok: false, error: 'NOT_PARTY_LEADER', message: 'Only the leader can change bot fill.' });
+            return;
+        }
+        const current = room.botFill || { enabled: false, difficulty: DEFAULT_BOT_DIFFICULTY };
+        room.botFill = {
+            enabled: data && typeof data.enabled === 'boolean' ? data.enabled : !current.enabled,
+            difficulty: normalizeBotDifficulty(data && data.difficulty ? data.difficulty : current.difficulty)
+        };
+        emitLobbyUpdate(roomCode);
+        reply({ ok: true, botFill: room.botFill });
+    });
+
+    socket.on('lobby:setMode', (data, ack) => {
+        if (!allowEvent('lobby:setMode', 12, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        if (!room || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Mode can only change in lobby.' });
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            reply({ ok: false, error: 'NOT_PARTY_LEADER', message: 'Only the leader can change the mode.' });
+            return;
+        }
+        const mode = String(data && data.mode ? data.mode : '').trim().toLowerCase();
+        if (!GAME_MODES.includes(mode)) {
+            reply({ ok: false, error: 'INVALID_MODE', message: 'Unknown game mode.' });
+            return;
+        }
+        const teamSize = data && data.teamSize !== undefined ? Number(data.teamSize) : (room.teamSize || DEFAULT_TDM_TEAM_SIZE);
+        if (mode === 'tdm' && !TDM_TEAM_SIZES.includes(teamSize)) {
+            reply({ ok: false, error: 'INVALID_TEAM_SIZE', message: 'Team size must be 2 or 3.' });
+            return;
+        }
+        if (mode === 'tdm' && countRoomHumans(room) > teamSize * TEAMS.length) {
+            reply({ ok: false, error: 'PARTY_TOO_LARGE', message: `Too many players for ${teamSize}v${teamSize}.` });
+            return;
+        }
+        room.mode = mode;
+        if (mode === 'tdm') room.teamSize = teamSize;
+        emitLobbyUpdate(roomCode);
+        reply({ ok: true, mode: room.mode, teamSize: room.teamSize });
+    });
+
+    socket.on('lobby:setMapSelection', (data, ack) => {
+        if (!allowEvent('lobby:setMapSelection', 12, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        if (!room || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Map can only change in lobby.' });
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            reply({ ok: false, error: 'NOT_PARTY_LEADER', message: 'Only the leader can change the map.' });
+            return;
+        }
+        const current = room.mapSelection || { mode: 'leader', map: RANDOM_MAP_CHOICE };
+        const mode = data && data.mode !== undefined ? String(data.mode).trim().toLowerCase() : current.mode;
+        if (!MAP_SELECTION_MODES.includes(mode)) {
+            reply({ ok: false, error: 'INVALID_MAP_SELECTION', message: 'Map selection must be leader or vote.' });
+            return;
+        }
+        const map = data && data.map !== undefined ? String(data.map).trim().toLowerCase() : current.map;
+        if (mode === 'leader' && map !== RANDOM_MAP_CHOICE && !MAPS.includes(map)) {
+            reply({ ok: false, error: 'INVALID_MAP', message: 'Unknown map.' });
+            return;
+        }
+        if (mode !== current.mode) room.mapVotes = {};
+        room.mapSelection = { mode, map: MAPS.includes(map) ? map : RANDOM_MAP_CHOICE };
+        emitLobbyUpdate(roomCode);
+        reply({ ok: true, mapSelection: buildRoomMapSelectionState(room) });
+    });
+
+    socket.on('lobby:setRules', (data, ack) => {
+        if (!allowEvent('lobby:setRules', 12, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        if (!room || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Rules can only change in lobby.' });
+            return;
+        }
+        if (room.leader !== (socket.playerKey || socket.id)) {
+            reply({ ok: false, error: 'NOT_PARTY_LEADER', message: 'Only the leader can change the rules.' });
+            return;
+        }
+        const result = data && data.reset === true
+            ? { rules: cloneRoomRules(DEFAULT_ROOM_RULES) }
+            : normalizeRoomRules(data && data.rules, getRoomRules(room));
+        if (result.error) {
+            reply({ ok: false, error: result.error, message: result.message });
+            return;
+        }
+        room.rules = result.rules;
+        emitLobbyUpdate(roomCode);
+        reply({ ok: true, rules: getRoomRules(room) });
+    });
+
+    socket.on('lobby:voteMap', (data, ack) => {
+        if (!allowEvent('lobby:voteMap', 12, 10000)) return;
+        const roomCode = socket.roomCode;
+        const room = rooms[roomCode];
+        ensureSocketPlayerBinding(room);
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        const player = room ? getPlayer(room) : null;
+        if (!room || !player || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Voting is only open in lobby.' });
+            return;
+        }
+        if (!room.mapSelection || room.mapSelection.mode !== 'vote') {
+            reply({ ok: false, error: 'MAP_VOTING_CLOSED', message: 'The leader is choosing the map.' });
+            return;
+        }
+        const map = String(data && data.map ? data.map : '').trim().toLowerCase();
+        const playerKey = socket.playerKey || socket.id;
+        if (!room.mapVotes) room.mapVotes = {};
+        if (!map) {
+            delete room.mapVotes[playerKey];
+        } else if (MAPS.includes(map)) {
+            room.mapVotes[playerKey] = map;
+        } else {
+            reply({ ok: false, error: 'INVALID_MAP', message: 'Unknown map.' });
+            return;
+        }
+        emitLobbyUpdate(roomCode);
+        reply({ ok: true, vote: room.mapVotes[playerKey] || null });
+    });
+
+    socket.on('lobby:switchTeam', (data, ack) => {
+        if (!allowEvent('lobby:switchTeam', 12, 10000)) return;
         const roomCode = socket.roomCode;
         const room = rooms[roomCode];
         ensureSocketPlayerBinding(room);
-        if (!room || room.state !== 'lobby') {
-            socket.emit('error', { message: 'Kick allowed in lobby only' });
+        const reply = (payload) => {
+            if (typeof ack === 'function') ack(payload);
+        };
+        const player = room ? getPlayer(room) : null;
+        if (!room || !player || room.state !== 'lobby') {
+            reply({ ok: false, error: 'PARTY_NOT_IN_LOBBY', message: 'Teams can only change in lobby.' });
             return;
         }
-        if (room.leader !== (socket.playerKey || socket.id)) {
-            socket.emit('error', { message: 'Only leader can kick' });
+        if (!isTeamMode(room)) {
+            reply({ ok: false, error: 'NOT_TEAM_MODE', message: 'The lobby is not in team mode.' });
             return;
         }
-
-        const targetKey = data && typeof data.playerKey === 'string' ? data.playerKey : '';
-        const targetId = data && typeof data.playerId === 'string' ? data.playerId : '';
-
-        let removeKey = '';
-        if (targetKey && room.players[targetKey]) {
-            removeKey = targetKey;
-        } else if (targetId && room.players[targetId]) {
-            removeKey = targetId;
-        } else if (targetId) {
-            const foundEntry = Object.entries(room.players).find(([, p]) => p && p.id === targetId);
-            if (foundEntry) removeKey = foundEntry[0];
-        }
-
-        if (!removeKey || removeKey === room.leader || !room.players[removeKey]) {
-            socket.emit('error', { message: 'Invalid target' });
+        const team = String(data && data.team ? data.team : '').trim().toLowerCase();
+        if (!TEAMS.includes(team)) {
+            reply({ ok: false, error: 'INVALID_TEAM', message: 'Unknown team.' });
             return;
         }
-
-        const targetPlayer = room.players[removeKey];
-        delete room.players[removeKey];
-
-        let targetSocket = io.sockets.sockets.get(removeKey) || io.sockets.sockets.get(targetId);
-        if (!targetSocket && targetPlayer && targetPlayer.persistentId) {
-            targetSocket = Array.from(io.sockets.sockets.values()).find((s) => s && s.authPersistentId === targetPlayer.persistentId) || null;
-        }
-        if (targetSocket) {
-            targetSocket.leave(roomCode);
-            targetSocket.roomCode = null;
-            targetSocket.playerKey = targetSocket.id;
-            targetSocket.authRoomCode = null;
-            targetSocket.emit('kickedFromParty', { roomCode, by: socket.id });
+        if (player.team !== team) {
+            const players = Object.values(room.players).filter(Boolean);
+            const targetCount = players.filter((p) => p.team === team).length;
+            const sourceCount = players.filter((p) => p.team === player.team).length;
+            if (targetCount >= room.teamSize) {
+                reply({ ok: false, error: 'TEAM_FULL', message: 'That team is full.' });
+                return;
+            }
+            if ((targetCount + 1) - (sourceCount - 1) > 1) {
+                reply({ ok: false, error: 'TEAM_UNBALANCED', message: 'Switching would leave the teams uneven.' });
+                return;
+            }
+            player.team = team;
+            emitLobbyUpdate(roomCode);
         }
-
-        io.to(roomCode).emit('playerLeft', {
-            playerId: targetPlayer && targetPlayer.id ? targetPlayer.id : targetId,
-            playerName: targetPlayer ? targetPlayer.name : 'Unknown'
-        });
-        emitLobbyUpdate(roomCode);
+        reply({ ok: true, team: player.team });
     });
     // Disconnect
    // استبدل السطر 563-589 بهذا:
 socket.on('disconnect', () => {
     console.log(`Player disconnected: ${socket.id}`);
-    removePlayerFromRoom({ preserveInMatch: true });
+    removePlayerFromRoom({ preserveInMatch: true, queueCancelReason: 'member_disconnect' });
+    stopSpectating('disconnect');
     
     if (heartbeatInterval) clearInterval(heartbeatInterval);
     if (socket.heartbeatInterval && socket.heartbeatInterval !== heartbeatInterval) {
@@ -4347,68 +7557,99 @@ socket.on('disconnect', () => {
 });
 });
 
+function recordTickCost(ms) {
+    tickMetrics.ticks += 1;
+    tickMetrics.totalMs += ms;
+    if (ms > tickMetrics.maxMs) tickMetrics.maxMs = ms;
+    if (ms > TICK_MS) tickMetrics.overBudget += 1;
+    tickMetrics.samples[tickMetrics.sampleIndex] = ms;
+    tickMetrics.sampleIndex = (tickMetrics.sampleIndex + 1) % TICK_COST_SAMPLE_SIZE;
+    tickMetrics.sampleCount = Math.min(TICK_COST_SAMPLE_SIZE, tickMetrics.sampleCount + 1);
+}
+
+function buildTickCostStats() {
+    const recent = Array.from(tickMetrics.samples.subarray(0, tickMetrics.sampleCount)).sort((a, b) => a - b);
+    const pick = (q) => (recent.length ? recent[Math.min(recent.length - 1, Math.floor(q * recent.length))] : 0);
+    const round = (v) => Math.round(v * 1000) / 1000;
+    return {
+        budgetMs: round(TICK_MS),
+        ticks: tickMetrics.ticks,
+        avgMs: round(tickMetrics.ticks ? tickMetrics.totalMs / tickMetrics.ticks : 0),
+        maxMs: round(tickMetrics.maxMs),
+        overBudget: tickMetrics.overBudget,
+        recent: {
+            samples: recent.length,
+            p50Ms: round(pick(0.5)),
+            p95Ms: round(pick(0.95)),
+            p99Ms: round(pick(0.99))
+        },
+        collision: {
+            grid: MAP_COLLISION_GRID_ENABLED,
+            cellSize: MAP_COLLISION_GRID_ENABLED ? MAP_GRID_CELL : null,
+            queries: collisionMetrics.queries,
+            objectChecks: collisionMetrics.objectChecks,
+            avgObjectsPerQuery: round(collisionMetrics.queries ? collisionMetrics.objectChecks / collisionMetrics.queries : 0)
+        }
+    };
+}
+
 // ==================== GAME LOOP ====================
 setInterval(() => {
+    const tickStartedAt = process.hrtime.bigint();
     const dt = TICK_MS / 1000;
     Object.keys(rooms).forEach(roomCode => {
         const room = rooms[roomCode];
         if (room.state === 'playing') {
+            updateRoomBots(roomCode, Date.now());
             updatePlayers(roomCode, dt);
+            recordRoomPositionHistory(room, Date.now());
             updateProjectiles(roomCode, dt);
             updateBuffs(roomCode);
 
             const now = Date.now();
-            const remainingMs = Math.max(0, (GAME_DURATION * 1000) - (now - room.gameStartTime));
-            const stateSync = ensureRoomSyncState(room);
+            const durationMs = getRoomRules(room).durationSec * 1000;
+            const remainingMs = Math.max(0, durationMs - (now - room.gameStartTime));
             const snapshot = buildRoomStateSnapshot(room);
-            const shouldSendFullSnapshot =
-                !stateSync.lastSnapshotAt ||
-                (now - stateSync.lastSnapshotAt) >= STATE_FULL_SNAPSHOT_INTERVAL_MS;
-
-            if (shouldSendFullSnapshot) {
-                io.to(roomCode).emit('stateUpdate', {
-                    mode: 'snapshot',
-                    serverTime: now,
-                    remainingMs,
-                    players: snapshot.players,
-                    projectiles: snapshot.projectiles,
-                    buffs: snapshot.buffs
-                });
-                stateSync.lastSnapshotAt = now;
-            } else {
-                io.to(roomCode).emit('stateUpdate', {
-                    mode: 'delta',
-                    serverTime: now,
-                    remainingMs,
-                    playersDelta: diffStateMaps(snapshot.playersMap, stateSync.players, PLAYER_STATE_FIELDS),
-                    projectilesDelta: diffStateMaps(snapshot.projectilesMap, stateSync.projectiles, PROJECTILE_STATE_FIELDS),
-                    buffsDelta: diffStateMaps(snapshot.buffsMap, stateSync.buffs, BUFF_STATE_FIELDS)
-                });
+            emitRoomStateUpdates(roomCode, room, snapshot, now, remainingMs);
+            // The replay keeps the unfiltered stream so playback shows everyone.
+            if (roomReplays[roomCode]) {
+                recordReplayFrame(roomCode, () => buildStatePayload(room, ensureRoomSyncState(room), snapshot, now, remainingMs), now);
             }
-            stateSync.players = snapshot.playersMap;
-            stateSync.projectiles = snapshot.projectilesMap;
-            stateSync.buffs = snapshot.buffsMap;
              
-            // Check game time
+            // Check game time and the score limit flagged by handleKill
             const elapsed = now - room.gameStartTime;
-            if (elapsed >= GAME_DURATION * 1000) {
+            const endReason = room.matchEndReason || (elapsed >= durationMs ? 'timer_elapsed' : null);
+            if (endReason) {
                 const resultPlayers = clonePlayersForResults(room);
+                const modeResults = buildModeMatchResults(room, resultPlayers);
+                const rules = getRoomRules(room);
+                const awards = buildMatchAwards(resultPlayers);
                 const endedAt = now;
-                storePendingMatchResults(roomCode, resultPlayers);
+                storePendingMatchResults(roomCode, resultPlayers, modeResults, rules, awards);
                 room.lastMatchResults = resultPlayers;
+                room.lastMatchModeResults = modeResults;
+                room.lastMatchRules = rules;
+                room.lastMatchAwards = awards;
                 room.lastMatchEndedAt = endedAt;
+                recordMatchHistory(room, resultPlayers, endedAt, modeResults);
                 finalizeRoomAdRewards(room);
                 resetRoomForLobby(roomCode);
                 io.to(roomCode).emit('gameEnd', {
                     roomCode: roomCode,
-                    players: resultPlayers,
-                    endedAt
+                    players: publicResultPlayers(resultPlayers),
+                    endedAt,
+                    endReason,
+                    rules,
+                    awards,
+                    ...(modeResults || {})
                 });
-                finishRoomNetworkMatch(roomCode, 'timer_elapsed');
+                finishRoomNetworkMatch(roomCode, endReason);
+                finishRoomReplay(roomCode, endReason, resultPlayers);
                 emitLobbyUpdate(roomCode);
             }
         }
     });
+    recordTickCost(Number(process.hrtime.bigint() - tickStartedAt) / 1e6);
 }, TICK_MS); // authoritative simulation tick rate
 
 if (NET_MONITOR_ENABLED) {
@@ -4423,6 +7664,21 @@ setInterval(() => {
     cleanupExpiredPartyInvites();
 }, 2000);
 
+setInterval(() => {
+    processQuickQueue();
+}, QUICK_QUEUE_TICK_MS);
+
+setInterval(() => {
+    pruneAuthThrottle();
+    pruneLeaderboardCache();
+}, 60 * 1000);
+
+setInterval(() => {
+    sweepFriendPresence().catch((err) => {
+        console.error('[friends] presence sweep failed', err && err.message ? err.message : err);
+    });
+}, FRIEND_PRESENCE_SWEEP_MS);
+
 // ==================== AUTH HTTP API ====================
 app.post('/auth/signup-link', async (req, res) => {
     try {
@@ -4440,24 +7696,12 @@ app.post('/auth/signup-link', async (req, res) => {
             sendAuthError(res, 400, 'INVALID_USERNAME', 'Username must be 3-24 English letters, numbers, or underscore.');
             return;
         }
-        if (password.length < AUTH_PASSWORD_MIN_LEN || password.length > AUTH_PASSWORD_MAX_LEN) {
-            sendAuthError(
-                res,
-                400,
-                'WEAK_PASSWORD',
-                `Password must be ${AUTH_PASSWORD_MIN_LEN}-${AUTH_PASSWORD_MAX_LEN} characters.`
-            );
-            return;
-        }
-        const passwordPolicy = validateAuthPasswordPolicy(password);
-        if (!passwordPolicy.ok) {
-            sendAuthError(res, 400, 'WEAK_PASSWORD', passwordPolicy.message || 'Password does not meet security requirements.');
-            return;
-        }
+        if (rejectWeakAuthPassword(res, password)) return;
+        if (!checkAuthThrottle(req, res, '')) return;
 
-        const authCtx = resolveAuthDeviceContext(req);
+        const authCtx = await resolveAuthDeviceContext(req);
         if (!authCtx.persistentId) {
-            sendAuthError(res, 401, 'AUTH_CONTEXT_REQUIRED', 'Missing auth context. Provide currentProfileToken or persistentId.');
+            sendAuthError(res, 401, 'AUTH_CONTEXT_REQUIRED', 'Missing auth context. Provide currentProfileToken, or persistentId with its deviceSecret.');
             return;
         }
 
@@ -4507,6 +7751,10 @@ app.post('/auth/signup-link', async (req, res) => {
         }
         res.json(payload);
     } catch (err) {
+        // Taken email/username answers are enumeration probes; count them against the IP.
+        if (err && (err.code === 'EMAIL_ALREADY_USED' || err.code === 'USERNAME_TAKEN')) {
+            recordAuthFailure(req, '', 'signup-link');
+        }
         mapIdentityError(res, err);
     }
 });
@@ -4550,59 +7798,354 @@ app.post('/auth/resend-verification', async (req, res) => {
             payload.devVerificationCode = delivery.devVerificationCode;
             payload.devExpiresAt = delivery.devExpiresAt || null;
         }
-        res.json(payload);
-    } catch (err) {
-        if (err && err.code === 'ACCOUNT_NOT_FOUND') {
-            res.json({ ok: true, resent: true });
+        res.json(payload);
+    } catch (err) {
+        if (err && err.code === 'ACCOUNT_NOT_FOUND') {
+            res.json({ ok: true, resent: true });
+            return;
+        }
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/verify-email', async (req, res) => {
+    let throttleKey = '';
+    try {
+        if (!ensurePersistentAuthStore(res)) return;
+        const body = req.body || {};
+        const emailInput = String(body.email || '').trim();
+        const otp = String(body.otp || '').trim();
+        const emailNorm = normalizeAuthEmail(emailInput);
+        if (!AUTH_EMAIL_RE.test(emailNorm)) {
+            sendAuthError(res, 400, 'INVALID_EMAIL', 'Invalid email.');
+            return;
+        }
+        if (!otp) {
+            sendAuthError(res, 400, 'INVALID_VERIFICATION_CODE', 'Verification code is required.');
+            return;
+        }
+        throttleKey = authThrottleAccountKey('verify-email', emailNorm);
+        if (!checkAuthThrottle(req, res, throttleKey)) return;
+
+        const verified = await identityStore.verifyEmailCode({
+            email: emailInput,
+            otp,
+            maxVerifyAttempts: AUTH_VERIFY_MAX_ATTEMPTS
+        });
+        recordAuthSuccess(throttleKey);
+
+        const authCtx = await resolveAuthDeviceContext(req);
+        let profileSnapshot = null;
+        if (verified && verified.profileId) {
+            if (authCtx.persistentId) {
+                await identityStore.setActiveProfileForDevice({
+                    persistentId: authCtx.persistentId,
+                    profileId: verified.profileId
+                });
+            }
+            profileSnapshot = await identityStore.getProfileSnapshotById(verified.profileId);
+        }
+
+        let session = null;
+        if (authCtx.persistentId && profileSnapshot) {
+            session = await startAccountSession(req, authCtx.persistentId, profileSnapshot);
+        }
+
+        res.json({
+            ok: true,
+            account_activated: true,
+            profile: profileSnapshot,
+            session
+        });
+    } catch (err) {
+        if (throttleKey && err && (err.code === 'INVALID_VERIFICATION_CODE' || err.code === 'ACCOUNT_NOT_FOUND')) {
+            recordAuthFailure(req, throttleKey, 'verify-email');
+        }
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/signin', async (req, res) => {
+    try {
+        if (!ensurePersistentAuthStore(res)) return;
+        const body = req.body || {};
+        const login = String(body.email_or_username || '').trim();
+        const password = typeof body.password === 'string' ? body.password : '';
+        if (!login || !password) {
+            sendAuthError(res, 400, 'INVALID_CREDENTIALS', 'Email/username and password are required.');
+            return;
+        }
+        const throttleKey = authThrottleAccountKey('signin', login);
+        if (!checkAuthThrottle(req, res, throttleKey)) return;
+
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.persistentId) {
+            sendAuthError(res, 401, 'AUTH_CONTEXT_REQUIRED', 'Missing auth context. Provide currentProfileToken, or persistentId with its deviceSecret.');
+            return;
+        }
+
+        // Status is only revealed once the password checks out.
+        const account = await identityStore.findAccountByLogin({ login });
+        const passOk = await verifyPasswordForAuth(
+            password,
+            account ? account.passwordHash : await getAuthDummyPasswordHash()
+        );
+        if (!account || !passOk) {
+            recordAuthFailure(req, throttleKey, 'signin');
+            sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials.');
+            return;
+        }
+        recordAuthSuccess(throttleKey);
+        if (account.status === 'pending_verification') {
+            sendAuthError(res, 403, 'EMAIL_NOT_VERIFIED', 'Email is not verified.');
+            return;
+        }
+        if (account.status === 'suspended') {
+            sendAuthError(res, 403, 'ACCOUNT_SUSPENDED', 'Account is suspended.');
+            return;
+        }
+        if (!account.profileId) {
+            sendAuthError(res, 500, 'ACCOUNT_LINK_CORRUPT', 'Account profile link is missing.');
+            return;
+        }
+
+        await identityStore.setActiveProfileForDevice({
+            persistentId: authCtx.persistentId,
+            profileId: account.profileId
+        });
+        const profileSnapshot = await identityStore.getProfileSnapshotById(account.profileId);
+        if (!profileSnapshot) {
+            sendAuthError(res, 500, 'PROFILE_RESOLUTION_FAILED', 'Could not resolve account profile.');
+            return;
+        }
+        const session = await startAccountSession(req, authCtx.persistentId, profileSnapshot);
+        res.json({
+            ok: true,
+            profile: profileSnapshot,
+            session
+        });
+    } catch (err) {
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/forgot-password', async (req, res) => {
+    try {
+        if (!ensurePersistentAuthStore(res)) return;
+        const body = req.body || {};
+        const emailInput = String(body.email || '').trim();
+        const emailNorm = normalizeAuthEmail(emailInput);
+        if (!AUTH_EMAIL_RE.test(emailNorm)) {
+            sendAuthError(res, 400, 'INVALID_EMAIL', 'Invalid email.');
+            return;
+        }
+        // Checked before the account lookup so the answer never depends on whether it exists.
+        if (!authEmailReady) {
+            sendAuthError(res, 503, 'EMAIL_DELIVERY_NOT_CONFIGURED', 'Verification email service is not configured on this server.');
+            return;
+        }
+
+        const requested = await identityStore.requestPasswordReset({
+            email: emailInput,
+            codeTtlMs: AUTH_VERIFY_TTL_MS,
+            resendCooldownMs: AUTH_VERIFY_RESEND_COOLDOWN_MS,
+            maxSendsPerHour: AUTH_VERIFY_MAX_SENDS_PER_HOUR
+        });
+
+        // Not awaited: only real accounts reach SMTP, so waiting on it would show in the response
+        // time. A failed send is logged rather than reported.
+        resolveVerificationDelivery({
+            purpose: 'password_reset',
+            email: requested.email,
+            username: requested.username,
+            verificationCode: requested.verificationCode,
+            expiresAt: requested.expiresAt
+        }).catch((err) => {
+            console.error('[auth-email] password reset delivery failed', err && err.message ? err.message : err);
+        });
+        res.json({ ok: true, requested: true, message: AUTH_PASSWORD_RESET_MESSAGE });
+    } catch (err) {
+        // Same answer whether or not the address belongs to a resettable account.
+        const code = err && err.code ? String(err.code) : '';
+        if (
+            code === 'ACCOUNT_NOT_FOUND' ||
+            code === 'EMAIL_NOT_VERIFIED' ||
+            code === 'ACCOUNT_SUSPENDED' ||
+            code === 'VERIFICATION_RATE_LIMITED'
+        ) {
+            res.json({ ok: true, requested: true, message: AUTH_PASSWORD_RESET_MESSAGE });
+            return;
+        }
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/reset-password', async (req, res) => {
+    let throttleKey = '';
+    try {
+        if (!ensurePersistentAuthStore(res)) return;
+        const body = req.body || {};
+        const emailInput = String(body.email || '').trim();
+        const otp = String(body.otp || '').trim();
+        const password = typeof body.password === 'string' ? body.password : '';
+        const emailNorm = normalizeAuthEmail(emailInput);
+        if (!AUTH_EMAIL_RE.test(emailNorm)) {
+            sendAuthError(res, 400, 'INVALID_EMAIL', 'Invalid email.');
+            return;
+        }
+        if (!otp) {
+            sendAuthError(res, 400, 'INVALID_VERIFICATION_CODE', 'Verification code is required.');
+            return;
+        }
+        if (rejectWeakAuthPassword(res, password)) return;
+        throttleKey = authThrottleAccountKey('reset-password', emailNorm);
+        if (!checkAuthThrottle(req, res, throttleKey)) return;
+
+        const passwordHash = await hashPasswordForAuth(password);
+        const reset = await identityStore.resetPasswordWithCode({
+            email: emailInput,
+            otp,
+            passwordHash,
+            maxVerifyAttempts: AUTH_VERIFY_MAX_ATTEMPTS
+        });
+        recordAuthSuccess(throttleKey);
+        let sessionsRevoked = 0;
+        if (reset && reset.profileId) {
+            const revoked = await identityStore.revokeSessions({ profileId: reset.profileId, reason: 'password_reset' });
+            sessionsRevoked = await applySessionRevocations(reset.profileId, revoked, 'password_reset');
+        }
+        res.json({ ok: true, password_reset: true, sessionsRevoked });
+    } catch (err) {
+        if (throttleKey && err && (err.code === 'INVALID_VERIFICATION_CODE' || err.code === 'ACCOUNT_NOT_FOUND')) {
+            recordAuthFailure(req, throttleKey, 'reset-password');
+        }
+        if (err && err.code === 'ACCOUNT_NOT_FOUND') {
+            sendAuthError(res, 400, 'INVALID_VERIFICATION_CODE', 'Invalid verification code.');
+            return;
+        }
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/change-email', async (req, res) => {
+    try {
+        if (!ensurePersistentAuthStore(res)) return;
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
+            return;
+        }
+        const throttleKey = authThrottleAccountKey('change-email', authCtx.profileId);
+        if (!checkAuthThrottle(req, res, throttleKey)) return;
+        const body = req.body || {};
+        const emailInput = String(body.newEmail || '').trim();
+        const password = typeof body.password === 'string' ? body.password : '';
+        const emailNorm = normalizeAuthEmail(emailInput);
+        if (!AUTH_EMAIL_RE.test(emailNorm)) {
+            sendAuthError(res, 400, 'INVALID_EMAIL', 'Invalid email.');
+            return;
+        }
+        if (!authEmailReady) {
+            sendAuthError(res, 503, 'EMAIL_DELIVERY_NOT_CONFIGURED', 'Verification email service is not configured on this server.');
+            return;
+        }
+
+        const profileSnapshot = await identityStore.getProfileSnapshotById(authCtx.profileId);
+        const account = profileSnapshot && profileSnapshot.username
+            ? await identityStore.findAccountByLogin({ login: profileSnapshot.username })
+            : null;
+        if (!account || account.profileId !== authCtx.profileId) {
+            sendAuthError(res, 403, 'ACCOUNT_REQUIRED', 'A verified account is required.');
+            return;
+        }
+        if (!password || !(await verifyPasswordForAuth(password, account.passwordHash))) {
+            recordAuthFailure(req, throttleKey, 'change-email');
+            sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials.');
             return;
         }
+        recordAuthSuccess(throttleKey);
+
+        const requested = await identityStore.requestEmailChange({
+            profileId: authCtx.profileId,
+            newEmail: emailInput,
+            codeTtlMs: AUTH_VERIFY_TTL_MS,
+            resendCooldownMs: AUTH_VERIFY_RESEND_COOLDOWN_MS,
+            maxSendsPerHour: AUTH_VERIFY_MAX_SENDS_PER_HOUR
+        });
+        await resolveVerificationDelivery({
+            purpose: 'email_change',
+            email: requested.email,
+            username: requested.username,
+            verificationCode: requested.verificationCode,
+            expiresAt: requested.expiresAt
+        });
+        res.json({
+            ok: true,
+            verification_required: true,
+            delivery: 'email',
+            message: 'Check the new email address for a confirmation code.'
+        });
+    } catch (err) {
         mapIdentityError(res, err);
     }
 });
 
-app.post('/auth/verify-email', async (req, res) => {
+app.post('/auth/confirm-email-change', async (req, res) => {
     try {
         if (!ensurePersistentAuthStore(res)) return;
-        const body = req.body || {};
-        const emailInput = String(body.email || '').trim();
-        const otp = String(body.otp || '').trim();
-        const emailNorm = normalizeAuthEmail(emailInput);
-        if (!AUTH_EMAIL_RE.test(emailNorm)) {
-            sendAuthError(res, 400, 'INVALID_EMAIL', 'Invalid email.');
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
+        const body = req.body || {};
+        const otp = String(body.otp || '').trim();
         if (!otp) {
             sendAuthError(res, 400, 'INVALID_VERIFICATION_CODE', 'Verification code is required.');
             return;
         }
 
-        const verified = await identityStore.verifyEmailCode({
-            email: emailInput,
+        const changed = await identityStore.confirmEmailChange({
+            profileId: authCtx.profileId,
             otp,
             maxVerifyAttempts: AUTH_VERIFY_MAX_ATTEMPTS
         });
-
-        const authCtx = resolveAuthDeviceContext(req);
-        let profileSnapshot = null;
-        if (verified && verified.profileId) {
-            if (authCtx.persistentId) {
-                await identityStore.setActiveProfileForDevice({
-                    persistentId: authCtx.persistentId,
-                    profileId: verified.profileId
-                });
-            }
-            profileSnapshot = await identityStore.getProfileSnapshotById(verified.profileId);
+        res.json({ ok: true, email_changed: true, email: changed.email });
+    } catch (err) {
+        if (err && err.code === 'ACCOUNT_NOT_FOUND') {
+            sendAuthError(res, 403, 'ACCOUNT_REQUIRED', 'A verified account is required.');
+            return;
         }
+        mapIdentityError(res, err);
+    }
+});
 
-        let session = null;
-        if (authCtx.persistentId && profileSnapshot) {
-            session = issueSessionForProfile(authCtx.persistentId, profileSnapshot);
+app.post('/auth/logout', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (authCtx.tokenPayload && authCtx.tokenPayload.sid && authCtx.profileId) {
+            await identityStore.revokeSessions({
+                profileId: authCtx.profileId,
+                sessionIds: [authCtx.tokenPayload.sid],
+                reason: 'logout'
+            });
+            markSessionsRevoked([authCtx.tokenPayload.sid]);
+        }
+        if (!authCtx.persistentId) {
+            res.json({ ok: true, loggedOut: true });
+            return;
         }
 
+        const guestSnapshot = await identityStore.switchToGuestProfileForDevice({
+            persistentId: authCtx.persistentId,
+            nickname: String(body.guestNickname || (authCtx.tokenPayload && authCtx.tokenPayload.name) || 'Player')
+        });
+        const session = issueSessionForProfile(authCtx.persistentId, guestSnapshot);
         res.json({
             ok: true,
-            account_activated: true,
-            profile: profileSnapshot,
+            loggedOut: true,
+            profile: guestSnapshot,
             session
         });
     } catch (err) {
@@ -4610,87 +8153,170 @@ app.post('/auth/verify-email', async (req, res) => {
     }
 });
 
-app.post('/auth/signin', async (req, res) => {
+app.post('/auth/refresh', async (req, res) => {
     try {
-        if (!ensurePersistentAuthStore(res)) return;
         const body = req.body || {};
-        const login = String(body.email_or_username || '').trim();
-        const password = typeof body.password === 'string' ? body.password : '';
-        if (!login || !password) {
-            sendAuthError(res, 400, 'INVALID_CREDENTIALS', 'Email/username and password are required.');
+        const refreshToken = typeof body.refreshToken === 'string' ? body.refreshToken.trim() : '';
+        const sessionId = parseRefreshTokenSessionId(refreshToken);
+        if (!sessionId) {
+            sendAuthError(res, 401, 'SESSION_INVALID', 'Session expired. Sign in again.');
             return;
         }
 
-        const authCtx = resolveAuthDeviceContext(req);
-        if (!authCtx.persistentId) {
-            sendAuthError(res, 401, 'AUTH_CONTEXT_REQUIRED', 'Missing auth context. Provide currentProfileToken or persistentId.');
+        const nextRefreshToken = makeRefreshToken(sessionId);
+        let rotated;
+        try {
+            rotated = await identityStore.rotateSession({
+                sessionId,
+                refreshTokenHash: hashRefreshToken(refreshToken),
+                nextRefreshTokenHash: hashRefreshToken(nextRefreshToken),
+                ttlMs: SESSION_TTL_MS
+            });
+        } catch (err) {
+            // A rotated-out refresh token came back: treat the session as stolen.
+            if (err && err.code === 'SESSION_REUSED') {
+                console.warn(`[auth] refresh token reuse detected for session ${sessionId}`);
+                await applySessionRevocations(
+                    err.profileId,
+                    [{ id: sessionId, persistentId: err.persistentId }],
+                    'refresh_reused'
+                );
+            }
+            throw err;
+        }
+
+        const profileSnapshot = await identityStore.getProfileSnapshotById(rotated.profileId);
+        if (!profileSnapshot || profileSnapshot.isGuest) {
+            await identityStore.revokeSessions({ profileId: rotated.profileId, sessionIds: [rotated.id], reason: 'account_unlinked' });
+            markSessionsRevoked([rotated.id]);
+            sendAuthError(res, 401, 'SESSION_INVALID', 'Session expired. Sign in again.');
             return;
         }
+        res.json({
+            ok: true,
+            profile: profileSnapshot,
+            session: {
+                ...issueSessionForProfile(rotated.persistentId, profileSnapshot, rotated.id),
+                refreshToken: nextRefreshToken,
+                refreshExp: rotated.expiresAt
+            }
+        });
+    } catch (err) {
+        mapIdentityError(res, err);
+    }
+});
 
-        const account = await identityStore.findAccountByLogin({ login });
-        if (!account) {
-            sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials.');
+app.get('/auth/sessions', async (req, res) => {
+    try {
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
-        if (account.status === 'pending_verification') {
-            sendAuthError(res, 403, 'EMAIL_NOT_VERIFIED', 'Email is not verified.');
+        const list = await identityStore.listActiveSessions({ profileId: authCtx.profileId });
+        res.json({
+            ok: true,
+            sessions: list.map((row) => ({
+                id: row.id,
+                userAgent: row.userAgent,
+                ip: row.ip,
+                createdAt: row.createdAt,
+                lastUsedAt: row.lastUsedAt,
+                expiresAt: row.expiresAt,
+                current: row.id === authCtx.tokenPayload.sid
+            }))
+        });
+    } catch (err) {
+        mapIdentityError(res, err);
+    }
+});
+
+app.post('/auth/sessions/revoke', async (req, res) => {
+    try {
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
-        if (account.status === 'suspended') {
-            sendAuthError(res, 403, 'ACCOUNT_SUSPENDED', 'Account is suspended.');
+        const body = req.body || {};
+        const sessionId = typeof body.sessionId === 'string' ? body.sessionId.trim() : '';
+        if (!sessionId) {
+            sendAuthError(res, 400, 'INVALID_SESSION', 'sessionId is required.');
             return;
         }
+        const revoked = await identityStore.revokeSessions({
+            profileId: authCtx.profileId,
+            sessionIds: [sessionId],
+            reason: 'user_revoked'
+        });
+        const count = await applySessionRevocations(authCtx.profileId, revoked, 'user_revoked');
+        res.json({ ok: true, revoked: count });
+    } catch (err) {
+        mapIdentityError(res, err);
+    }
+});
 
-        const passOk = await verifyPasswordForAuth(password, account.passwordHash);
-        if (!passOk) {
-            sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid credentials.');
+app.post('/auth/logout-all', async (req, res) => {
+    try {
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
-        if (!account.profileId) {
-            sendAuthError(res, 500, 'ACCOUNT_LINK_CORRUPT', 'Account profile link is missing.');
-            return;
+        const revoked = await identityStore.revokeSessions({ profileId: authCtx.profileId, reason: 'logout_all' });
+        const count = await applySessionRevocations(authCtx.profileId, revoked, 'logout_all');
+
+        let profile = null;
+        let session = null;
+        if (authCtx.persistentId) {
+            profile = await identityStore.switchToGuestProfileForDevice({
+                persistentId: authCtx.persistentId,
+                nickname: String((authCtx.tokenPayload && authCtx.tokenPayload.name) || 'Player')
+            });
+            session = issueSessionForProfile(authCtx.persistentId, profile);
         }
+        res.json({ ok: true, loggedOut: true, revoked: count, profile, session });
+    } catch (err) {
+        mapIdentityError(res, err);
+    }
+});
 
-        await identityStore.setActiveProfileForDevice({
-            persistentId: authCtx.persistentId,
-            profileId: account.profileId
-        });
-        const profileSnapshot = await identityStore.getProfileSnapshotById(account.profileId);
-        if (!profileSnapshot) {
-            sendAuthError(res, 500, 'PROFILE_RESOLUTION_FAILED', 'Could not resolve account profile.');
+app.get('/profile/history', async (req, res) => {
+    try {
+        const authCtx = await resolveAuthDeviceContext(req);
+        if (!authCtx.tokenPayload || !authCtx.profileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
-        const session = issueSessionForProfile(authCtx.persistentId, profileSnapshot);
-        res.json({
-            ok: true,
-            profile: profileSnapshot,
-            session
-        });
+        const limit = Number(req.query.limit);
+        const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : '';
+        res.json(await loadProfileHistoryPage(authCtx.profileId, limit, cursor));
     } catch (err) {
         mapIdentityError(res, err);
     }
 });
 
-app.post('/auth/logout', async (req, res) => {
+// Public board; a valid session token adds "my rank" and unlocks the friends filter.
+app.get('/leaderboard', async (req, res) => {
+    if (!allowWindowCounter(leaderboardGuards, getRequestIp(req), LEADERBOARD_IP_WINDOW_MS, MAX_LEADERBOARD_PER_IP_WINDOW)) {
+        res.status(429).json({ ok: false, error: 'RATE_LIMITED', message: 'Too many leaderboard requests. Please wait.' });
+        return;
+    }
     try {
-        const body = req.body || {};
-        const authCtx = resolveAuthDeviceContext(req);
-        if (!authCtx.persistentId) {
-            res.json({ ok: true, loggedOut: true });
+        const authCtx = await resolveAuthDeviceContext(req);
+        const viewerProfileId = authCtx.tokenPayload && authCtx.profileId ? authCtx.profileId : null;
+        const friendsOnly = req.query.friends === '1' || req.query.friends === 'true';
+        if (friendsOnly && !viewerProfileId) {
+            sendAuthError(res, 401, 'AUTH_REQUIRED', 'Sign in required.');
             return;
         }
-
-        const guestSnapshot = await identityStore.switchToGuestProfileForDevice({
-            persistentId: authCtx.persistentId,
-            nickname: String(body.guestNickname || (authCtx.tokenPayload && authCtx.tokenPayload.name) || 'Player')
-        });
-        const session = issueSessionForProfile(authCtx.persistentId, guestSnapshot);
-        res.json({
-            ok: true,
-            loggedOut: true,
-            profile: guestSnapshot,
-            session
-        });
+        res.json(await loadLeaderboardPage(viewerProfileId, {
+            metric: req.query.metric,
+            window: req.query.window,
+            limit: Number(req.query.limit),
+            offset: Number(req.query.offset),
+            friendsOnly
+        }));
     } catch (err) {
         mapIdentityError(res, err);
     }
@@ -4703,7 +8329,197 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.all('/admin/simulate-suspicion', (req, res) => {
+// ==================== ADMIN AUTH ====================
+const adminLoginGuards = {}; // ip -> { start, count }
+
+function adminTokenMatches(given, expected) {
+    if (!given || !expected) return false;
+    const a = crypto.createHash('sha256').update(String(given)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function resolveAdminRoleForToken(token) {
+    // Check both so the response time does not reveal which role a token was close to.
+    const isOperator = adminTokenMatches(token, ADMIN_OPERATOR_TOKEN);
+    const isViewer = adminTokenMatches(token, ADMIN_VIEWER_TOKEN);
+    if (isOperator) return 'operator';
+    if (isViewer) return 'viewer';
+    return null;
+}
+
+function signAdminPayload(payloadB64) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(`admin:${payloadB64}`).digest('base64url');
+}
+
+function issueAdminSessionToken(role) {
+    const payload = {
+        role,
+        exp: Date.now() + ADMIN_SESSION_TTL_MS,
+        nonce: crypto.randomBytes(12).toString('hex')
+    };
+    const payloadB64 = toBase64Url(JSON.stringify(payload));
+    return { token: `${payloadB64}.${signAdminPayload(payloadB64)}`, role, expiresAt: payload.exp };
+}
+
+function verifyAdminSessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+    const a = Buffer.from(parts[1]);
+    const b = Buffer.from(signAdminPayload(parts[0]));
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(parts[0]));
+    } catch (_) {
+        return null;
+    }
+    if (!payload || !ADMIN_ROLE_LEVELS[payload.role]) return null;
+    if (!payload.exp || Date.now() > payload.exp) return null;
+    return payload;
+}
+
+function readRequestCookie(req, name) {
+    const raw = req && req.headers ? String(req.headers.cookie || '') : '';
+    if (!raw) return '';
+    for (const part of raw.split(';')) {
+        const idx = part.indexOf('=');
+        if (idx < 0) continue;
+        if (part.slice(0, idx).trim() !== name) continue;
+        try {
+            return decodeURIComponent(part.slice(idx + 1).trim());
+        } catch (_) {
+            return '';
+        }
+    }
+    return '';
+}
+
+function setAdminSessionCookie(res, token, maxAgeMs) {
+    const parts = [
+        `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(token || '')}`,
+        'Path=/admin',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.max(0, Math.floor((maxAgeMs || 0) / 1000))}`
+    ];
+    if (!IS_DEV_MODE) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function getRequestIp(req) {
+    return resolveClientIp(
+        req && req.headers ? req.headers['x-forwarded-for'] : '',
+        req && req.socket ? req.socket.remoteAddress : ''
+    );
+}
+
+function resolveAdminRequest(req) {
+    const hdr = req && req.headers ? req.headers.authorization : '';
+    const bearer = (typeof hdr === 'string' && hdr.toLowerCase().startsWith('bearer ')) ? hdr.slice(7).trim() : '';
+    const session = verifyAdminSessionToken(bearer || readRequestCookie(req, ADMIN_SESSION_COOKIE));
+    if (session) return { role: session.role, via: bearer ? 'bearer' : 'cookie' };
+    if (!ADMIN_AUTH_CONFIGURED && IS_DEV_MODE) return { role: 'operator', via: 'dev_open' };
+    return null;
+}
+
+function appendAdminAudit(req, res, admin, extra = {}) {
+    appendJsonl(ADMIN_AUDIT_FILE, {
+        ts: Date.now(),
+        ip: getRequestIp(req),
+        method: req.method,
+        path: req.path,
+        query: req.query && Object.keys(req.query).length > 0 ? req.query : undefined,
+        role: admin ? admin.role : null,
+        via: admin ? admin.via : null,
+        status: res.statusCode,
+        ...extra
+    });
+}
+
+function requireAdmin(minRole) {
+    const minLevel = ADMIN_ROLE_LEVELS[minRole] || ADMIN_ROLE_LEVELS.operator;
+    return (req, res, next) => {
+        const admin = resolveAdminRequest(req);
+        res.on('finish', () => appendAdminAudit(req, res, admin));
+        if (!admin) {
+            if (!ADMIN_AUTH_CONFIGURED) {
+                res.status(503).json({ ok: false, error: 'ADMIN_AUTH_NOT_CONFIGURED', message: 'Admin access is not configured.' });
+                return;
+            }
+            res.status(401).json({ ok: false, error: 'ADMIN_AUTH_REQUIRED', message: 'Admin login required.' });
+            return;
+        }
+        if ((ADMIN_ROLE_LEVELS[admin.role] || 0) < minLevel) {
+            res.status(403).json({ ok: false, error: 'ADMIN_ROLE_DENIED', message: `Requires ${minRole} role.` });
+            return;
+        }
+        req.admin = admin;
+        next();
+    };
+}
+
+function maskAdminIdentifier(value) {
+    const str = String(value === undefined || value === null ? '' : value);
+    if (!str) return str;
+    return str.length <= 4 ? '****' : `${str.slice(0, 4)}****`;
+}
+
+function redactAdminPayload(value, depth = 0) {
+    if (depth > 8 || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map((v) => redactAdminPayload(v, depth + 1));
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => {
+        out[key] = ADMIN_VIEWER_REDACTED_KEYS.has(key) && (typeof v === 'string' || typeof v === 'number')
+            ? maskAdminIdentifier(v)
+            : redactAdminPayload(v, depth + 1);
+    });
+    return out;
+}
+
+function adminPayloadForRole(req, payload) {
+    return req.admin && req.admin.role === 'operator' ? payload : redactAdminPayload(payload);
+}
+
+app.post('/admin/login', (req, res) => {
+    const ip = getRequestIp(req);
+    if (!allowWindowCounter(adminLoginGuards, ip, ADMIN_LOGIN_WINDOW_MS, MAX_ADMIN_LOGIN_PER_IP_WINDOW)) {
+        res.status(429).json({ ok: false, error: 'RATE_LIMITED', message: 'Too many login attempts. Please wait.' });
+        appendAdminAudit(req, res, null, { outcome: 'rate_limited' });
+        return;
+    }
+    if (!ADMIN_AUTH_CONFIGURED) {
+        res.status(503).json({ ok: false, error: 'ADMIN_AUTH_NOT_CONFIGURED', message: 'Admin access is not configured.' });
+        appendAdminAudit(req, res, null, { outcome: 'not_configured' });
+        return;
+    }
+    const token = req.body && typeof req.body.token === 'string' ? req.body.token.trim() : '';
+    const role = resolveAdminRoleForToken(token);
+    if (!role) {
+        res.status(401).json({ ok: false, error: 'ADMIN_LOGIN_FAILED', message: 'Invalid admin token.' });
+        appendAdminAudit(req, res, null, { outcome: 'login_failed' });
+        return;
+    }
+    const session = issueAdminSessionToken(role);
+    setAdminSessionCookie(res, session.token, ADMIN_SESSION_TTL_MS);
+    res.json({ ok: true, role, expiresAt: session.expiresAt, token: session.token });
+    appendAdminAudit(req, res, { role, via: 'login' }, { outcome: 'login_ok' });
+    console.log(`[admin] ${role} login from ${ip}`);
+});
+
+app.post('/admin/logout', (req, res) => {
+    const admin = resolveAdminRequest(req);
+    setAdminSessionCookie(res, '', 0);
+    res.json({ ok: true });
+    appendAdminAudit(req, res, admin, { outcome: 'logout' });
+});
+
+app.get('/admin/session', requireAdmin('viewer'), (req, res) => {
+    res.json({ ok: true, role: req.admin.role, via: req.admin.via });
+});
+
+app.all('/admin/simulate-suspicion', requireAdmin('operator'), (req, res) => {
     if (!IS_DEV_MODE) {
         res.status(403).json({ ok: false, message: 'Disabled in production' });
         return;
@@ -4745,7 +8561,7 @@ app.all('/admin/simulate-suspicion', (req, res) => {
     res.json(result);
 });
 
-app.get('/admin/logs', (req, res) => {
+app.get('/admin/logs', requireAdmin('viewer'), (req, res) => {
     const prettyParam = String(req.query.pretty || '').toLowerCase();
     const prettyJson = prettyParam === '1' || prettyParam === 'true' || prettyParam === 'yes';
     const format = String(req.query.format || 'json').toLowerCase();
@@ -4778,13 +8594,14 @@ app.get('/admin/logs', (req, res) => {
         return true;
     };
 
-    const payload = { ok: true, mode: ANTI_CHEAT_MODE, filters: {
+    let payload = { ok: true, mode: ANTI_CHEAT_MODE, filters: {
         type, limit, fromTs, toTs, roomCode: filterRoomCode || null, playerKey: filterPlayerKey || null, reason: filterReason || null
     } };
 
     if (type === 'recent' || type === 'all') payload.recent = readJsonl(ANTI_CHEAT_RECENT_FILE, limit, accept).reverse();
     if (type === 'escalations' || type === 'all') payload.escalations = readJsonl(ANTI_CHEAT_ESCALATIONS_FILE, limit, accept).reverse();
     if (type === 'snapshots' || type === 'all') payload.snapshots = readJsonl(ANTI_CHEAT_SNAPSHOTS_FILE, limit, accept).reverse();
+    payload = adminPayloadForRole(req, payload);
 
     if (format === 'csv') {
         const rows = [];
@@ -4824,7 +8641,7 @@ app.get('/admin/logs', (req, res) => {
     res.json(payload);
 });
 
-app.get('/admin/stats', (req, res) => {
+app.get('/admin/stats', requireAdmin('viewer'), (req, res) => {
     const now = Date.now();
     const prettyParam = String(req.query.pretty || '').toLowerCase();
     const prettyJson = prettyParam === '1' || prettyParam === 'true' || prettyParam === 'yes';
@@ -4858,6 +8675,7 @@ app.get('/admin/stats', (req, res) => {
     const liveRooms = roomEntries.filter(([, room]) => room && room.state === 'playing').length;
     const connectedSockets = io.engine && typeof io.engine.clientsCount === 'number' ? io.engine.clientsCount : 0;
     const playersInRooms = roomEntries.reduce((sum, [, room]) => sum + Object.keys(room.players || {}).length, 0);
+    const spectatorsInRooms = roomEntries.reduce((sum, [, room]) => sum + countRoomSpectators(room), 0);
     const roomSummaries = buildRoomSnapshot(now);
     const topPlayers = Object.values(antiCheatMetrics.players)
         .sort((a, b) => b.strikes - a.strikes)
@@ -4874,6 +8692,10 @@ app.get('/admin/stats', (req, res) => {
         activeRooms,
         liveRooms,
         playersInRooms,
+        spectatorsInRooms,
+        quickQueue: buildQuickQueueStats(),
+        authThrottle: buildAuthThrottleStats(),
+        tickCost: buildTickCostStats(),
         antiCheat: {
             mode: ANTI_CHEAT_MODE,
             config: {
@@ -4901,13 +8723,88 @@ app.get('/admin/stats', (req, res) => {
         },
         rooms: roomSummaries
     };
+    const body = adminPayloadForRole(req, payload);
     if (prettyJson) {
-        res.type('application/json').send(JSON.stringify(payload, null, 2));
+        res.type('application/json').send(JSON.stringify(body, null, 2));
         return;
     }
-    res.json(payload);
+    res.json(body);
+});
+
+app.get('/admin/replays', requireAdmin('viewer'), (req, res) => {
+    const limitRaw = Number(req.query.limit);
+    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(500, Math.floor(limitRaw))) : 50;
+    const filterRoomCode = typeof req.query.roomCode === 'string' ? req.query.roomCode.trim() : '';
+    const filterMatchId = typeof req.query.matchId === 'string' ? req.query.matchId.trim() : '';
+    const replays = readJsonl(REPLAY_INDEX_FILE, limit, (e) => {
+        if (!e || !e.matchId) return false;
+        if (filterRoomCode && e.roomCode !== filterRoomCode) return false;
+        if (filterMatchId && e.matchId !== filterMatchId) return false;
+        return true;
+    }).reverse().map((e) => ({
+        ...e,
+        available: fs.existsSync(replayFilePath(e.matchId)),
+        downloadUrl: `/admin/replays/${encodeURIComponent(e.matchId)}/download`
+    }));
+    res.json({
+        ok: true,
+        recording: Object.values(roomReplays).map((r) => ({
+            matchId: r.matchId,
+            roomCode: r.roomCode,
+            startedAt: r.startedAt,
+            frames: r.frames,
+            skippedFrames: r.skippedFrames,
+            events: r.events
+        })),
+        replays
+    });
+});
+
+app.get('/admin/maps', requireAdmin('viewer'), (req, res) => {
+    res.json({
+        ok: true,
+        dir: mapCatalog.dir,
+        loadedAt: mapCatalog.loadedAt,
+        maps: MAPS.map((key) => {
+            const map = MAP_CONFIGS[key];
+            return {
+                key,
+                name: map.name,
+                file: map.file,
+                objects: map.objects.length,
+                colliders: map.objects.filter((o) => MAP_COLLIDER_TYPES.includes(o.type)).length,
+                playerSpawns: map.playerSpawns.length,
+                buffSpawns: map.buffSpawns.length,
+                hillZones: map.hillZones ? map.hillZones.length : null,
+                teamSpawns: map.teamSpawns
+                    ? Object.fromEntries(TEAMS.map((team) => [team, map.teamSpawns[team].length]))
+                    : null
+            };
+        }),
+        rejected: mapCatalog.rejected
+    });
+});
+
+// Replays carry persistent ids and full positions, so downloads stay operator-only.
+app.get('/admin/replays/:matchId/download', requireAdmin('operator'), (req, res) => {
+    const matchId = String(req.params.matchId || '').trim();
+    if (!/^[0-9a-f-]{36}$/i.test(matchId)) {
+        res.status(400).json({ ok: false, error: 'INVALID_MATCH_ID', message: 'Invalid match id.' });
+        return;
+    }
+    const file = replayFilePath(matchId);
+    if (!fs.existsSync(file)) {
+        res.status(404).json({ ok: false, error: 'REPLAY_NOT_FOUND', message: 'Replay not found.' });
+        return;
+    }
+    const entry = readJsonl(REPLAY_INDEX_FILE, 2000, (e) => e && e.matchId === matchId).pop();
+    const roomPart = entry && entry.roomCode ? `${entry.roomCode}-` : '';
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="replay-${roomPart}${matchId}.jsonl.gz"`);
+    fs.createReadStream(file).pipe(res);
 });
 
+// The dashboard page is only a login shell; every data call behind it goes through requireAdmin.
 app.get('/admin/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
 });
@@ -4929,10 +8826,17 @@ function logServerBanner() {
 }
 
 async function startServer() {
+    if (!ADMIN_AUTH_CONFIGURED) {
+        console.warn(IS_DEV_MODE
+            ? '[admin] ADMIN_OPERATOR_TOKEN/ADMIN_VIEWER_TOKEN not set; admin routes are open in dev mode'
+            : '[admin] ADMIN_OPERATOR_TOKEN/ADMIN_VIEWER_TOKEN not set; admin routes are disabled');
+    }
     try {
         await identityStore.init();
         const identityMeta = identityStore.describe();
         console.log(`[identity] store mode: ${identityMeta.mode}`);
+        const revokedCount = await loadRevokedSessionIds();
+        if (revokedCount) console.log(`[identity] reloaded ${revokedCount} recently revoked session(s)`);
     } catch (e) {
         console.error('[identity] failed to initialize store', e && e.message ? e.message : e);
         process.exit(1);
@@ -0,0 +1,360 @@
+// Binary stateUpdate encoding. Clients opt in per socket; everyone else keeps the JSON stream.
+//
+// Version 1 layout (little-endian):
+//   u8 version | u8 flags (1 snapshot, 2 teamScores, 4 hills) | f64 serverTime | u32 remainingMs
+//   [u16 red, u16 blue]                       when flags & 2
+//   u16 newIdCount, then (u16 index, str id)  ids introduced by this packet
+//   players, projectiles, buffs[, hills] sections:
+//     u16 upsertCount, then (u16 index, mask, [bool bits], field values in schema order)
+//     u16 removedCount, then u16 index
+// Entity ids become u16 indices. The table restarts on every snapshot, so it stays small and a
+// client that missed packets recovers at the next snapshot like it does with JSON. Strings are
+// u8 length + utf8. Times (expiries, takenTime, movesAt) are i32 ms from serverTime, 0 = unset.
+//
+// Any change to a schema or a quantization step needs a new version number: add its sections to
+// LAYOUTS and keep the old entries so clients that negotiated them still decode.
+
+const NO_REF = 0xffff;
+
+const POS_SCALE = 20; // 0.05 px; covers 0..3276 px
+const VEL_SCALE = 10; // 0.1 px/s
+const ANGLE_SCALE = 32767 / Math.PI;
+const TEAM_CODES = [null, 'red', 'blue'];
+const BUFF_CODES = ['health', 'shield', 'invis', 'speed'];
+
+const PLAYER_SCHEMA = [
+    ['name', 'str'],
+    ['x', 'pos'],
+    ['y', 'pos'],
+    ['angle', 'angle'],
+    ['hp', 'u8'],
+    ['maxHp', 'u8'],
+    ['kills', 'u16'],
+    ['deaths', 'u16'],
+    ['killstreak', 'u16'],
+    ['hasShield', 'bool'],
+    ['invisible', 'bool'],
+    ['speedBoost', 'bool'],
+    ['shieldExpire', 'time'],
+    ['invisExpire', 'time'],
+    ['speedExpire', 'time'],
+    ['charging', 'bool'],
+    ['team', 'team'],
+    ['hillScore', 'u16'],
+    ['hidden', 'bool'],
+    ['lastProcessedInput', 'u32'],
+    ['isBot', 'bool']
+];
+const PROJECTILE_SCHEMA = [
+    ['ownerId', 'ref'],
+    ['x', 'pos'],
+    ['y', 'pos'],
+    ['vx', 'vel'],
+    ['vy', 'vel'],
+    ['angle', 'angle'],
+    ['color', 'str']
+];
+const BUFF_SCHEMA = [
+    ['x', 'pos'],
+    ['y', 'pos'],
+    ['type', 'buff'],
+    ['active', 'bool'],
+    ['takenTime', 'time']
+];
+const HILL_SCHEMA = [
+    ['x', 'pos'],
+    ['y', 'pos'],
+    ['radius', 'u16'],
+    ['ownerId', 'ref'],
+    ['progress', 'pct'],
+    ['contested', 'bool'],
+    ['occupants', 'u8'],
+    ['movesAt', 'time']
+];
+
+function maskBytes(schema) {
+    if (schema.length <= 8) return 1;
+    return schema.length <= 16 ? 2 : 4;
+}
+
+function boolFields(schema) {
+    return schema.filter(([, type]) => type === 'bool').map(([field]) => field);
+}
+
+function buildSections(sections) {
+    return sections.map((section) => ({
+        ...section,
+        maskBytes: maskBytes(section.schema),
+        bools: boolFields(section.schema)
+    }));
+}
+
+// version -> section layout
+const LAYOUTS = new Map([
+    [1, buildSections([
+        { key: 'players', schema: PLAYER_SCHEMA },
+        { key: 'projectiles', schema: PROJECTILE_SCHEMA },
+        { key: 'buffs', schema: BUFF_SCHEMA },
+        { key: 'hills', schema: HILL_SCHEMA, optional: true }
+    ])]
+]);
+const STATE_CODEC_VERSIONS = Array.from(LAYOUTS.keys()).sort((a, b) => a - b);
+
+function layoutFor(version) {
+    const sections = LAYOUTS.get(version);
+    if (!sections) throw new Error(`STATE_CODEC_UNSUPPORTED_VERSION:${version}`);
+    return sections;
+}
+
+// Per-socket id table, shared by encoder and decoder. Both reset it on snapshots.
+function createStateCodecContext() {
+    return {
+        ids: new Map(), // id -> index (encoder)
+        names: [] // index -> id (decoder)
+    };
+}
+
+function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+}
+
+function normalizeAngle(a) {
+    let out = Number(a) || 0;
+    while (out > Math.PI) out -= Math.PI * 2;
+    while (out < -Math.PI) out += Math.PI * 2;
+    return out;
+}
+
+function createWriter() {
+    let buf = Buffer.allocUnsafe(1024);
+    let offset = 0;
+    const ensure = (n) => {
+        if (offset + n <= buf.length) return;
+        const next = Buffer.allocUnsafe(Math.max(buf.length * 2, offset + n));
+        buf.copy(next, 0, 0, offset);
+        buf = next;
+    };
+    return {
+        u8(v) { ensure(1); buf.writeUInt8(v, offset); offset += 1; },
+        u16(v) { ensure(2); buf.writeUInt16LE(v, offset); offset += 2; },
+        i16(v) { ensure(2); buf.writeInt16LE(v, offset); offset += 2; },
+        u32(v) { ensure(4); buf.writeUInt32LE(v, offset); offset += 4; },
+        i32(v) { ensure(4); buf.writeInt32LE(v, offset); offset += 4; },
+        f64(v) { ensure(8); buf.writeDoubleLE(v, offset); offset += 8; },
+        str(v) {
+            const bytes = Buffer.from(String(v === null || v === undefined ? '' : v), 'utf8').subarray(0, 255);
+            ensure(1 + bytes.length);
+            buf.writeUInt8(bytes.length, offset);
+            bytes.copy(buf, offset + 1);
+            offset += 1 + bytes.length;
+        },
+        mask(v, bytes) {
+            if (bytes === 1) this.u8(v);
+            else if (bytes === 2) this.u16(v);
+            else this.u32(v >>> 0);
+        },
+        // Reserves a u16 and returns a setter, for counts only known after the loop.
+        u16Later() {
+            ensure(2);
+            const at = offset;
+            offset += 2;
+            return (v) => buf.writeUInt16LE(v, at);
+        },
+        done() { return buf.subarray(0, offset); }
+    };
+}
+
+function createReader(input) {
+    const buf = Buffer.isBuffer(input) ? input : Buffer.from(input instanceof ArrayBuffer ? input : input.buffer);
+    let offset = 0;
+    const take = (n) => {
+        if (offset + n > buf.length) throw new Error('STATE_CODEC_TRUNCATED');
+        const at = offset;
+        offset += n;
+        return at;
+    };
+    return {
+        u8() { return buf.readUInt8(take(1)); },
+        u16() { return buf.readUInt16LE(take(2)); },
+        i16() { return buf.readInt16LE(take(2)); },
+        u32() { return buf.readUInt32LE(take(4)); },
+        i32() { return buf.readInt32LE(take(4)); },
+        f64() { return buf.readDoubleLE(take(8)); },
+        str() {
+            const len = buf.readUInt8(take(1));
+            const at = take(len);
+            return buf.toString('utf8', at, at + len);
+        },
+        mask(bytes) {
+            if (bytes === 1) return this.u8();
+            if (bytes === 2) return this.u16();
+            return this.u32();
+        }
+    };
+}
+
+// Writes the layout of the version the socket negotiated; the newest one when none is given.
+function encodeStateUpdate(payload, ctx, version = STATE_CODEC_VERSIONS[STATE_CODEC_VERSIONS.length - 1]) {
+    const sections = layoutFor(version);
+    const isSnapshot = payload.mode === 'snapshot';
+    if (isSnapshot) {
+        ctx.ids = new Map();
+    }
+    const hasHills = isSnapshot ? Array.isArray(payload.hills) : !!payload.hillsDelta;
+    const w = createWriter();
+    const serverTime = Number(payload.serverTime) || 0;
+    w.u8(version);
+    w.u8((isSnapshot ? 1 : 0) | (payload.teamScores ? 2 : 0) | (hasHills ? 4 : 0));
+    w.f64(serverTime);
+    w.u32(clamp(Math.round(Number(payload.remainingMs) || 0), 0, 0xffffffff));
+    if (payload.teamScores) {
+        w.u16(clamp(payload.teamScores.red || 0, 0, 0xffff));
+        w.u16(clamp(payload.teamScores.blue || 0, 0, 0xffff));
+    }
+
+    // Ids are collected while the body is written, then the table goes in front of it.
+    const fresh = [];
+    const indexOf = (id) => {
+        const key = String(id);
+        if (ctx.ids.has(key)) return ctx.ids.get(key);
+        const index = ctx.ids.size;
+        if (index >= NO_REF) throw new Error('STATE_CODEC_ID_OVERFLOW');
+        ctx.ids.set(key, index);
+        fresh.push([index, key]);
+        return index;
+    };
+
+    const body = createWriter();
+    const writeValue = (type, value) => {
+        switch (type) {
+            case 'str': body.str(value); break;
+            case 'pos': body.u16(clamp(Math.round((Number(value) || 0) * POS_SCALE), 0, 0xffff)); break;
+            case 'vel': body.i16(clamp(Math.round((Number(value) || 0) * VEL_SCALE), -32768, 32767)); break;
+            case 'angle': body.i16(clamp(Math.round(normalizeAngle(value) * ANGLE_SCALE), -32767, 32767)); break;
+            case 'u8': body.u8(clamp(Math.round(Number(value) || 0), 0, 0xff)); break;
+            case 'u16': body.u16(clamp(Math.round(Number(value) || 0), 0, 0xffff)); break;
+            case 'u32': body.u32(clamp(Math.round(Number(value) || 0), 0, 0xffffffff)); break;
+            case 'pct': body.u8(clamp(Math.round((Number(value) || 0) * 100), 0, 100)); break;
+            case 'time': {
+                const t = Number(value) || 0;
+                body.i32(t ? (clamp(Math.round(t - serverTime), -0x7fffffff, 0x7fffffff) || 1) : 0);
+                break;
+            }
+            case 'team': body.u8(Math.max(0, TEAM_CODES.indexOf(value || null))); break;
+            case 'buff': body.u8(Math.max(0, BUFF_CODES.indexOf(value))); break;
+            case 'ref': body.u16(value === null || value === undefined ? NO_REF : indexOf(value)); break;
+            default: throw new Error(`STATE_CODEC_BAD_TYPE:${type}`);
+        }
+    };
+
+    sections.forEach((section) => {
+        if (section.optional && !hasHills) return;
+        const upserts = isSnapshot ? (payload[section.key] || []) : ((payload[`${section.key}Delta`] || {}).upserts || []);
+        const removed = isSnapshot ? [] : ((payload[`${section.key}Delta`] || {}).removed || []);
+        body.u16(upserts.length);
+        upserts.forEach((entity) => {
+            body.u16(indexOf(entity.id));
+            let mask = 0;
+            let boolBits = 0;
+            section.schema.forEach(([field], bit) => {
+                if (entity[field] !== undefined) mask |= (1 << bit);
+            });
+            section.bools.forEach((field, bit) => {
+                if (entity[field]) boolBits |= (1 << bit);
+            });
+            body.mask(mask, section.maskBytes);
+            if (section.bools.some((field) => entity[field] !== undefined)) body.u8(boolBits);
+            section.schema.forEach(([field, type]) => {
+                if (type === 'bool' || entity[field] === undefined) return;
+                writeValue(type, entity[field]);
+            });
+        });
+        body.u16(removed.length);
+        removed.forEach((id) => body.u16(indexOf(id)));
+    });
+
+    w.u16(fresh.length);
+    fresh.forEach(([index, id]) => {
+        w.u16(index);
+        w.str(id);
+    });
+    const head = w.done();
+    const tail = body.done();
+    return Buffer.concat([head, tail], head.length + tail.length);
+}
+
+// Rebuilds the JSON-shaped payload (snapshot lists or *Delta upserts/removed) from a packet,
+// using the layout named by its version byte.
+function decodeStateUpdate(input, ctx) {
+    const r = createReader(input);
+    const sections = layoutFor(r.u8());
+    const flags = r.u8();
+    const isSnapshot = !!(flags & 1);
+    if (isSnapshot) ctx.names = [];
+    const serverTime = r.f64();
+    const payload = {
+        mode: isSnapshot ? 'snapshot' : 'delta',
+        serverTime,
+        remainingMs: r.u32()
+    };
+    if (flags & 2) payload.teamScores = { red: r.u16(), blue: r.u16() };
+    const newIds = r.u16();
+    for (let i = 0; i < newIds; i++) {
+        const index = r.u16();
+        ctx.names[index] = r.str();
+    }
+    const nameOf = (index) => (index === NO_REF ? null : (ctx.names[index] !== undefined ? ctx.names[index] : null));
+
+    const readValue = (type) => {
+        switch (type) {
+            case 'str': return r.str();
+            case 'pos': return r.u16() / POS_SCALE;
+            case 'vel': return r.i16() / VEL_SCALE;
+            case 'angle': return r.i16() / ANGLE_SCALE;
+            case 'u8': return r.u8();
+            case 'u16': return r.u16();
+            case 'u32': return r.u32();
+            case 'pct': return r.u8() / 100;
+            case 'time': {
+                const dt = r.i32();
+                return dt ? serverTime + dt : 0;
+            }
+            case 'team': return TEAM_CODES[r.u8()] || null;
+            case 'buff': return BUFF_CODES[r.u8()] || null;
+            case 'ref': return nameOf(r.u16());
+            default: throw new Error(`STATE_CODEC_BAD_TYPE:${type}`);
+        }
+    };
+
+    sections.forEach((section) => {
+        if (section.optional && !(flags & 4)) return;
+        const upserts = [];
+        const count = r.u16();
+        for (let i = 0; i < count; i++) {
+            const entity = { id: nameOf(r.u16()) };
+            const mask = r.mask(section.maskBytes);
+            const hasBools = section.bools.some((field) => mask & (1 << section.schema.findIndex(([f]) => f === field)));
+            const boolBits = hasBools ? r.u8() : 0;
+            section.schema.forEach(([field, type], bit) => {
+                if (!(mask & (1 << bit))) return;
+                entity[field] = type === 'bool'
+                    ? !!(boolBits & (1 << section.bools.indexOf(field)))
+                    : readValue(type);
+            });
+            upserts.push(entity);
+        }
+        const removed = [];
+        const removedCount = r.u16();
+        for (let i = 0; i < removedCount; i++) removed.push(nameOf(r.u16()));
+        if (isSnapshot) payload[section.key] = upserts;
+        else payload[`${section.key}Delta`] = { upserts, removed };
+    });
+    return payload;
+}
+
+module.exports = {
+    STATE_CODEC_VERSIONS,
+    createStateCodecContext,
+    encodeStateUpdate,
+    decodeStateUpdate
+};
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STATE_CODEC_VERSIONS,
+    createStateCodecContext,
+    encodeStateUpdate,
+    decodeStateUpdate
+} = require('../state-codec');
+
+const SERVER_TIME = 1700000000000;
+
+function snapshotPayload() {
+    return {
+        mode: 'snapshot',
+        serverTime: SERVER_TIME,
+        remainingMs: 65000,
+        teamScores: { red: 4, blue: 7 },
+        players: [
+            {
+                id: 'sock-a',
+                name: 'Ann',
+                x: 120.5,
+                y: 980.25,
+                angle: 1.5,
+                hp: 3,
+                maxHp: 3,
+                kills: 2,
+                deaths: 1,
+                killstreak: 2,
+                hasShield: true,
+                invisible: false,
+                shieldExpire: SERVER_TIME + 4000,
+                team: 'red',
+                lastProcessedInput: 812,
+                isBot: false
+            },
+            { id: 'bot-1', name: 'Bot', x: 2000, y: 400, hp: 1, team: 'blue', isBot: true }
+        ],
+        projectiles: [
+            { id: 'p1', ownerId: 'sock-a', x: 300, y: 310, vx: 850.3, vy: -120.7, angle: -0.25, color: '#ff0000' }
+        ],
+        buffs: [
+            { id: 'b1', x: 1500, y: 1000, type: 'shield', active: false, takenTime: SERVER_TIME - 2500 }
+        ],
+        hills: [
+            { id: 'hill', x: 1500, y: 1000, radius: 150, ownerId: 'bot-1', progress: 0.42, contested: true, occupants: 2, movesAt: SERVER_TIME + 30000 }
+        ]
+    };
+}
+
+test('snapshot round-trips through every supported version', () => {
+    STATE_CODEC_VERSIONS.forEach((version) => {
+        const encoded = encodeStateUpdate(snapshotPayload(), createStateCodecContext(), version);
+        assert.equal(encoded[0], version);
+
+        const decoded = decodeStateUpdate(encoded, createStateCodecContext());
+        assert.equal(decoded.mode, 'snapshot');
+        assert.equal(decoded.serverTime, SERVER_TIME);
+        assert.equal(decoded.remainingMs, 65000);
+        assert.deepEqual(decoded.teamScores, { red: 4, blue: 7 });
+
+        const [ann, bot] = decoded.players;
+        assert.equal(ann.id, 'sock-a');
+        assert.equal(ann.name, 'Ann');
+        assert.equal(ann.x, 120.5);
+        assert.equal(ann.y, 980.25);
+        assert.ok(Math.abs(ann.angle - 1.5) < 0.001);
+        assert.equal(ann.hasShield, true);
+        assert.equal(ann.invisible, false);
+        assert.equal(ann.shieldExpire, SERVER_TIME + 4000);
+        assert.equal(ann.team, 'red');
+        assert.equal(ann.lastProcessedInput, 812);
+        assert.equal(bot.isBot, true);
+        assert.equal(bot.team, 'blue');
+        assert.equal('kills' in bot, false);
+
+        const [proj] = decoded.projectiles;
+        assert.equal(proj.ownerId, 'sock-a');
+        assert.ok(Math.abs(proj.vx - 850.3) < 0.1);
+        assert.ok(Math.abs(proj.vy + 120.7) < 0.1);
+        assert.equal(proj.color, '#ff0000');
+
+        assert.deepEqual(decoded.buffs, [
+            { id: 'b1', x: 1500, y: 1000, type: 'shield', active: false, takenTime: SERVER_TIME - 2500 }
+        ]);
+        assert.deepEqual(decoded.hills, [
+            { id: 'hill', x: 1500, y: 1000, radius: 150, ownerId: 'bot-1', progress: 0.42, contested: true, occupants: 2, movesAt: SERVER_TIME + 30000 }
+        ]);
+    });
+});
+
+test('deltas reuse the id table from the last snapshot', () => {
+    const encoder = createStateCodecContext();
+    const decoder = createStateCodecContext();
+    decodeStateUpdate(encodeStateUpdate(snapshotPayload(), encoder), decoder);
+
+    const delta = {
+        mode: 'delta',
+        serverTime: SERVER_TIME + 50,
+        remainingMs: 64950,
+        playersDelta: { upserts: [{ id: 'sock-a', x: 140, kills: 3 }, { id: 'sock-c', name: 'Cy', x: 10, y: 20 }], removed: ['bot-1'] },
+        projectilesDelta: { upserts: [], removed: ['p1'] },
+        buffsDelta: { upserts: [{ id: 'b1', active: true, takenTime: 0 }], removed: [] }
+    };
+    const encoded = encodeStateUpdate(delta, encoder);
+    const decoded = decodeStateUpdate(encoded, decoder);
+
+    assert.equal(decoded.mode, 'delta');
+    assert.equal(decoded.hillsDelta, undefined);
+    assert.deepEqual(decoded.playersDelta, {
+        upserts: [{ id: 'sock-a', x: 140, kills: 3 }, { id: 'sock-c', name: 'Cy', x: 10, y: 20 }],
+        removed: ['bot-1']
+    });
+    assert.deepEqual(decoded.projectilesDelta, { upserts: [], removed: ['p1'] });
+    assert.deepEqual(decoded.buffsDelta, { upserts: [{ id: 'b1', active: true, takenTime: 0 }], removed: [] });
+});
+
+test('unknown versions are rejected on both sides', () => {
+    assert.throws(() => encodeStateUpdate(snapshotPayload(), createStateCodecContext(), 99), /STATE_CODEC_UNSUPPORTED_VERSION:99/);
+    const encoded = encodeStateUpdate(snapshotPayload(), createStateCodecContext());
+    encoded[0] = 99;
+    assert.throws(() => decodeStateUpdate(encoded, createStateCodecContext()), /STATE_CODEC_UNSUPPORTED_VERSION:99/);
+});